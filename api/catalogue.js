@@ -0,0 +1,297 @@
+/**
+ * Catalogue du serveur de démonstration
+ * Reproduit les filtres, le tri et la pagination de l'API OCMovies
+ * à partir des fixtures (fixtures/titles.json, fixtures/genres.json)
+ */
+
+import { readFileSync } from 'node:fs';
+
+// Configuration de la pagination (valeurs de l'API OCMovies)
+export const PAGINATION = {
+    pageSize: 5,
+    maxPageSize: 100
+};
+
+// Filtres acceptés par /titles/ : paramètre → champ et mode de comparaison
+const TITLE_FILTERS = {
+    title: { field: 'title', match: 'exact' },
+    title_contains: { field: 'title', match: 'contains' },
+    genre: { field: 'genres', match: 'exact' },
+    genre_contains: { field: 'genres', match: 'contains' },
+    director: { field: 'directors', match: 'exact' },
+    director_contains: { field: 'directors', match: 'contains' },
+    writer: { field: 'writers', match: 'exact' },
+    writer_contains: { field: 'writers', match: 'contains' },
+    actor: { field: 'actors', match: 'exact' },
+    actor_contains: { field: 'actors', match: 'contains' },
+    country: { field: 'countries', match: 'exact' },
+    country_contains: { field: 'countries', match: 'contains' },
+    lang: { field: 'languages', match: 'exact' },
+    lang_contains: { field: 'languages', match: 'contains' },
+    company: { field: 'company', match: 'exact' },
+    company_contains: { field: 'company', match: 'contains' },
+    rating: { field: 'rated', match: 'exact' },
+    rating_contains: { field: 'rated', match: 'contains' },
+    year: { field: 'year', match: 'equal' },
+    min_year: { field: 'year', match: 'min' },
+    max_year: { field: 'year', match: 'max' },
+    imdb_score: { field: 'imdb_score', match: 'equal' },
+    imdb_score_min: { field: 'imdb_score', match: 'min' },
+    imdb_score_max: { field: 'imdb_score', match: 'max' }
+};
+
+// Filtres acceptés par /genres/
+const GENRE_FILTERS = {
+    name: { field: 'name', match: 'exact' },
+    name_contains: { field: 'name', match: 'contains' }
+};
+
+// Champs utilisables dans sort_by (ex: '-imdb_score,title')
+const SORT_FIELDS = [
+    'id', 'title', 'year', 'date_published', 'duration', 'imdb_score', 'votes', 'avg_vote', 'metascore',
+    'budget', 'usa_gross_income', 'worldwide_gross_income', 'reviews_from_users', 'reviews_from_critics'
+];
+
+// Champs des films renvoyés dans les listes (les détails renvoient tous les champs)
+const LIST_FIELDS = ['id', 'url', 'imdb_url', 'title', 'year', 'imdb_score', 'votes', 'image_url', 'directors', 'actors', 'writers', 'genres'];
+
+/**
+ * Erreur de requête, renvoyée au client avec son statut HTTP
+ */
+export class CatalogueError extends Error {
+    /**
+     * @param {number} status - Statut HTTP (ex: 404)
+     * @param {string} message - Message renvoyé dans le champ `detail`
+     */
+    constructor(status, message) {
+        super(message);
+        this.name = 'CatalogueError';
+        this.status = status;
+    }
+}
+
+/**
+ * Charge un fichier de fixtures
+ * @param {string} name - Nom du fichier dans fixtures/ (ex: 'titles.json')
+ * @returns {Array<Object>} - Contenu du fichier
+ */
+export function loadFixture(name) {
+    return JSON.parse(readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'));
+}
+
+/**
+ * Indique si une valeur (ou une liste de valeurs) correspond à un filtre
+ * Les comparaisons de texte ignorent la casse, comme l'API OCMovies.
+ * @param {*} value - Valeur du film (texte, nombre ou liste de textes)
+ * @param {string} match - Mode de comparaison ('exact', 'contains', 'equal', 'min', 'max')
+ * @param {string} expected - Valeur du paramètre de requête
+ * @returns {boolean}
+ */
+function matches(value, match, expected) {
+    if (Array.isArray(value)) {
+        return value.some(item => matches(item, match, expected));
+    }
+    if (value === null || value === undefined) {
+        return false;
+    }
+
+    const text = String(value).toLowerCase();
+    const search = expected.toLowerCase();
+
+    switch (match) {
+        case 'exact':
+            return text === search;
+        case 'contains':
+            return text.includes(search);
+        case 'equal':
+            return Number(value) === Number(expected);
+        case 'min':
+            return Number(value) >= Number(expected);
+        case 'max':
+            return Number(value) <= Number(expected);
+        default:
+            return false;
+    }
+}
+
+/**
+ * Filtre une liste selon les paramètres de requête
+ * Les paramètres inconnus (page, page_size, sort_by...) sont ignorés.
+ * @param {Array<Object>} items - Films ou genres
+ * @param {URLSearchParams} params - Paramètres de requête
+ * @param {Object} filters - Filtres acceptés (TITLE_FILTERS ou GENRE_FILTERS)
+ * @returns {Array<Object>} - Éléments correspondant à tous les filtres
+ * @throws {CatalogueError} - Si un filtre numérique n'est pas un nombre
+ */
+function applyFilters(items, params, filters) {
+    let result = items;
+
+    for (const [param, expected] of params) {
+        const filter = filters[param];
+        if (!filter || expected === '') {
+            continue;
+        }
+        if (['equal', 'min', 'max'].includes(filter.match) && Number.isNaN(Number(expected))) {
+            throw new CatalogueError(400, `Enter a number for "${param}".`);
+        }
+        result = result.filter(item => matches(item[filter.field], filter.match, expected));
+    }
+
+    return result;
+}
+
+/**
+ * Trie des films selon le paramètre sort_by
+ * Les valeurs absentes sont placées en dernier, quel que soit le sens du tri.
+ * @param {Array<Object>} titles - Films
+ * @param {string|null} sortBy - Champs séparés par des virgules, préfixés par '-' pour un tri décroissant
+ * @returns {Array<Object>} - Nouvelle liste triée (par id sans sort_by)
+ */
+function sortTitles(titles, sortBy) {
+    const keys = (sortBy || 'id')
+        .split(',')
+        .map(key => key.trim())
+        .filter(key => SORT_FIELDS.includes(key.replace(/^-/, '')))
+        .map(key => ({ field: key.replace(/^-/, ''), direction: key.startsWith('-') ? -1 : 1 }));
+
+    if (keys.length === 0) {
+        keys.push({ field: 'id', direction: 1 });
+    }
+
+    return [...titles].sort((a, b) => {
+        for (const { field, direction } of keys) {
+            const left = a[field];
+            const right = b[field];
+            if (left === right) {
+                continue;
+            }
+            if (left === null || left === undefined) {
+                return 1;
+            }
+            if (right === null || right === undefined) {
+                return -1;
+            }
+            const order = typeof left === 'string' ? left.localeCompare(right) : left - right;
+            if (order !== 0) {
+                return order * direction;
+            }
+        }
+        return a.id - b.id;
+    });
+}
+
+/**
+ * Découpe une liste en page, au format de l'API OCMovies ({ count, next, previous, results })
+ * Comme l'API, le lien vers la première page ne contient pas de paramètre `page`.
+ * @param {Array<Object>} items - Éléments à paginer
+ * @param {URL} url - URL absolue de la requête
+ * @returns {Object} - Page demandée
+ * @throws {CatalogueError} - Si la page demandée n'existe pas
+ */
+function paginate(items, url) {
+    const page = Number(url.searchParams.get('page') || 1);
+    const requestedSize = Number(url.searchParams.get('page_size') || PAGINATION.pageSize);
+    const pageSize = Math.min(Math.max(1, Math.floor(requestedSize) || PAGINATION.pageSize), PAGINATION.maxPageSize);
+    const pageCount = Math.max(1, Math.ceil(items.length / pageSize));
+
+    if (!Number.isInteger(page) || page < 1 || page > pageCount) {
+        throw new CatalogueError(404, 'Invalid page.');
+    }
+
+    const pageUrl = (target) => {
+        const link = new URL(url);
+        if (target === 1) {
+            link.searchParams.delete('page');
+        } else {
+            link.searchParams.set('page', target);
+        }
+        return link.toString();
+    };
+
+    return {
+        count: items.length,
+        next: page < pageCount ? pageUrl(page + 1) : null,
+        previous: page > 1 ? pageUrl(page - 1) : null,
+        results: items.slice((page - 1) * pageSize, page * pageSize)
+    };
+}
+
+/**
+ * Catalogue de films en mémoire
+ */
+export class Catalogue {
+    /**
+     * @param {Object} fixtures - Données du catalogue
+     * @param {Array<Object>} fixtures.titles - Films (détails complets)
+     * @param {Array<Object>} fixtures.genres - Genres ({ id, name })
+     */
+    constructor({ titles = loadFixture('titles.json'), genres = loadFixture('genres.json') } = {}) {
+        this.titles = titles;
+        this.genres = genres;
+    }
+
+    /**
+     * Complète un film avec ses URLs (fiche, IMDb, affiche) et ses scores au format de l'API
+     * @param {Object} title - Film des fixtures
+     * @param {string} origin - Origine du serveur (ex: 'http://127.0.0.1:8000')
+     * @returns {Object} - Film tel que renvoyé par l'API
+     */
+    serialize(title, origin) {
+        const score = value => (value === null || value === undefined ? null : Number(value).toFixed(1));
+
+        return {
+            ...title,
+            url: `${origin}/api/v1/titles/${title.id}`,
+            imdb_url: `https://www.imdb.com/title/tt${String(title.id).padStart(7, '0')}/`,
+            image_url: `${origin}/media/posters/${title.id}.svg`,
+            imdb_score: score(title.imdb_score),
+            avg_vote: score(title.avg_vote)
+        };
+    }
+
+    /**
+     * Liste paginée des films (/api/v1/titles/)
+     * @param {URL} url - URL absolue de la requête
+     * @param {Object} options - Options de la réponse
+     * @param {boolean} options.empty - Renvoyer une liste vide (simulation d'un catalogue vide)
+     * @returns {Object} - Page de films
+     */
+    listTitles(url, { empty = false } = {}) {
+        const titles = empty ? [] : sortTitles(applyFilters(this.titles, url.searchParams, TITLE_FILTERS), url.searchParams.get('sort_by'));
+        const page = paginate(titles, url);
+
+        page.results = page.results.map(title => {
+            const serialized = this.serialize(title, url.origin);
+            return Object.fromEntries(LIST_FIELDS.map(field => [field, serialized[field]]));
+        });
+        return page;
+    }
+
+    /**
+     * Détails d'un film (/api/v1/titles/:id)
+     * @param {string} id - Identifiant du film
+     * @param {string} origin - Origine du serveur
+     * @returns {Object} - Film complet
+     * @throws {CatalogueError} - Si le film n'existe pas
+     */
+    getTitle(id, origin) {
+        const title = this.titles.find(item => String(item.id) === String(id));
+
+        if (!title) {
+            throw new CatalogueError(404, 'Not found.');
+        }
+        return this.serialize(title, origin);
+    }
+
+    /**
+     * Liste paginée des genres (/api/v1/genres/)
+     * @param {URL} url - URL absolue de la requête
+     * @param {Object} options - Options de la réponse
+     * @param {boolean} options.empty - Renvoyer une liste vide
+     * @returns {Object} - Page de genres
+     */
+    listGenres(url, { empty = false } = {}) {
+        const genres = empty ? [] : applyFilters(this.genres, url.searchParams, GENRE_FILTERS);
+        return paginate(genres, url);
+    }
+}
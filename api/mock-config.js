@@ -0,0 +1,155 @@
+/**
+ * Réglages du serveur de démonstration
+ * Les pannes (latence, erreurs, listes vides) se règlent au lancement par des options
+ * de ligne de commande ou des variables d'environnement, puis pendant l'exécution
+ * via la route /__mock__ (voir server.js)
+ */
+
+// Routes de l'API pouvant être mises en panne
+export const ROUTES = ['titles', 'title', 'genres'];
+
+// Réglages par défaut : aucune panne
+export const DEFAULT_CONFIG = {
+    port: 8000,
+    host: '127.0.0.1',
+    latency: [0, 0],      // Délai de chaque réponse en ms, tiré entre ces deux bornes
+    errorRate: 0,         // Probabilité (0 à 1) qu'une requête échoue
+    errorStatus: 500,     // Statut HTTP des erreurs simulées
+    fail: [],             // Routes toujours en erreur (ex: ['genres'])
+    empty: []             // Routes de liste renvoyant une liste vide (ex: ['titles'])
+};
+
+// Options de ligne de commande et variables d'environnement correspondantes
+const OPTIONS = {
+    port: { flag: '--port', env: 'PORT' },
+    host: { flag: '--host', env: 'HOST' },
+    latency: { flag: '--latency', env: 'MOCK_LATENCY' },
+    errorRate: { flag: '--error-rate', env: 'MOCK_ERROR_RATE' },
+    errorStatus: { flag: '--error-status', env: 'MOCK_ERROR_STATUS' },
+    fail: { flag: '--fail', env: 'MOCK_FAIL' },
+    empty: { flag: '--empty', env: 'MOCK_EMPTY' }
+};
+
+/**
+ * Lit une liste de routes ('titles,genres', 'all' ou un tableau)
+ * @param {string|Array<string>|boolean} value - Valeur de l'option
+ * @param {string} name - Nom de l'option (pour les messages d'erreur)
+ * @returns {Array<string>} - Routes concernées
+ * @throws {Error} - Si une route est inconnue
+ */
+function parseRoutes(value, name) {
+    if (value === true || value === 'all') {
+        return [...ROUTES];
+    }
+
+    const routes = (Array.isArray(value) ? value : String(value).split(','))
+        .map(route => String(route).trim())
+        .filter(Boolean);
+
+    const unknown = routes.find(route => !ROUTES.includes(route));
+    if (unknown) {
+        throw new Error(`${name} : route inconnue "${unknown}" (attendu : ${ROUTES.join(', ')} ou all)`);
+    }
+    return routes;
+}
+
+/**
+ * Lit une latence ('800' ou '200-1500', en ms)
+ * @param {string|number|Array<number>} value - Valeur de l'option
+ * @returns {Array<number>} - Bornes [min, max] du délai
+ * @throws {Error} - Si la latence n'est pas un nombre positif ou un intervalle
+ */
+function parseLatency(value) {
+    const bounds = Array.isArray(value) ? value.map(Number) : String(value).split('-').map(Number);
+    const [min, max = min] = bounds;
+
+    if (bounds.length > 2 || !Number.isFinite(min) || !Number.isFinite(max) || min < 0 || max < min) {
+        throw new Error(`latence invalide "${value}" (attendu : 800 ou 200-1500)`);
+    }
+    return [min, max];
+}
+
+/**
+ * Valide et normalise des réglages partiels
+ * @param {Object} values - Réglages à appliquer (valeurs texte ou déjà typées)
+ * @returns {Object} - Réglages normalisés
+ * @throws {Error} - Si un réglage est invalide
+ */
+export function normalizeConfig(values) {
+    const config = {};
+
+    for (const [key, value] of Object.entries(values)) {
+        switch (key) {
+            case 'port':
+            case 'errorStatus': {
+                const number = Number(value);
+                if (!Number.isInteger(number) || number <= 0) {
+                    throw new Error(`${key} : nombre entier attendu, reçu "${value}"`);
+                }
+                config[key] = number;
+                break;
+            }
+            case 'host':
+                config.host = String(value);
+                break;
+            case 'latency':
+                config.latency = parseLatency(value);
+                break;
+            case 'errorRate': {
+                const rate = Number(value);
+                if (!Number.isFinite(rate) || rate < 0 || rate > 1) {
+                    throw new Error(`errorRate : nombre entre 0 et 1 attendu, reçu "${value}"`);
+                }
+                config.errorRate = rate;
+                break;
+            }
+            case 'fail':
+            case 'empty':
+                config[key] = parseRoutes(value, key);
+                break;
+            default:
+                throw new Error(`réglage inconnu "${key}"`);
+        }
+    }
+
+    return config;
+}
+
+/**
+ * Lit les réglages de lancement (variables d'environnement, puis options de ligne de commande)
+ * Une option sans valeur (`--empty`, `--fail`) s'applique à toutes les routes.
+ * @param {Array<string>} argv - Arguments de la ligne de commande (sans `node server.js`)
+ * @param {Object} env - Variables d'environnement
+ * @returns {Object} - Réglages complets
+ * @throws {Error} - Si une option est inconnue ou invalide
+ */
+export function readConfig(argv = [], env = {}) {
+    const values = {};
+
+    for (const [key, { env: name }] of Object.entries(OPTIONS)) {
+        if (env[name] !== undefined && env[name] !== '') {
+            values[key] = env[name];
+        }
+    }
+
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+        const key = Object.keys(OPTIONS).find(name => OPTIONS[name].flag === flag);
+
+        if (!key) {
+            throw new Error(`option inconnue "${argv[i]}"`);
+        }
+
+        if (inlineValue !== undefined) {
+            values[key] = inlineValue;
+        } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+            values[key] = argv[++i];
+        } else if (key === 'fail' || key === 'empty') {
+            values[key] = true;
+        } else {
+            throw new Error(`l'option ${flag} attend une valeur`);
+        }
+    }
+
+    return { ...DEFAULT_CONFIG, ...normalizeConfig(values) };
+}
@@ -0,0 +1,64 @@
+/**
+ * Affiches générées du serveur de démonstration
+ * Chaque film reçoit une affiche SVG (titre et année sur un fond coloré),
+ * sans dépendre d'images externes
+ */
+
+// Dimensions des affiches de l'API OCMovies
+const POSTER_SIZE = { width: 182, height: 268 };
+
+// Nombre maximal de caractères par ligne du titre
+const LINE_LENGTH = 14;
+
+/**
+ * Échappe un texte pour l'insérer dans un document SVG
+ * @param {string} text - Texte à échapper
+ * @returns {string}
+ */
+function escapeXml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&apos;' })[char]);
+}
+
+/**
+ * Coupe un titre en lignes courtes, mot par mot
+ * @param {string} title - Titre du film
+ * @returns {Array<string>} - Lignes du titre (4 au plus)
+ */
+function wrapTitle(title) {
+    const lines = [];
+
+    title.split(/\s+/).forEach(word => {
+        const last = lines[lines.length - 1];
+        if (last !== undefined && `${last} ${word}`.length <= LINE_LENGTH) {
+            lines[lines.length - 1] = `${last} ${word}`;
+        } else {
+            lines.push(word);
+        }
+    });
+
+    return lines.slice(0, 4);
+}
+
+/**
+ * Crée l'affiche SVG d'un film
+ * La teinte du fond dépend de l'identifiant : un film garde toujours la même couleur.
+ * @param {Object} title - Film ({ id, title, year })
+ * @returns {string} - Document SVG
+ */
+export function createPoster(title) {
+    const { width, height } = POSTER_SIZE;
+    const hue = (Number(title.id) * 47) % 360;
+    const lines = wrapTitle(title.title);
+    const firstLineY = height / 2 - ((lines.length - 1) * 22) / 2;
+
+    const text = lines
+        .map((line, index) => `<tspan x="50%" y="${firstLineY + index * 22}">${escapeXml(line)}</tspan>`)
+        .join('');
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+        + `<rect width="${width}" height="${height}" fill="hsl(${hue}, 45%, 30%)"/>`
+        + `<rect x="8" y="8" width="${width - 16}" height="${height - 16}" fill="none" stroke="hsl(${hue}, 60%, 70%)" stroke-width="2"/>`
+        + `<text text-anchor="middle" font-family="Oswald, Arial, sans-serif" font-size="18" font-weight="700" fill="#ffffff">${text}</text>`
+        + `<text x="50%" y="${height - 28}" text-anchor="middle" font-family="Arial, sans-serif" font-size="14" fill="hsl(${hue}, 60%, 85%)">${escapeXml(title.year)}</text>`
+        + '</svg>';
+}
@@ -0,0 +1,187 @@
+/**
+ * Serveur de démonstration de l'API OCMovies
+ * Sert /api/v1/titles/, /api/v1/titles/:id et /api/v1/genres/ à partir des fixtures,
+ * sans base de données ni dépendance, pour lancer le frontend en local.
+ *
+ * Lancement : node api/server.js [--port 8000] [--latency 200-1500] [--error-rate 0.2] [--fail genres] [--empty titles]
+ */
+
+import { createServer } from 'node:http';
+import { fileURLToPath } from 'node:url';
+import { Catalogue, CatalogueError } from './catalogue.js';
+import { createPoster } from './posters.js';
+import { DEFAULT_CONFIG, normalizeConfig, readConfig } from './mock-config.js';
+
+// En-têtes CORS : le frontend est servi depuis une autre origine (fichier local, autre port)
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+// Routes de l'API : expression de l'URL → nom de la route (voir ROUTES dans mock-config.js)
+const API_ROUTES = [
+    { pattern: /^\/api\/v1\/titles\/?$/, route: 'titles' },
+    { pattern: /^\/api\/v1\/titles\/(\d+)\/?$/, route: 'title' },
+    { pattern: /^\/api\/v1\/genres\/?$/, route: 'genres' }
+];
+
+/**
+ * Envoie une réponse JSON
+ * @param {http.ServerResponse} res - Réponse
+ * @param {number} status - Statut HTTP
+ * @param {Object} body - Corps de la réponse
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Lit le corps JSON d'une requête
+ * @param {http.IncomingMessage} req - Requête
+ * @returns {Promise<Object>} - Corps de la requête ({} s'il est vide)
+ */
+async function readJsonBody(req) {
+    let body = '';
+    for await (const chunk of req) {
+        body += chunk;
+    }
+    return body.trim() ? JSON.parse(body) : {};
+}
+
+/**
+ * Attend la latence simulée
+ * @param {Array<number>} latency - Bornes [min, max] du délai en ms
+ * @returns {Promise<void>}
+ */
+function wait([min, max]) {
+    const delay = min + Math.random() * (max - min);
+    return delay > 0 ? new Promise(resolve => setTimeout(resolve, delay)) : Promise.resolve();
+}
+
+/**
+ * Crée le serveur de démonstration
+ * @param {Object} options - Options du serveur
+ * @param {Object} options.config - Réglages de lancement (voir readConfig)
+ * @param {Catalogue} options.catalogue - Catalogue servi (fixtures par défaut)
+ * @returns {{server: http.Server, config: Object}} - Serveur (non démarré) et réglages modifiables
+ */
+export function createMockServer({ config = DEFAULT_CONFIG, catalogue = new Catalogue() } = {}) {
+    const settings = { ...config };
+
+    /**
+     * Route /__mock__ : lecture (GET), modification (POST) et réinitialisation (POST /__mock__/reset) des pannes
+     */
+    async function handleControl(req, res, pathname) {
+        if (req.method === 'POST' && pathname === '/__mock__/reset') {
+            Object.assign(settings, { ...DEFAULT_CONFIG, port: settings.port, host: settings.host });
+        } else if (req.method === 'POST') {
+            // Le port et l'adresse d'écoute ne changent pas en cours d'exécution
+            const changes = await readJsonBody(req);
+            delete changes.port;
+            delete changes.host;
+            Object.assign(settings, normalizeConfig(changes));
+        }
+
+        const { port, host, ...faults } = settings;
+        sendJson(res, 200, faults);
+    }
+
+    /**
+     * Routes de l'API, avec la latence et les pannes simulées
+     */
+    async function handleApi(req, res, url, { route, match }) {
+        await wait(settings.latency);
+
+        if (settings.fail.includes(route) || Math.random() < settings.errorRate) {
+            sendJson(res, settings.errorStatus, { detail: `Erreur simulée (${settings.errorStatus}).` });
+            return;
+        }
+
+        const empty = settings.empty.includes(route);
+        let body;
+
+        if (route === 'titles') {
+            body = catalogue.listTitles(url, { empty });
+        } else if (route === 'genres') {
+            body = catalogue.listGenres(url, { empty });
+        } else if (empty) {
+            throw new CatalogueError(404, 'Not found.');
+        } else {
+            body = catalogue.getTitle(match[1], url.origin);
+        }
+
+        sendJson(res, 200, body);
+    }
+
+    const server = createServer(async (req, res) => {
+        const startedAt = Date.now();
+        const url = new URL(req.url, `http://${req.headers.host || `${settings.host}:${settings.port}`}`);
+
+        try {
+            if (req.method === 'OPTIONS') {
+                res.writeHead(204, CORS_HEADERS);
+                res.end();
+                return;
+            }
+
+            if (url.pathname.startsWith('/__mock__')) {
+                await handleControl(req, res, url.pathname);
+                return;
+            }
+
+            const poster = url.pathname.match(/^\/media\/posters\/(\d+)\.svg$/);
+            if (poster) {
+                const title = catalogue.titles.find(item => String(item.id) === poster[1]);
+                if (!title) {
+                    throw new CatalogueError(404, 'Not found.');
+                }
+                res.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'image/svg+xml', 'Cache-Control': 'max-age=86400' });
+                res.end(createPoster(title));
+                return;
+            }
+
+            const apiRoute = API_ROUTES
+                .map(({ pattern, route }) => ({ route, match: url.pathname.match(pattern) }))
+                .find(({ match }) => match);
+
+            if (req.method !== 'GET' || !apiRoute) {
+                throw new CatalogueError(404, 'Not found.');
+            }
+
+            await handleApi(req, res, url, apiRoute);
+        } catch (error) {
+            sendJson(res, error instanceof CatalogueError ? error.status : 400, { detail: error.message });
+        } finally {
+            console.log(`${req.method} ${url.pathname}${url.search} → ${res.statusCode} (${Date.now() - startedAt} ms)`);
+        }
+    });
+
+    return { server, config: settings };
+}
+
+/**
+ * Démarre le serveur avec les réglages de la ligne de commande et de l'environnement
+ */
+function main() {
+    let config;
+    try {
+        config = readConfig(process.argv.slice(2), process.env);
+    } catch (error) {
+        console.error(`Serveur de démonstration : ${error.message}`);
+        process.exit(1);
+    }
+
+    const { server } = createMockServer({ config });
+
+    server.listen(config.port, config.host, () => {
+        console.log(`API de démonstration disponible sur http://${config.host}:${config.port}/api/v1/`);
+        console.log(`Pannes : latence ${config.latency.join('-')} ms, taux d'erreur ${config.errorRate}, `
+            + `routes en erreur [${config.fail.join(', ')}], routes vides [${config.empty.join(', ')}]`);
+    });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main();
+}
@@ -3,9 +3,14 @@
  * Gère toutes les communications avec l'API backend
  */
 
-// Configuration de l'API
+import { ResponseCache } from './cache.js';
+
+// Configuration par défaut de l'API
 const API_CONFIG = {
     baseUrl: 'http://127.0.0.1:8000/api/v1',
+    timeout: 8000,
+    retries: 2,
+    retryDelay: 300,
     endpoints: {
         genres: '/genres/',
         titles: '/titles/'
@@ -13,109 +18,441 @@ const API_CONFIG = {
 };
 
 /**
- * Récupère une page spécifique depuis une URL avec des paramètres optionnels
- * @param {string} url - URL de base de l'endpoint
- * @param {number} page - Numéro de la page à récupérer
- * @param {string} queryParams - Paramètres de requête additionnels (ex: 'sort_by=-imdb_score')
- * @returns {Promise<Object|null>} - Données de la page ou null en cas d'erreur
+ * Erreur de base renvoyée par le client API
+ * Toutes les erreurs du client en héritent, ce qui permet de les distinguer
+ * d'une annulation volontaire (AbortError) ou d'un bug du code appelant.
+ */
+export class ApiError extends Error {
+    /**
+     * @param {string} message - Message d'erreur
+     * @param {Object} details - Informations complémentaires
+     * @param {string} details.url - URL de la requête en échec
+     * @param {number|null} details.status - Code HTTP (null si aucune réponse)
+     * @param {Error} details.cause - Erreur d'origine
+     */
+    constructor(message, { url = '', status = null, cause = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.url = url;
+        this.status = status;
+        this.cause = cause;
+    }
+
+    /**
+     * Indique si la requête peut être relancée
+     * @returns {boolean}
+     */
+    get retryable() {
+        return false;
+    }
+}
+
+/**
+ * La ressource demandée n'existe pas (HTTP 404)
  */
-async function fetchPage(url, page = 1, queryParams = '') {
-    try {
-        let fullUrl = `${url}?page=${page}`;
-        if (queryParams) {
-            fullUrl += `&${queryParams}`;
+export class NotFoundError extends ApiError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'NotFoundError';
+    }
+}
+
+/**
+ * Le serveur a répondu avec une erreur interne (HTTP 5xx)
+ */
+export class ServerError extends ApiError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'ServerError';
+    }
+
+    get retryable() {
+        return true;
+    }
+}
+
+/**
+ * Le serveur est injoignable (backend arrêté, CORS, réseau coupé...)
+ */
+export class NetworkError extends ApiError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'NetworkError';
+    }
+
+    get retryable() {
+        return true;
+    }
+}
+
+/**
+ * Le serveur n'a pas répondu dans le délai imparti
+ */
+export class TimeoutError extends ApiError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'TimeoutError';
+    }
+
+    get retryable() {
+        return true;
+    }
+}
+
+/**
+ * Détermine l'URL de base de l'API
+ * Ordre de priorité : paramètre `?api=` de l'URL de la page,
+ * balise `<meta name="api-base-url">`, puis valeur par défaut.
+ * @returns {string} - URL de base sans slash final
+ */
+export function resolveBaseUrl() {
+    const fromQuery = new URLSearchParams(window.location.search).get('api');
+    const meta = document.querySelector('meta[name="api-base-url"]');
+    const baseUrl = fromQuery || (meta && meta.content) || API_CONFIG.baseUrl;
+
+    return baseUrl.replace(/\/+$/, '');
+}
+
+/**
+ * Attend un délai donné, en s'interrompant si le signal est annulé
+ * @param {number} delay - Délai en millisecondes
+ * @param {AbortSignal} signal - Signal d'annulation optionnel
+ * @returns {Promise<void>}
+ */
+function wait(delay, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(signal.reason);
+            return;
+        }
+
+        const timer = setTimeout(resolve, delay);
+
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            }, { once: true });
+        }
+    });
+}
+
+/**
+ * Client HTTP de l'API OCMovies
+ * Ajoute un délai maximal par requête, des nouvelles tentatives avec
+ * backoff exponentiel sur les erreurs 5xx/réseau et des erreurs typées.
+ * Les requêtes identiques en cours sont mutualisées et, si un cache est
+ * fourni, les réponses sont réutilisées (stale-while-revalidate).
+ */
+export class ApiClient {
+    /**
+     * @param {Object} options - Options du client
+     * @param {string} options.baseUrl - URL de base (par défaut : resolveBaseUrl())
+     * @param {number} options.timeout - Délai maximal d'une tentative en ms
+     * @param {number} options.retries - Nombre de nouvelles tentatives après un échec
+     * @param {number} options.retryDelay - Délai initial entre deux tentatives en ms (doublé à chaque essai)
+     * @param {ResponseCache} options.cache - Cache des réponses (aucun par défaut)
+     */
+    constructor(options = {}) {
+        this.baseUrl = options.baseUrl || resolveBaseUrl();
+        this.timeout = options.timeout ?? API_CONFIG.timeout;
+        this.retries = options.retries ?? API_CONFIG.retries;
+        this.retryDelay = options.retryDelay ?? API_CONFIG.retryDelay;
+        this.endpoints = { ...API_CONFIG.endpoints };
+        this.cache = options.cache || null;
+        this.pending = new Map();
+    }
+
+    /**
+     * Construit l'URL complète d'un endpoint
+     * @param {string} path - Chemin relatif à l'URL de base ou URL absolue
+     * @param {string} queryParams - Paramètres de requête (ex: 'page=2&genre=Action')
+     * @returns {string} - URL complète
+     */
+    buildUrl(path, queryParams = '') {
+        const url = /^https?:\/\//.test(path) ? path : `${this.baseUrl}${path}`;
+
+        if (!queryParams) {
+            return url;
+        }
+
+        return `${url}${url.includes('?') ? '&' : '?'}${queryParams}`;
+    }
+
+    /**
+     * Exécute une requête GET et renvoie le corps JSON
+     * @param {string} path - Chemin de l'endpoint ou URL absolue
+     * @param {Object} options - Options de la requête
+     * @param {string} options.queryParams - Paramètres de requête
+     * @param {AbortSignal} options.signal - Signal d'annulation optionnel
+     * @param {boolean} options.cache - Utiliser le cache en lecture (true par défaut)
+     * @returns {Promise<Object>} - Données JSON
+     * @throws {ApiError} - En cas d'échec après toutes les tentatives
+     */
+    async request(path, { queryParams = '', signal, cache = true } = {}) {
+        const url = this.buildUrl(path, queryParams);
+
+        if (cache && this.cache) {
+            const cached = this.cache.get(url);
+
+            if (cached) {
+                if (!cached.fresh) {
+                    // Servir immédiatement la réponse périmée et la rafraîchir en arrière-plan
+                    this.load(url).catch(error => {
+                        console.warn('Revalidation impossible:', error.message);
+                    });
+                }
+                return cached.data;
+            }
+        }
+
+        return this.load(url, signal);
+    }
+
+    /**
+     * Lance la requête ou rejoint une requête identique déjà en cours
+     * La requête partagée n'est annulée que lorsque tous ses appelants ont annulé.
+     * @param {string} url - URL complète
+     * @param {AbortSignal} signal - Signal d'annulation de l'appelant
+     * @returns {Promise<Object>} - Données JSON
+     */
+    load(url, signal) {
+        let pending = this.pending.get(url);
+
+        if (!pending) {
+            const controller = new AbortController();
+            pending = { controller, subscribers: 0 };
+            pending.promise = this.fetchWithRetry(url, controller.signal)
+                .then(data => {
+                    if (this.cache) {
+                        this.cache.set(url, data);
+                    }
+                    return data;
+                })
+                .finally(() => this.forget(url, pending));
+            this.pending.set(url, pending);
+        }
+
+        pending.subscribers++;
+
+        if (!signal) {
+            return pending.promise;
+        }
+
+        return new Promise((resolve, reject) => {
+            const unsubscribe = () => {
+                pending.subscribers--;
+                if (pending.subscribers === 0) {
+                    // Une nouvelle requête identique ne doit pas rejoindre la requête annulée
+                    this.forget(url, pending);
+                    pending.controller.abort(signal.reason);
+                }
+                reject(signal.reason);
+            };
+
+            if (signal.aborted) {
+                unsubscribe();
+                return;
+            }
+
+            signal.addEventListener('abort', unsubscribe, { once: true });
+            pending.promise
+                .then(resolve, reject)
+                .finally(() => signal.removeEventListener('abort', unsubscribe));
+        });
+    }
+
+    /**
+     * Retire une requête des requêtes en cours, si elle n'a pas déjà été remplacée
+     * @param {string} url - URL complète
+     * @param {Object} pending - Requête mutualisée ({ controller, subscribers, promise })
+     */
+    forget(url, pending) {
+        if (this.pending.get(url) === pending) {
+            this.pending.delete(url);
         }
-        
-        console.log('Requête API:', fullUrl);
-        
-        const response = await fetch(fullUrl);
-        
-        if (!response.ok) {
-            throw new Error(`Erreur HTTP: ${response.status}`);
+    }
+
+    /**
+     * Exécute une requête avec nouvelles tentatives et backoff exponentiel
+     * @param {string} url - URL complète
+     * @param {AbortSignal} signal - Signal d'annulation
+     * @returns {Promise<Object>} - Données JSON
+     * @throws {ApiError} - En cas d'échec après toutes les tentatives
+     */
+    async fetchWithRetry(url, signal) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.fetchOnce(url, signal);
+            } catch (error) {
+                if (!(error instanceof ApiError) || !error.retryable || attempt >= this.retries) {
+                    throw error;
+                }
+
+                const delay = this.retryDelay * 2 ** attempt;
+                console.warn(`${error.message} - nouvelle tentative (${attempt + 1}/${this.retries}) dans ${delay} ms`);
+                await wait(delay, signal);
+            }
         }
-        
-        const data = await response.json();
-        return data;
-    } catch (error) {
-        console.error('Erreur lors de la récupération des données:', error);
-        return null;
+    }
+
+    /**
+     * Effectue une seule tentative de requête avec délai maximal
+     * @param {string} url - URL complète
+     * @param {AbortSignal} signal - Signal d'annulation optionnel
+     * @returns {Promise<Object>} - Données JSON
+     * @throws {ApiError} - Erreur typée selon la cause de l'échec
+     */
+    async fetchOnce(url, signal) {
+        const controller = new AbortController();
+        let timedOut = false;
+
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, this.timeout);
+
+        // Propager une annulation demandée par l'appelant
+        const abortFromCaller = () => controller.abort(signal.reason);
+        if (signal) {
+            if (signal.aborted) {
+                controller.abort(signal.reason);
+            } else {
+                signal.addEventListener('abort', abortFromCaller, { once: true });
+            }
+        }
+
+        try {
+            console.log('Requête API:', url);
+
+            const response = await fetch(url, { signal: controller.signal });
+
+            if (response.status === 404) {
+                throw new NotFoundError(`Ressource introuvable: ${url}`, { url, status: 404 });
+            }
+
+            if (response.status >= 500) {
+                throw new ServerError(`Erreur serveur: ${response.status}`, { url, status: response.status });
+            }
+
+            if (!response.ok) {
+                throw new ApiError(`Erreur HTTP: ${response.status}`, { url, status: response.status });
+            }
+
+            return await response.json();
+        } catch (error) {
+            if (error instanceof ApiError) {
+                throw error;
+            }
+
+            if (timedOut) {
+                throw new TimeoutError(`Délai dépassé (${this.timeout} ms): ${url}`, { url, cause: error });
+            }
+
+            // Annulation volontaire : on laisse remonter l'AbortError telle quelle
+            if (signal && signal.aborted) {
+                throw error;
+            }
+
+            if (error instanceof SyntaxError) {
+                throw new ApiError(`Réponse invalide: ${url}`, { url, cause: error });
+            }
+
+            throw new NetworkError(`Serveur injoignable: ${url}`, { url, cause: error });
+        } finally {
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener('abort', abortFromCaller);
+            }
+        }
+    }
+
+    /**
+     * Récupère une page spécifique d'un endpoint paginé
+     * @param {string} path - Chemin de l'endpoint
+     * @param {number} page - Numéro de la page à récupérer
+     * @param {string} queryParams - Paramètres de requête additionnels (ex: 'sort_by=-imdb_score')
+     * @param {Object} options - Options transmises à request()
+     * @returns {Promise<Object>} - Données de la page
+     */
+    fetchPage(path, page = 1, queryParams = '', options = {}) {
+        const query = queryParams ? `page=${page}&${queryParams}` : `page=${page}`;
+        return this.request(path, { ...options, queryParams: query });
     }
 }
 
+// Client partagé par toute l'application, avec cache persistant
+export const apiClient = new ApiClient({
+    cache: new ResponseCache({ persist: true })
+});
+
 /**
  * Récupère tous les genres disponibles depuis l'API
  * @param {number} maxPages - Nombre maximum de pages à récupérer
  * @returns {Promise<Array>} - Liste des genres
+ * @throws {ApiError} - Si une page ne peut pas être récupérée
  */
 export async function fetchGenres(maxPages = 5) {
-    try {
-        const genresUrl = `${API_CONFIG.baseUrl}${API_CONFIG.endpoints.genres}`;
-        let allGenres = [];
-        
-        for (let page = 1; page <= maxPages; page++) {
-            const data = await fetchPage(genresUrl, page);
-            
-            if (data && data.results) {
-                allGenres = allGenres.concat(data.results);
-            }
-            
-            // Arrêter si plus de pages disponibles
-            if (!data || !data.next) {
-                break;
-            }
+    let allGenres = [];
+
+    for (let page = 1; page <= maxPages; page++) {
+        const data = await apiClient.fetchPage(apiClient.endpoints.genres, page);
+
+        if (data && data.results) {
+            allGenres = allGenres.concat(data.results);
+        }
+
+        // Arrêter si plus de pages disponibles
+        if (!data || !data.next) {
+            break;
         }
-        
-        console.log(`${allGenres.length} genres récupérés`);
-        return allGenres;
-    } catch (error) {
-        console.error('Erreur lors de la récupération des genres:', error);
-        return [];
     }
+
+    console.log(`${allGenres.length} genres récupérés`);
+    return allGenres;
 }
 
 /**
  * Récupère les films selon des critères de recherche
  * @param {number} page - Numéro de la page
  * @param {string} queryParams - Paramètres de filtrage (ex: 'genre=Action&sort_by=-imdb_score')
- * @returns {Promise<Object|null>} - Données des films avec pagination
+ * @param {Object} options - Options de requête (ex: { signal })
+ * @returns {Promise<Object>} - Données des films avec pagination
+ * @throws {ApiError} - Si la page ne peut pas être récupérée
  */
-export async function fetchMovies(page = 1, queryParams = '') {
-    try {
-        const titlesUrl = `${API_CONFIG.baseUrl}${API_CONFIG.endpoints.titles}`;
-        const data = await fetchPage(titlesUrl, page, queryParams);
-        
-        if (data) {
-            console.log(`Page ${page} récupérée: ${data.results?.length || 0} films`);
-        }
-        
-        return data;
-    } catch (error) {
-        console.error('Erreur lors de la récupération des films:', error);
-        return null;
-    }
+export async function fetchMovies(page = 1, queryParams = '', options = {}) {
+    const data = await apiClient.fetchPage(apiClient.endpoints.titles, page, queryParams, options);
+
+    console.log(`Page ${page} récupérée: ${data.results?.length || 0} films`);
+    return data;
 }
 
 /**
  * Récupère les détails complets d'un film spécifique
  * @param {string|number} movieId - ID du film
- * @returns {Promise<Object|null>} - Détails complets du film
+ * @param {Object} options - Options de requête (ex: { signal })
+ * @returns {Promise<Object>} - Détails complets du film
+ * @throws {NotFoundError} - Si le film n'existe pas
+ * @throws {ApiError} - Pour toute autre erreur
  */
-export async function fetchMovieDetails(movieId) {
-    try {
-        const url = `${API_CONFIG.baseUrl}${API_CONFIG.endpoints.titles}${movieId}`;
-        console.log('Récupération des détails du film:', url);
-        
-        const response = await fetch(url);
-        
-        if (!response.ok) {
-            throw new Error(`Erreur HTTP: ${response.status}`);
-        }
-        
-        const data = await response.json();
-        console.log('Détails du film récupérés:', data.title);
-        return data;
-    } catch (error) {
-        console.error('Erreur lors de la récupération des détails:', error);
-        return null;
-    }
+export async function fetchMovieDetails(movieId, options = {}) {
+    const path = `${apiClient.endpoints.titles}${encodeURIComponent(movieId)}`;
+    const data = await apiClient.request(path, options);
+
+    console.log('Détails du film récupérés:', data.title);
+    return data;
+}
+
+/**
+ * Récupère la page suivante d'une réponse paginée à partir de son lien `next`
+ * @param {string} nextUrl - URL absolue fournie par l'API dans le champ `next`
+ * @param {Object} options - Options de requête (ex: { signal })
+ * @returns {Promise<Object>} - Données de la page suivante
+ * @throws {ApiError} - Si la page ne peut pas être récupérée
+ */
+export async function fetchNextPage(nextUrl, options = {}) {
+    const data = await apiClient.request(nextUrl, options);
+
+    console.log(`Page suivante récupérée: ${data.results?.length || 0} films`);
+    return data;
 }
@@ -0,0 +1,232 @@
+/**
+ * Module de cache des réponses de l'API
+ * Conserve les réponses en mémoire avec une durée de vie (TTL) et,
+ * optionnellement, dans le localStorage pour les visites suivantes
+ */
+
+// Configuration par défaut du cache
+const CACHE_CONFIG = {
+    ttl: 5 * 60 * 1000,          // Réponse considérée fraîche pendant 5 minutes
+    maxAge: 24 * 60 * 60 * 1000, // Réponse servie (puis revalidée) jusqu'à 24 heures
+    storagePrefix: 'jsi-cache:',
+    maxMemoryEntries: 300,       // Au-delà, les entrées les moins récemment utilisées sont retirées de la mémoire
+    maxPersistedEntries: 200
+};
+
+/**
+ * Cache de réponses à deux niveaux : mémoire et localStorage
+ * Une entrée plus jeune que `ttl` est fraîche ; entre `ttl` et `maxAge`
+ * elle est périmée mais reste utilisable (stale-while-revalidate).
+ * La mémoire est bornée : l'entrée la moins récemment lue ou écrite est retirée en premier (LRU).
+ */
+export class ResponseCache {
+    /**
+     * @param {Object} options - Options du cache
+     * @param {number} options.ttl - Durée de fraîcheur d'une entrée en ms
+     * @param {number} options.maxAge - Âge maximal d'une entrée utilisable en ms
+     * @param {number} options.maxMemoryEntries - Nombre maximal d'entrées gardées en mémoire
+     * @param {boolean} options.persist - Active la persistance dans le localStorage
+     * @param {Storage} options.storage - Stockage à utiliser (par défaut : window.localStorage)
+     */
+    constructor(options = {}) {
+        this.ttl = options.ttl ?? CACHE_CONFIG.ttl;
+        this.maxAge = options.maxAge ?? CACHE_CONFIG.maxAge;
+        this.prefix = options.storagePrefix ?? CACHE_CONFIG.storagePrefix;
+        this.maxMemoryEntries = options.maxMemoryEntries ?? CACHE_CONFIG.maxMemoryEntries;
+        this.maxPersistedEntries = options.maxPersistedEntries ?? CACHE_CONFIG.maxPersistedEntries;
+        this.storage = options.persist ? (options.storage || getLocalStorage()) : null;
+        this.memory = new Map();
+    }
+
+    /**
+     * Lit une entrée du cache
+     * @param {string} key - Clé de l'entrée (URL de la requête)
+     * @returns {{data: Object, storedAt: number, fresh: boolean}|null} - Entrée ou null si absente ou expirée
+     */
+    get(key) {
+        let entry = this.memory.get(key);
+
+        if (!entry && this.storage) {
+            entry = this.readPersisted(key);
+        }
+
+        if (!entry) {
+            return null;
+        }
+
+        const age = Date.now() - entry.storedAt;
+
+        if (age > this.maxAge) {
+            this.delete(key);
+            return null;
+        }
+
+        this.remember(key, entry);
+        return { data: entry.data, storedAt: entry.storedAt, fresh: age <= this.ttl };
+    }
+
+    /**
+     * Enregistre une entrée dans le cache
+     * @param {string} key - Clé de l'entrée
+     * @param {Object} data - Données à conserver
+     */
+    set(key, data) {
+        const entry = { data, storedAt: Date.now() };
+        this.remember(key, entry);
+
+        if (this.storage) {
+            this.writePersisted(key, entry);
+        }
+    }
+
+    /**
+     * Place une entrée en mémoire comme la plus récemment utilisée
+     * Une Map conserve l'ordre d'insertion : ses premières clés sont les moins récemment utilisées.
+     * @param {string} key - Clé de l'entrée
+     * @param {Object} entry - Entrée ({ data, storedAt })
+     */
+    remember(key, entry) {
+        this.memory.delete(key);
+        this.memory.set(key, entry);
+
+        while (this.memory.size > this.maxMemoryEntries) {
+            this.memory.delete(this.memory.keys().next().value);
+        }
+    }
+
+    /**
+     * Supprime une entrée du cache
+     * @param {string} key - Clé de l'entrée
+     */
+    delete(key) {
+        this.memory.delete(key);
+
+        if (this.storage) {
+            try {
+                this.storage.removeItem(this.prefix + key);
+            } catch (error) {
+                console.warn('Suppression impossible dans le cache persistant:', error);
+            }
+        }
+    }
+
+    /**
+     * Vide entièrement le cache (mémoire et stockage persistant)
+     */
+    clear() {
+        this.memory.clear();
+
+        if (this.storage) {
+            try {
+                this.persistedKeys().forEach(storageKey => this.storage.removeItem(storageKey));
+            } catch (error) {
+                console.warn('Impossible de vider le cache persistant:', error);
+            }
+        }
+    }
+
+    /**
+     * Lit une entrée depuis le stockage persistant
+     * @param {string} key - Clé de l'entrée
+     * @returns {Object|null} - Entrée ou null si absente ou illisible
+     */
+    readPersisted(key) {
+        try {
+            const raw = this.storage.getItem(this.prefix + key);
+            return raw ? JSON.parse(raw) : null;
+        } catch (error) {
+            console.warn('Entrée de cache illisible, ignorée:', key);
+            return null;
+        }
+    }
+
+    /**
+     * Écrit une entrée dans le stockage persistant
+     * En cas de quota dépassé, les entrées les plus anciennes sont supprimées puis l'écriture est retentée une fois.
+     * @param {string} key - Clé de l'entrée
+     * @param {Object} entry - Entrée à écrire
+     */
+    writePersisted(key, entry) {
+        const serialized = JSON.stringify(entry);
+
+        try {
+            this.storage.setItem(this.prefix + key, serialized);
+            this.prune(this.maxPersistedEntries);
+        } catch (error) {
+            console.warn('Cache persistant plein, suppression des entrées les plus anciennes');
+
+            // Un stockage inaccessible ne doit pas faire échouer la requête qui a réussi
+            try {
+                this.prune(Math.floor(this.maxPersistedEntries / 2));
+                this.storage.setItem(this.prefix + key, serialized);
+            } catch (retryError) {
+                console.warn('Impossible de persister la réponse:', key);
+            }
+        }
+    }
+
+    /**
+     * Limite le nombre d'entrées persistées en supprimant les plus anciennes
+     * @param {number} limit - Nombre maximal d'entrées à conserver
+     */
+    prune(limit) {
+        const keys = this.persistedKeys();
+
+        if (keys.length <= limit) {
+            return;
+        }
+
+        keys
+            .map(storageKey => ({ storageKey, storedAt: this.readStoredAt(storageKey) }))
+            .sort((a, b) => a.storedAt - b.storedAt)
+            .slice(0, keys.length - limit)
+            .forEach(({ storageKey }) => this.storage.removeItem(storageKey));
+    }
+
+    /**
+     * Liste les clés du stockage appartenant à ce cache
+     * @returns {Array<string>} - Clés préfixées
+     */
+    persistedKeys() {
+        const keys = [];
+
+        for (let i = 0; i < this.storage.length; i++) {
+            const storageKey = this.storage.key(i);
+            if (storageKey && storageKey.startsWith(this.prefix)) {
+                keys.push(storageKey);
+            }
+        }
+
+        return keys;
+    }
+
+    /**
+     * Lit la date d'enregistrement d'une entrée persistée
+     * @param {string} storageKey - Clé préfixée
+     * @returns {number} - Timestamp (0 si illisible)
+     */
+    readStoredAt(storageKey) {
+        try {
+            return JSON.parse(this.storage.getItem(storageKey)).storedAt || 0;
+        } catch (error) {
+            return 0;
+        }
+    }
+}
+
+/**
+ * Renvoie le localStorage s'il est disponible (navigation privée, quotas désactivés...)
+ * @returns {Storage|null}
+ */
+function getLocalStorage() {
+    try {
+        const storage = window.localStorage;
+        const testKey = `${CACHE_CONFIG.storagePrefix}test`;
+        storage.setItem(testKey, '1');
+        storage.removeItem(testKey);
+        return storage;
+    } catch (error) {
+        console.warn('localStorage indisponible, cache en mémoire uniquement');
+        return null;
+    }
+}
@@ -4,22 +4,65 @@
  */
 
 import { fetchMovies, fetchGenres } from './api.js';
-import { createMovieCard, createGenreDropdown } from './ui-components.js';
+import { createMovieCard, createSkeletonCard, createGenreDropdown, setGenreDropdownLoading, Carousel, announce } from './ui-components.js';
+import { buildQuery, parseQuery } from './query-builder.js';
+import { router, buildHash } from './router.js';
+import { InfiniteMovieList } from './infinite-list.js';
+import { SectionState } from './section-state.js';
+import { getFavorites, onFavoritesChange, exportFavorites, importFavorites } from './favorites.js';
+import { getRecommendations, hasRecommendationSources, getHistory, clearHistory, onHistoryChange, describeReason, describeRecommendations } from './recommendations.js';
+import { loadLayout, getRowSize, getRowTitle } from './layout-config.js';
+import { initializeLayoutEditor } from './layout-editor.js';
+import { t } from './i18n.js';
+
+// Nombre de films ajoutés à un carrousel lorsque sa fin est atteinte
+const CAROUSEL_BATCH_SIZE = 6;
+
+// Délai regroupant les modifications successives de l'historique et de "Ma liste" (ms)
+const RECOMMENDATIONS_REFRESH_DELAY = 300;
+
+// État de chargement de chaque catégorie (voir section-state.js)
+const sectionStates = new WeakMap();
+
+// Carrousel de chaque catégorie, libéré quand la disposition de l'accueil est redessinée
+const carousels = new WeakMap();
+
+// Liste à défilement infini de la page "Tout voir" affichée
+let categoryPageList = null;
+
+// Recalcul de "Recommandé pour vous" en attente du retour sur l'accueil (voir applyHomeState)
+let refreshRecommendations = null;
 
 /**
  * Récupère plusieurs pages de films et les combine
  * @param {number} movieCount - Nombre total de films à récupérer
  * @param {string} queryParams - Paramètres de requête (ex: 'genre=Action&sort_by=-imdb_score')
+ * @param {number} offset - Nombre de films à ignorer en début de liste (films déjà affichés)
+ * @param {Object} options - Options de requête
+ * @param {AbortSignal} options.signal - Signal d'annulation optionnel
  * @returns {Promise<Array>} - Liste des films
+ * @throws {ApiError} - Si l'une des pages ne peut pas être récupérée
  */
-async function fetchMultiplePages(movieCount, queryParams = '') {
-    // Calculer le nombre de pages nécessaires (5 films par page)
-    const pagesNeeded = Math.ceil(movieCount / 5);
+export async function fetchMultiplePages(movieCount, queryParams = '', offset = 0, options = {}) {
+    // La première page indique la taille réelle des pages de l'API (elle est mise en cache)
+    const firstPage = await fetchMovies(1, queryParams, options);
+    const firstResults = firstPage.results || [];
+    const pageSize = firstResults.length;
+    
+    if (pageSize === 0) {
+        return [];
+    }
     
-    // Récupérer toutes les pages en parallèle
+    // Calculer les pages nécessaires, sans dépasser le nombre total de films
+    const total = firstPage.count || (offset + movieCount);
+    const end = Math.min(offset + movieCount, total);
+    const firstPageNeeded = Math.floor(offset / pageSize) + 1;
+    const lastPageNeeded = Math.ceil(end / pageSize);
+    
+    // Récupérer les pages en parallèle
     const promises = [];
-    for (let page = 1; page <= pagesNeeded; page++) {
-        promises.push(fetchMovies(page, queryParams));
+    for (let page = firstPageNeeded; page <= lastPageNeeded; page++) {
+        promises.push(page === 1 ? Promise.resolve(firstPage) : fetchMovies(page, queryParams, options));
     }
     
     const responses = await Promise.all(promises);
@@ -33,49 +76,108 @@ async function fetchMultiplePages(movieCount, queryParams = '') {
     });
     
     // Retourner le nombre exact de films demandé
-    return allMovies.slice(0, movieCount);
+    const start = offset - (firstPageNeeded - 1) * pageSize;
+    return allMovies.slice(start, start + movieCount);
+}
+
+/**
+ * Ajoute des cartes de films à un conteneur
+ * @param {HTMLElement} container - Grille ou piste de carrousel
+ * @param {Array} movies - Films à afficher
+ */
+function renderMovieCards(container, movies) {
+    movies.forEach(movie => {
+        const movieCard = createMovieCard(movie);
+        if (movieCard) {
+            container.appendChild(movieCard);
+        }
+    });
 }
 
 /**
  * Affiche les films d'une catégorie dans un conteneur spécifique
+ * La catégorie affiche des cartes de chargement, puis ses films, un message si elle
+ * est vide ou une erreur avec un bouton "Réessayer" qui ne recharge qu'elle.
  * @param {string} containerSelector - Sélecteur CSS du conteneur (ex: '.category-action .movies-grid')
  * @param {number} movieCount - Nombre de films à afficher
  * @param {string} queryParams - Paramètres de filtrage et tri
- * @param {string} categoryName - Nom de la catégorie (pour les logs)
+ * @param {string} categoryName - Nom de la catégorie (pour les messages)
+ * @param {Object} options - Options
+ * @param {string} options.emptyMessage - Message affiché si aucun film n'est trouvé
+ * @param {Function} options.onLoaded - Appelée après chaque affichage réussi (y compris après "Réessayer")
+ * @param {TaskQueue} options.queue - File limitant les chargements simultanés (facultatif)
+ * @returns {Promise<boolean>} - true si des films ont été affichés
  */
-export async function displayCategoryMovies(containerSelector, movieCount, queryParams = '', categoryName = 'Films') {
-    console.log(`Chargement: ${categoryName}`);
-    
-    // Récupérer les films
-    const movies = await fetchMultiplePages(movieCount, queryParams);
-    
-    if (movies.length === 0) {
-        console.error(`Aucun film récupéré pour: ${categoryName}`);
-        return;
-    }
-    
-    console.log(`${categoryName}: ${movies.length} films récupérés`);
+export async function displayCategoryMovies(containerSelector, movieCount, queryParams = '', categoryName = t('common.movies'), options = {}) {
+    const { emptyMessage = t('categories.empty', { name: categoryName }), onLoaded = null, queue = null } = options;
     
     // Récupérer le conteneur
     const container = document.querySelector(containerSelector);
     
     if (!container) {
         console.error(`Conteneur non trouvé: ${containerSelector}`);
-        return;
+        return false;
     }
     
-    // Vider le contenu existant
-    container.innerHTML = '';
+    // Un seul état par catégorie, conservé d'un chargement à l'autre
+    const section = container.closest('.category-section') || container.parentElement;
+    let sectionState = sectionStates.get(section);
+    if (!sectionState) {
+        sectionState = new SectionState(section, {
+            content: container,
+            skeletonCount: movieCount,
+            name: section.dataset.categoryId
+        });
+        sectionStates.set(section, sectionState);
+    }
     
-    // Injecter chaque film
-    movies.forEach(movie => {
-        const movieCard = createMovieCard(movie);
-        if (movieCard) {
-            container.appendChild(movieCard);
+    // Un nouveau chargement de la catégorie (changement de genre) annule le précédent
+    const load = (signal) => {
+        console.log(`Chargement: ${categoryName}`);
+        return fetchMultiplePages(movieCount, queryParams, 0, { signal });
+    };
+    
+    return sectionState.run(queue ? (signal) => queue.add(() => load(signal)) : load, (movies) => {
+        console.log(`${categoryName}: ${movies.length} films récupérés`);
+        renderMovieCards(container, movies);
+        
+        if (movies.length > 0 && onLoaded) {
+            onLoaded();
         }
+        
+        return movies.length;
+    }, {
+        loading: t('categories.loading', { name: categoryName }),
+        empty: emptyMessage,
+        error: t('categories.error', { name: categoryName })
     });
+}
+
+/**
+ * Affiche ou masque les films supplémentaires d'une catégorie
+ * @param {HTMLElement} container - Conteneur de la catégorie
+ * @param {boolean} expanded - true pour afficher tous les films
+ */
+function setCategoryExpanded(container, expanded) {
+    const button = container.querySelector('.show-more-btn');
+    const movieCards = container.querySelectorAll('.movies-grid .movie-card');
+    
+    movieCards.forEach(card => card.classList.toggle('show-all', expanded));
     
-    console.log(`${categoryName}: films affichés`);
+    if (button) {
+        button.textContent = expanded ? t('categories.showLess') : t('categories.showMore');
+        button.dataset.expanded = String(expanded);
+    }
+}
+
+/**
+ * Reflète dans l'URL la liste des catégories dépliées de l'accueil
+ */
+function updateExpandedQuery() {
+    const expandedIds = Array.from(document.querySelectorAll('.categories .show-more-btn[data-expanded="true"]'))
+        .map(button => button.dataset.categoryId);
+    
+    router.updateQuery({ expanded: expandedIds.join(',') });
 }
 
 /**
@@ -86,44 +188,106 @@ export async function displayCategoryMovies(containerSelector, movieCount, query
 function createShowMoreButton(categoryId) {
     const button = document.createElement('button');
     button.className = 'show-more-btn';
-    button.textContent = 'Voir plus';
+    button.textContent = t('categories.showMore');
     button.dataset.categoryId = categoryId;
     
     // Gérer le clic pour afficher/masquer les films
     button.addEventListener('click', () => {
-        const grid = document.querySelector(`.category-${categoryId} .movies-grid`);
-        const movieCards = grid.querySelectorAll('.movie-card');
-        const isExpanded = button.dataset.expanded === 'true';
-        
-        if (isExpanded) {
-            // Masquer les films supplémentaires
-            movieCards.forEach(card => {
-                card.classList.remove('show-all');
-            });
-            button.textContent = 'Voir plus';
-            button.dataset.expanded = 'false';
-        } else {
-            // Afficher tous les films
-            movieCards.forEach(card => {
-                card.classList.add('show-all');
-            });
-            button.textContent = 'Voir moins';
-            button.dataset.expanded = 'true';
-        }
+        const container = document.querySelector(`.category-${categoryId}`);
+        setCategoryExpanded(container, button.dataset.expanded !== 'true');
+        updateExpandedQuery();
     });
     
     return button;
 }
 
+/**
+ * Calcule l'URL de la page "Tout voir" d'une catégorie
+ * Une catégorie de genre triée par score pointe vers #/genre/:nom, les autres vers #/browse.
+ * @param {string} categoryName - Nom de la catégorie (titre de la page)
+ * @param {string} queryParams - Paramètres de filtrage et tri
+ * @returns {string} - Hash de la page complète
+ */
+function getCategoryPageHash(categoryName, queryParams) {
+    const filters = parseQuery(queryParams);
+    const filterKeys = Object.keys(filters);
+    
+    if (filters.genre && filters.sortBy === '-imdb_score' && filterKeys.length === 2) {
+        return `#/genre/${encodeURIComponent(filters.genre)}`;
+    }
+    
+    return buildHash('/browse', { ...Object.fromEntries(new URLSearchParams(queryParams)), label: categoryName });
+}
+
+/**
+ * Crée le lien "Tout voir" vers la page complète d'une catégorie
+ * @param {string} categoryName - Nom de la catégorie
+ * @param {string} queryParams - Paramètres de filtrage et tri
+ * @returns {HTMLAnchorElement} - Lien vers la page complète
+ */
+function createCategoryLink(categoryName, queryParams) {
+    const link = document.createElement('a');
+    link.className = 'category-link';
+    link.textContent = t('categories.seeAll');
+    link.href = getCategoryPageHash(categoryName, queryParams);
+    return link;
+}
+
+/**
+ * Crée le corps d'une catégorie : grille avec bouton "Voir plus" ou carrousel
+ * @param {HTMLElement} container - Conteneur de la catégorie
+ * @param {string} categoryId - Identifiant de la catégorie
+ * @param {string} categoryName - Nom de la catégorie (nom accessible du carrousel)
+ * @param {string} layout - 'grid' ou 'carousel'
+ * @param {Function} getQueryParams - Renvoie les paramètres de requête courants de la catégorie
+ * @returns {Carousel|null} - Carrousel créé, ou null pour une grille
+ */
+function createCategoryBody(container, categoryId, categoryName, layout, getQueryParams) {
+    if (layout === 'carousel') {
+        const carousel = new Carousel(categoryName, async () => {
+            // Charger les films suivants à la fin de la piste
+            const queryParams = getQueryParams();
+            const shownCount = carousel.track.querySelectorAll('.movie-card').length;
+            const movies = await fetchMultiplePages(CAROUSEL_BATCH_SIZE, queryParams, shownCount);
+            
+            // Le genre a changé entre-temps : ces films n'appartiennent plus à la catégorie
+            if (queryParams !== getQueryParams()) {
+                return true;
+            }
+            
+            renderMovieCards(carousel.track, movies);
+            return movies.length === CAROUSEL_BATCH_SIZE;
+        });
+        
+        container.appendChild(carousel.element);
+        carousels.set(container, carousel);
+        return carousel;
+    }
+    
+    const grid = document.createElement('div');
+    grid.className = 'movies-grid';
+    
+    container.appendChild(grid);
+    container.appendChild(createShowMoreButton(categoryId));
+    return null;
+}
+
 /**
  * Crée et affiche une catégorie avec titre fixe
  * @param {string} categoryName - Nom de la catégorie
  * @param {string} categoryId - Identifiant unique
  * @param {string} queryParams - Paramètres de requête
  * @param {number} movieCount - Nombre de films à afficher
+ * @param {Object} options - Options d'affichage
+ * @param {string} options.parentSelector - Sélecteur CSS de l'élément qui accueille la catégorie
+ * @param {string} options.layout - 'grid' (grille avec "Voir plus") ou 'carousel'
+ * @param {string} options.emptyMessage - Message affiché si aucun film n'est trouvé
+ * @param {TaskQueue} options.queue - File limitant les chargements simultanés (facultatif)
  * @returns {HTMLElement} - Conteneur de la catégorie créé
  */
-export async function createFixedCategory(categoryName, categoryId, queryParams, movieCount = 6) {
+export async function createFixedCategory(categoryName, categoryId, queryParams, movieCount = 6, options = {}) {
+    const { parentSelector = '.categories', layout = 'grid', emptyMessage, queue } = options;
+    
     const container = document.createElement('div');
     container.className = `category-section category-${categoryId}`;
     container.dataset.categoryId = categoryId;
@@ -132,21 +296,21 @@ export async function createFixedCategory(categoryName, categoryId, queryParams,
     title.className = 'category-title';
     title.textContent = categoryName;
     
-    const grid = document.createElement('div');
-    grid.className = 'movies-grid';
-    
-    // Créer le bouton "Voir plus"
-    const showMoreBtn = createShowMoreButton(categoryId);
+    // Lien vers la page complète de la catégorie
+    title.appendChild(createCategoryLink(categoryName, queryParams));
     
     container.appendChild(title);
-    container.appendChild(grid);
-    container.appendChild(showMoreBtn);
+    const carousel = createCategoryBody(container, categoryId, categoryName, layout, () => queryParams);
     
     // Ajouter au DOM
-    document.querySelector('.categories').appendChild(container);
+    document.querySelector(parentSelector).appendChild(container);
     
     // Charger les films
-    await displayCategoryMovies(`.category-${categoryId} .movies-grid`, movieCount, queryParams, categoryName);
+    await displayCategoryMovies(`.category-${categoryId} .movies-grid`, movieCount, queryParams, categoryName, {
+        emptyMessage,
+        queue,
+        onLoaded: () => carousel && carousel.reset()
+    });
     
     return container;
 }
@@ -157,127 +321,516 @@ export async function createFixedCategory(categoryName, categoryId, queryParams,
  * @param {Array} availableGenres - Liste de tous les genres disponibles
  * @param {Object} defaultGenre - Genre à afficher par défaut
  * @param {number} movieCount - Nombre de films à afficher
+ * @param {Object} options - Options d'affichage
+ * @param {string} options.layout - 'grid' (grille avec "Voir plus") ou 'carousel'
+ * @param {TaskQueue} options.queue - File limitant les chargements simultanés (facultatif)
+ * @param {HTMLElement} options.placeholder - Emplacement réservé à remplacer par la catégorie (facultatif)
  * @returns {HTMLElement} - Conteneur de la catégorie créé
  */
-export async function createDropdownCategory(categoryId, availableGenres, defaultGenre, movieCount = 6) {
+export async function createDropdownCategory(categoryId, availableGenres, defaultGenre, movieCount = 6, options = {}) {
+    const { layout = 'grid', queue, placeholder = null } = options;
     const container = document.createElement('div');
     container.className = `category-section category-${categoryId}`;
     container.dataset.categoryId = categoryId;
     
+    // Paramètres de requête du genre sélectionné
+    let currentQuery = buildQuery({ genre: defaultGenre.value, sortBy: '-imdb_score' });
+    
+    // Numéro de la dernière sélection : seule celle-ci termine le chargement
+    let selectionVersion = 0;
+    
     // Créer le titre avec menu déroulant
     const titleWithDropdown = createGenreDropdown(
         availableGenres,
         defaultGenre,
         async (selectedGenre) => {
             console.log(`Genre sélectionné: ${selectedGenre.label}`);
+            const version = ++selectionVersion;
+            currentQuery = buildQuery({ genre: selectedGenre.value, sortBy: '-imdb_score' });
+            genreLink.href = getCategoryPageHash(selectedGenre.label, currentQuery);
+            router.updateQuery({ [categoryId]: selectedGenre.value });
+            
+            if (carousel) {
+                carousel.track.setAttribute('aria-label', selectedGenre.label);
+            }
+            
             const gridSelector = `.category-${categoryId} .movies-grid`;
+            setGenreDropdownLoading(titleWithDropdown, true);
             await displayCategoryMovies(
                 gridSelector,
                 movieCount,
-                `genre=${selectedGenre.value}&sort_by=-imdb_score`,
-                selectedGenre.label
+                currentQuery,
+                selectedGenre.label,
+                { onLoaded: resetCarousel }
             );
             
-            // Réinitialiser le bouton "Voir plus" après changement de genre
-            const showMoreBtn = container.querySelector('.show-more-btn');
-            if (showMoreBtn) {
-                showMoreBtn.textContent = 'Voir plus';
-                showMoreBtn.dataset.expanded = 'false';
-                const grid = container.querySelector('.movies-grid');
-                const movieCards = grid.querySelectorAll('.movie-card');
-                movieCards.forEach(card => card.classList.remove('show-all'));
+            // Un genre plus récent a été choisi pendant le chargement : il se charge de la suite
+            if (version !== selectionVersion) {
+                return;
             }
+            
+            setGenreDropdownLoading(titleWithDropdown, false);
+            
+            // Réinitialiser le bouton "Voir plus" après changement de genre
+            setCategoryExpanded(container, false);
+            updateExpandedQuery();
         }
     );
     
-    // Créer la grille
-    const grid = document.createElement('div');
-    grid.className = 'movies-grid';
-    
-    // Créer le bouton "Voir plus"
-    const showMoreBtn = createShowMoreButton(categoryId);
+    // Lien vers la page complète du genre sélectionné
+    const genreLink = createCategoryLink(defaultGenre.label, currentQuery);
+    titleWithDropdown.appendChild(genreLink);
     
+    // Créer la grille ou le carrousel
     container.appendChild(titleWithDropdown);
-    container.appendChild(grid);
-    container.appendChild(showMoreBtn);
-    
-    // Ajouter au DOM
-    document.querySelector('.categories').appendChild(container);
+    const carousel = createCategoryBody(container, categoryId, defaultGenre.label, layout, () => currentQuery);
+    const resetCarousel = () => carousel && carousel.reset();
+    
+    // Ajouter au DOM, à la place de l'emplacement réservé s'il existe
+    if (placeholder) {
+        placeholder.replaceWith(container);
+    } else {
+        document.querySelector('.categories').appendChild(container);
+    }
     
     // Charger les films du genre par défaut
     const gridSelector = `.category-${categoryId} .movies-grid`;
+    const version = selectionVersion;
+    setGenreDropdownLoading(titleWithDropdown, true);
     await displayCategoryMovies(
         gridSelector,
         movieCount,
-        `genre=${defaultGenre.value}&sort_by=-imdb_score`,
-        defaultGenre.label
+        currentQuery,
+        defaultGenre.label,
+        { onLoaded: resetCarousel, queue }
     );
     
+    if (version === selectionVersion) {
+        setGenreDropdownLoading(titleWithDropdown, false);
+    }
+    
     return container;
 }
 
+/**
+ * Crée les actions d'export et d'import de "Ma liste"
+ * @returns {HTMLElement} - Conteneur des actions
+ */
+function createFavoritesActions() {
+    const actions = document.createElement('div');
+    actions.className = 'favorites-actions';
+    
+    const exportButton = document.createElement('button');
+    exportButton.type = 'button';
+    exportButton.textContent = t('favorites.export');
+    
+    const importButton = document.createElement('button');
+    importButton.type = 'button';
+    importButton.textContent = t('favorites.import');
+    
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = 'application/json,.json';
+    fileInput.hidden = true;
+    
+    const status = document.createElement('p');
+    status.className = 'favorites-actions__status';
+    status.setAttribute('aria-live', 'polite');
+    
+    // Télécharger la liste au format JSON
+    exportButton.addEventListener('click', () => {
+        const blob = new Blob([exportFavorites()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'ma-liste-juststreamit.json';
+        link.click();
+        URL.revokeObjectURL(url);
+    });
+    
+    // Importer un fichier exporté depuis un autre navigateur
+    importButton.addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        if (!file) {
+            return;
+        }
+        
+        try {
+            const addedCount = importFavorites(await file.text());
+            status.textContent = t('favorites.imported', { count: addedCount });
+        } catch (error) {
+            status.textContent = t('favorites.importFailed', { message: error.message });
+        }
+        fileInput.value = '';
+    });
+    
+    actions.appendChild(exportButton);
+    actions.appendChild(importButton);
+    actions.appendChild(fileInput);
+    actions.appendChild(status);
+    
+    return actions;
+}
+
+/**
+ * Crée la catégorie "Ma liste" en tête des catégories
+ * Elle est mise à jour à chaque ajout ou retrait d'un favori.
+ * @returns {HTMLElement} - Conteneur de la catégorie créé
+ */
+export function createFavoritesCategory() {
+    const container = document.createElement('div');
+    container.className = 'category-section category-favorites';
+    container.dataset.categoryId = 'favorites';
+    
+    const title = document.createElement('h2');
+    title.className = 'category-title';
+    title.textContent = t('favorites.title');
+    
+    const emptyMessage = document.createElement('p');
+    emptyMessage.className = 'favorites-empty';
+    emptyMessage.textContent = t('favorites.empty');
+    
+    const carousel = new Carousel(t('favorites.title'));
+    
+    container.appendChild(title);
+    container.appendChild(createFavoritesActions());
+    container.appendChild(emptyMessage);
+    container.appendChild(carousel.element);
+    
+    // Afficher les favoris avec le même rendu que les autres catégories
+    const render = () => {
+        const favorites = getFavorites();
+        carousel.track.innerHTML = '';
+        renderMovieCards(carousel.track, favorites);
+        emptyMessage.hidden = favorites.length > 0;
+        carousel.element.hidden = favorites.length === 0;
+        carousel.reset();
+    };
+    
+    onFavoritesChange(render);
+    render();
+    
+    document.querySelector('.categories').prepend(container);
+    return container;
+}
+
+/**
+ * Crée la catégorie "Recommandé pour vous" après "Ma liste"
+ * Elle est calculée à partir de l'historique de visionnage et de "Ma liste", recalculée
+ * quand ceux-ci changent, et reste masquée tant qu'ils sont vides.
+ * @param {Object} options - Options
+ * @param {TaskQueue} options.queue - File limitant les chargements simultanés (facultatif)
+ * @returns {HTMLElement} - Conteneur de la catégorie créé
+ */
+export function createRecommendationsCategory(options = {}) {
+    const { queue = null } = options;
+    const container = document.createElement('div');
+    container.className = 'category-section category-recommended';
+    container.dataset.categoryId = 'recommended';
+    
+    const title = document.createElement('h2');
+    title.className = 'category-title';
+    title.textContent = t('recommendations.title');
+    
+    const actions = document.createElement('div');
+    actions.className = 'recommendations-actions';
+    
+    // Film du profil qui explique le plus de recommandations
+    const caption = document.createElement('p');
+    caption.className = 'recommendations-caption';
+    
+    const clearButton = document.createElement('button');
+    clearButton.type = 'button';
+    clearButton.textContent = t('recommendations.clear');
+    
+    actions.appendChild(caption);
+    actions.appendChild(clearButton);
+    
+    const carousel = new Carousel(t('recommendations.title'));
+    
+    container.appendChild(title);
+    container.appendChild(actions);
+    container.appendChild(carousel.element);
+    
+    const sectionState = new SectionState(container, {
+        content: carousel.track,
+        skeletonCount: CAROUSEL_BATCH_SIZE,
+        name: 'recommended'
+    });
+    
+    const load = () => {
+        caption.textContent = '';
+        clearButton.hidden = getHistory().length === 0;
+        container.hidden = !hasRecommendationSources();
+        
+        if (container.hidden) {
+            sectionState.cancel();
+            return Promise.resolve(false);
+        }
+        
+        const request = (signal) => getRecommendations(signal);
+        return sectionState.run(queue ? (signal) => queue.add(() => request(signal)) : request, (recommendations) => {
+            recommendations.forEach(({ movie, reason }) => {
+                const movieCard = createMovieCard(movie);
+                if (movieCard) {
+                    // Point commun expliquant la recommandation, affiché au survol
+                    movieCard.querySelector('.movie-card').title = describeReason(reason);
+                    carousel.track.appendChild(movieCard);
+                }
+            });
+            caption.textContent = describeRecommendations(recommendations);
+            carousel.reset();
+            return recommendations.length;
+        }, {
+            loading: t('recommendations.loading'),
+            empty: t('recommendations.empty'),
+            error: t('recommendations.error')
+        });
+    };
+    
+    // Effacer l'historique : les recommandations ne reposent plus que sur "Ma liste"
+    clearButton.addEventListener('click', () => {
+        clearHistory();
+        announce(t('recommendations.cleared'));
+    });
+    
+    // Historique ou "Ma liste" modifiés : un seul recalcul pour une série de modifications,
+    // reporté au prochain affichage de l'accueil si celui-ci est masqué
+    let refreshTimer = null;
+    let stale = false;
+    const scheduleLoad = () => {
+        clearTimeout(refreshTimer);
+        refreshTimer = setTimeout(() => {
+            const home = container.closest('[data-view]');
+            stale = Boolean(home && home.hidden);
+            if (!stale) {
+                load();
+            }
+        }, RECOMMENDATIONS_REFRESH_DELAY);
+    };
+    onHistoryChange(scheduleLoad);
+    onFavoritesChange(scheduleLoad);
+    
+    refreshRecommendations = () => {
+        if (stale) {
+            stale = false;
+            load();
+        }
+    };
+    
+    const favorites = document.querySelector('.categories .category-favorites');
+    if (favorites) {
+        favorites.after(container);
+    } else {
+        document.querySelector('.categories').prepend(container);
+    }
+    
+    load();
+    return container;
+}
+
+/**
+ * Affiche la page "Tout voir" d'une catégorie, chargée au fil du défilement
+ * @param {string} categoryName - Titre de la page
+ * @param {string} queryParams - Paramètres de filtrage et tri
+ */
+export async function displayCategoryPage(categoryName, queryParams) {
+    const page = document.querySelector('.category-page');
+    
+    // Arrêter la liste de la page précédente
+    if (categoryPageList) {
+        categoryPageList.destroy();
+    }
+    
+    page.querySelector('.category-page__title').textContent = categoryName;
+    
+    categoryPageList = new InfiniteMovieList(
+        page.querySelector('.movies-grid'),
+        page.querySelector('.category-page__more'),
+        page.querySelector('.category-page__status'),
+        queryParams
+    );
+    
+    await categoryPageList.start();
+}
+
+/**
+ * Applique à l'accueil l'état décrit par l'URL
+ * @param {Object} state - Paramètres de l'URL (genre par catégorie à menu déroulant, `expanded`)
+ */
+export function applyHomeState(state = {}) {
+    const expandedIds = state.expanded ? state.expanded.split(',') : [];
+    
+    document.querySelectorAll('.categories .category-section').forEach(container => {
+        const categoryId = container.dataset.categoryId;
+        const select = container.querySelector('.genre-dropdown');
+        const requestedGenre = state[categoryId];
+        
+        // Le changement de genre réinitialise lui-même l'état "Voir plus"
+        if (select && requestedGenre && select.value !== requestedGenre
+            && Array.from(select.options).some(option => option.value === requestedGenre)) {
+            select.value = requestedGenre;
+            select.dispatchEvent(new Event('change'));
+            return;
+        }
+        
+        setCategoryExpanded(container, expandedIds.includes(categoryId));
+    });
+    
+    if (refreshRecommendations) {
+        refreshRecommendations();
+    }
+}
+
+/**
+ * Récupère les genres depuis l'API au format des menus déroulants
+ * @returns {Promise<Array>} - Liste des genres [{label, value}] (vide si l'API est indisponible)
+ */
+async function loadAvailableGenres() {
+    try {
+        const genresFromAPI = await fetchGenres();
+        return genresFromAPI.map(genre => ({
+            label: genre.name,
+            value: genre.name
+        }));
+    } catch (error) {
+        console.error(`Impossible de récupérer les genres depuis l'API (${error.name}):`, error.message);
+        return [];
+    }
+}
+
 /**
  * Initialise toutes les catégories de films sur la page
+ * Les lignes affichées sont décrites par la disposition de l'accueil (voir layout-config.js).
+ * Toutes les lignes sont placées immédiatement, puis chargées en parallèle.
+ * @param {Object} state - Paramètres de l'URL à restaurer (voir applyHomeState)
+ * @param {Object} options - Options
+ * @param {TaskQueue} options.queue - File limitant les chargements simultanés
  */
-export async function initializeCategories() {
+export async function initializeCategories(state = {}, options = {}) {
     console.log('Initialisation des catégories...');
     
-    // Récupérer les genres depuis l'API
-    const genresFromAPI = await fetchGenres();
+    // "Ma liste" ne dépend pas de l'API : l'afficher immédiatement
+    createFavoritesCategory();
+    createRecommendationsCategory(options);
     
-    if (!genresFromAPI || genresFromAPI.length === 0) {
-        console.error('Impossible de récupérer les genres depuis l\'API');
-        return;
-    }
+    // Les genres ne sont nécessaires qu'aux menus déroulants : ne pas les attendre pour placer les lignes
+    const genresPromise = loadAvailableGenres();
     
-    // Transformer les genres en format utilisable
-    const availableGenres = genresFromAPI.map(genre => ({
-        label: genre.name,
-        value: genre.name
-    }));
+    // Charger la disposition de l'accueil (personnelle ou par défaut)
+    const { layout, source } = await loadLayout();
+    console.log(`Disposition de l'accueil chargée (${source}) : ${layout.rows.length} lignes`);
     
+    const layoutLoaded = renderHomeLayout(layout, genresPromise, state, options);
+    
+    // L'éditeur remplace les lignes affichées à chaque enregistrement
+    const availableGenres = await genresPromise;
     console.log(`${availableGenres.length} genres disponibles`);
+    initializeLayoutEditor(layout, availableGenres, (newLayout) => {
+        renderHomeLayout(newLayout, genresPromise, {}, options);
+    });
     
-    // Définition des catégories à afficher
-    const categories = [
-        {
-            type: 'fixed',
-            name: 'Films les mieux notés',
-            id: 'top-rated',
-            query: 'sort_by=-imdb_score'
-        },
-        {
-            type: 'fixed',
-            name: 'Mystery',
-            id: 'mystery',
-            query: 'genre=Mystery&sort_by=-imdb_score'
-        },
-        {
-            type: 'fixed',
-            name: 'Action',
-            id: 'action',
-            query: 'genre=Action&sort_by=-imdb_score'
-        },
-        {
-            type: 'dropdown',
-            id: 'dropdown-1',
-            defaultGenre: availableGenres[2] || availableGenres[0]
-        },
-        {
-            type: 'dropdown',
-            id: 'dropdown-2',
-            defaultGenre: availableGenres[3] || availableGenres[1]
-        }
-    ];
-    
-    // Créer chaque catégorie
-    for (const category of categories) {
-        if (category.type === 'fixed') {
-            await createFixedCategory(category.name, category.id, category.query);
-        } else if (category.type === 'dropdown') {
-            await createDropdownCategory(category.id, availableGenres, category.defaultGenre);
+    await layoutLoaded;
+    
+    // Restaurer les catégories dépliées
+    applyHomeState({ expanded: state.expanded });
+    
+    console.log('Toutes les catégories ont été initialisées');
+}
+
+/**
+ * Affiche les lignes d'une disposition de l'accueil
+ * Les lignes précédentes sont remplacées ; "Ma liste" et les recommandations sont conservées.
+ * Toutes les lignes sont placées dans leur ordre définitif avant le chargement
+ * de leurs films, et chacune s'affiche dès que ses films sont arrivés.
+ * @param {Object} layout - Disposition validée ({ version, rows })
+ * @param {Promise<Array>} genresPromise - Liste des genres [{label, value}], nécessaire aux menus déroulants
+ * @param {Object} state - Paramètres de l'URL (genres des menus déroulants)
+ * @param {Object} options - Options
+ * @param {TaskQueue} options.queue - File limitant les chargements simultanés
+ * @returns {Promise} - Résolue quand toutes les lignes sont chargées
+ */
+export async function renderHomeLayout(layout, genresPromise, state = {}, options = {}) {
+    const { queue = null } = options;
+    
+    document.querySelectorAll('.categories > .category-section:not(.category-favorites):not(.category-recommended)')
+        .forEach(section => {
+            const carousel = carousels.get(section);
+            if (carousel) {
+                carousel.destroy();
+            }
+            section.remove();
+        });
+    
+    // Chaque catégorie est ajoutée au DOM de façon synchrone, avant son premier chargement
+    const loads = layout.rows.map(row => {
+        const movieCount = getRowSize(row);
+        
+        if (row.type === 'fixed') {
+            return createFixedCategory(getRowTitle(row), row.id, buildQuery(row.query), movieCount, { layout: 'carousel', queue });
         }
+        
+        // Un menu déroulant occupe sa place en attendant la liste des genres
+        const placeholder = createCategoryPlaceholder(row.id, movieCount);
+        document.querySelector('.categories').appendChild(placeholder);
+        
+        return genresPromise.then(availableGenres => {
+            if (availableGenres.length === 0) {
+                console.warn(`Ligne "${row.id}" ignorée : aucun genre disponible`);
+                placeholder.remove();
+                return null;
+            }
+            
+            const defaultGenre = findGenre(availableGenres, state[row.id])
+                || findGenre(availableGenres, row.defaultGenre)
+                || availableGenres[row.genreIndex]
+                || availableGenres[0];
+            return createDropdownCategory(row.id, availableGenres, defaultGenre, movieCount, {
+                layout: 'carousel',
+                queue,
+                placeholder
+            });
+        });
+    });
+    
+    await Promise.all(loads);
+}
+
+/**
+ * Crée l'emplacement d'une catégorie dont le contenu n'est pas encore connu
+ * @param {string} categoryId - Identifiant de la catégorie
+ * @param {number} movieCount - Nombre de cartes de chargement
+ * @returns {HTMLElement} - Emplacement à remplacer par la catégorie
+ */
+function createCategoryPlaceholder(categoryId, movieCount) {
+    const placeholder = document.createElement('div');
+    placeholder.className = 'category-section category-section--placeholder';
+    placeholder.dataset.categoryId = categoryId;
+    placeholder.dataset.state = 'loading';
+    placeholder.setAttribute('aria-busy', 'true');
+    
+    const title = document.createElement('h2');
+    title.className = 'category-title';
+    title.textContent = t('common.loading');
+    
+    const grid = document.createElement('div');
+    grid.className = 'movies-grid';
+    for (let i = 0; i < movieCount; i++) {
+        grid.appendChild(createSkeletonCard());
     }
     
-    console.log('Toutes les catégories ont été initialisées');
+    placeholder.appendChild(title);
+    placeholder.appendChild(grid);
+    return placeholder;
+}
+
+/**
+ * Cherche un genre par sa valeur
+ * @param {Array} genres - Liste des genres [{label, value}]
+ * @param {string} value - Valeur recherchée
+ * @returns {Object|undefined} - Genre trouvé
+ */
+function findGenre(genres, value) {
+    return genres.find(genre => genre.value === value);
 }
@@ -0,0 +1,224 @@
+/**
+ * Module des graphiques SVG
+ * Diagrammes en barres dessinés sans bibliothèque : barres utilisables au clavier,
+ * infobulle au survol et au focus, et tableau des données pour les lecteurs d'écran
+ */
+
+import { t, formatNumber } from './i18n.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Dimensions des graphiques (unités du viewBox ; le SVG occupe toute la largeur disponible)
+const CHART_CONFIG = {
+    width: 640,
+    labelWidth: 170,    // Libellés à gauche des barres horizontales
+    rowHeight: 28,
+    columnHeight: 220,  // Hauteur de la zone de tracé des colonnes
+    axisHeight: 30,     // Libellés sous les colonnes
+    valueSpace: 60,     // Place réservée à la valeur au bout de la barre
+    maxLabelLength: 24
+};
+
+// Numéro des graphiques, pour les identifiants de leurs titres
+let chartCount = 0;
+
+/**
+ * Crée un élément SVG avec ses attributs
+ * @param {string} name - Nom de l'élément (ex: 'rect')
+ * @param {Object} attributes - Attributs de l'élément
+ * @returns {SVGElement}
+ */
+function createSvgElement(name, attributes = {}) {
+    const element = document.createElementNS(SVG_NS, name);
+    Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, String(value)));
+    return element;
+}
+
+/**
+ * Raccourcit un libellé trop long pour la place disponible
+ * @param {string} label - Libellé
+ * @returns {string} - Libellé, terminé par '…' s'il a été coupé
+ */
+function truncateLabel(label) {
+    return label.length > CHART_CONFIG.maxLabelLength ? `${label.slice(0, CHART_CONFIG.maxLabelLength - 1)}…` : label;
+}
+
+/**
+ * Crée une barre du graphique, focalisable et décrite pour les lecteurs d'écran
+ * @param {Object} item - Donnée représentée ({ label, tooltip })
+ * @param {Object} box - Position et taille de la barre ({ x, y, width, height })
+ * @returns {SVGGElement} - Groupe contenant la barre
+ */
+function createBar(item, { x, y, width, height }) {
+    const bar = createSvgElement('g', { class: 'chart__bar', tabindex: 0, role: 'img', 'aria-label': item.tooltip });
+    bar.dataset.tooltip = item.tooltip;
+    bar.appendChild(createSvgElement('rect', { x, y, width: Math.max(width, 0), height: Math.max(height, 0), rx: 3 }));
+    return bar;
+}
+
+/**
+ * Dessine des barres horizontales : un libellé à gauche, la valeur au bout de la barre
+ * @param {SVGSVGElement} svg - Zone de dessin
+ * @param {Array} data - Données ({ label, value, valueLabel, tooltip })
+ * @param {number} maxValue - Valeur correspondant à la longueur maximale
+ * @returns {number} - Hauteur du graphique
+ */
+function drawHorizontalBars(svg, data, maxValue) {
+    const { width, labelWidth, rowHeight, valueSpace } = CHART_CONFIG;
+    const plotWidth = width - labelWidth - valueSpace;
+
+    data.forEach((item, index) => {
+        const y = index * rowHeight;
+        const barWidth = maxValue > 0 ? (item.value / maxValue) * plotWidth : 0;
+
+        const label = createSvgElement('text', { x: labelWidth - 8, y: y + rowHeight / 2, class: 'chart__label', 'text-anchor': 'end', 'dominant-baseline': 'middle', 'aria-hidden': 'true' });
+        label.textContent = truncateLabel(item.label);
+
+        const value = createSvgElement('text', { x: labelWidth + barWidth + 6, y: y + rowHeight / 2, class: 'chart__value', 'dominant-baseline': 'middle', 'aria-hidden': 'true' });
+        value.textContent = item.valueLabel;
+
+        svg.append(label, createBar(item, { x: labelWidth, y: y + 4, width: barWidth, height: rowHeight - 8 }), value);
+    });
+
+    return data.length * rowHeight;
+}
+
+/**
+ * Dessine des colonnes : le libellé sous la colonne, la valeur au-dessus
+ * @param {SVGSVGElement} svg - Zone de dessin
+ * @param {Array} data - Données ({ label, value, valueLabel, tooltip })
+ * @param {number} maxValue - Valeur correspondant à la hauteur maximale
+ * @returns {number} - Hauteur du graphique
+ */
+function drawVerticalBars(svg, data, maxValue) {
+    const { width, columnHeight, axisHeight } = CHART_CONFIG;
+    const top = 20; // Place de la valeur au-dessus de la plus haute colonne
+    const slot = width / Math.max(data.length, 1);
+
+    data.forEach((item, index) => {
+        const x = index * slot;
+        const barHeight = maxValue > 0 ? (item.value / maxValue) * columnHeight : 0;
+        const y = top + columnHeight - barHeight;
+
+        const value = createSvgElement('text', { x: x + slot / 2, y: y - 6, class: 'chart__value', 'text-anchor': 'middle', 'aria-hidden': 'true' });
+        value.textContent = item.valueLabel;
+
+        const label = createSvgElement('text', { x: x + slot / 2, y: top + columnHeight + axisHeight / 2, class: 'chart__label', 'text-anchor': 'middle', 'dominant-baseline': 'middle', 'aria-hidden': 'true' });
+        label.textContent = truncateLabel(item.label);
+
+        svg.append(createBar(item, { x: x + slot * 0.15, y, width: slot * 0.7, height: barHeight }), value, label);
+    });
+
+    svg.appendChild(createSvgElement('line', { x1: 0, x2: width, y1: top + columnHeight, y2: top + columnHeight, class: 'chart__axis' }));
+    return top + columnHeight + axisHeight;
+}
+
+/**
+ * Crée le tableau des données du graphique, replié sous le graphique
+ * @param {Array} data - Données ({ label, valueLabel })
+ * @param {Object} columns - En-têtes des colonnes ({ label, value })
+ * @returns {HTMLDetailsElement}
+ */
+function createDataTable(data, columns) {
+    const details = document.createElement('details');
+    details.className = 'chart__data';
+
+    const summary = document.createElement('summary');
+    summary.textContent = t('charts.showData');
+
+    const table = document.createElement('table');
+    const headRow = table.createTHead().insertRow();
+    [columns.label, columns.value].forEach(text => {
+        const header = document.createElement('th');
+        header.scope = 'col';
+        header.textContent = text;
+        headRow.appendChild(header);
+    });
+
+    const body = table.createTBody();
+    data.forEach(item => {
+        const row = body.insertRow();
+        const header = document.createElement('th');
+        header.scope = 'row';
+        header.textContent = item.label;
+        row.appendChild(header);
+        row.insertCell().textContent = item.valueLabel;
+    });
+
+    details.append(summary, table);
+    return details;
+}
+
+/**
+ * Affiche l'infobulle d'une barre, au-dessus de celle-ci
+ * @param {HTMLElement} figure - Figure du graphique
+ * @param {HTMLElement} tooltip - Infobulle
+ * @param {SVGGElement} bar - Barre survolée ou focalisée
+ */
+function showTooltip(figure, tooltip, bar) {
+    const figureBox = figure.getBoundingClientRect();
+    const barBox = bar.getBoundingClientRect();
+
+    tooltip.textContent = bar.dataset.tooltip;
+    tooltip.style.left = `${barBox.left - figureBox.left + barBox.width / 2}px`;
+    tooltip.style.top = `${barBox.top - figureBox.top}px`;
+    tooltip.hidden = false;
+}
+
+/**
+ * Crée un diagramme en barres accessible
+ * Chaque barre est focalisable (Tab) et nommée par son infobulle ; le tableau des
+ * données reste disponible sous le graphique.
+ * @param {Object} options - Options du graphique
+ * @param {string} options.title - Titre du graphique
+ * @param {Array<{label: string, value: number, valueLabel?: string, tooltip?: string}>} options.data - Données, dans l'ordre d'affichage
+ * @param {string} options.orientation - 'horizontal' (barres) ou 'vertical' (colonnes)
+ * @param {number} options.maxValue - Valeur de l'échelle maximale (par défaut : plus grande valeur)
+ * @param {Object} options.columns - En-têtes du tableau des données ({ label, value })
+ * @returns {HTMLElement} - Figure contenant le graphique
+ */
+export function createBarChart({ title, data, orientation = 'horizontal', maxValue, columns }) {
+    const id = `chart-${++chartCount}`;
+    const items = data.map(item => {
+        const valueLabel = item.valueLabel ?? formatNumber(item.value);
+        return { ...item, valueLabel, tooltip: item.tooltip ?? t('charts.tooltip', { label: item.label, value: valueLabel }) };
+    });
+    const scale = maxValue ?? Math.max(0, ...items.map(item => item.value));
+
+    const figure = document.createElement('figure');
+    figure.className = `chart chart--${orientation}`;
+
+    const caption = document.createElement('figcaption');
+    caption.className = 'chart__title';
+    caption.id = `${id}-title`;
+    caption.textContent = title;
+
+    const svg = createSvgElement('svg', { class: 'chart__svg', role: 'group', 'aria-labelledby': caption.id });
+    const height = orientation === 'vertical' ? drawVerticalBars(svg, items, scale) : drawHorizontalBars(svg, items, scale);
+    svg.setAttribute('viewBox', `0 0 ${CHART_CONFIG.width} ${height}`);
+
+    const tooltip = document.createElement('div');
+    tooltip.className = 'chart__tooltip';
+    tooltip.setAttribute('role', 'tooltip');
+    tooltip.setAttribute('aria-hidden', 'true');
+    tooltip.hidden = true;
+
+    // Infobulle au survol et au focus clavier ; Échap la masque
+    const hideTooltip = () => { tooltip.hidden = true; };
+    svg.addEventListener('pointerover', (e) => {
+        const bar = e.target.closest('.chart__bar');
+        if (bar) showTooltip(figure, tooltip, bar);
+    });
+    svg.addEventListener('pointerleave', hideTooltip);
+    svg.addEventListener('focusin', (e) => {
+        const bar = e.target.closest('.chart__bar');
+        if (bar) showTooltip(figure, tooltip, bar);
+    });
+    svg.addEventListener('focusout', hideTooltip);
+    svg.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') hideTooltip();
+    });
+
+    figure.append(caption, svg, tooltip, createDataTable(items, columns || { label: title, value: '' }));
+    return figure;
+}
@@ -0,0 +1,134 @@
+/**
+ * Module de la sélection de films à comparer
+ * Persiste la sélection (4 films au plus) dans le localStorage et synchronise
+ * les boutons "Comparer" des cartes à chaque modification
+ */
+
+import { t } from './i18n.js';
+
+// Configuration de la sélection
+const COMPARE_CONFIG = {
+    storageKey: 'jsi-compare',
+    maxMovies: 4,
+    changeEvent: 'compare:change'
+};
+
+// Nombre maximal de films comparés côte à côte
+export const MAX_COMPARED_MOVIES = COMPARE_CONFIG.maxMovies;
+
+/**
+ * Lit la sélection depuis le localStorage
+ * @returns {Array} - Films sélectionnés ({ id, title, image_url }), dans l'ordre d'ajout
+ */
+function readSelection() {
+    try {
+        const raw = window.localStorage.getItem(COMPARE_CONFIG.storageKey);
+        const selection = raw ? JSON.parse(raw) : [];
+        return Array.isArray(selection) ? selection.slice(0, COMPARE_CONFIG.maxMovies) : [];
+    } catch (error) {
+        console.warn('Sélection de films à comparer illisible, réinitialisée:', error);
+        return [];
+    }
+}
+
+/**
+ * Enregistre la sélection et prévient le reste de la page
+ * @param {Array} selection - Films sélectionnés
+ */
+function writeSelection(selection) {
+    try {
+        window.localStorage.setItem(COMPARE_CONFIG.storageKey, JSON.stringify(selection));
+    } catch (error) {
+        console.error('Impossible d\'enregistrer la sélection de films à comparer:', error);
+    }
+
+    document.dispatchEvent(new CustomEvent(COMPARE_CONFIG.changeEvent));
+}
+
+/**
+ * Indique si un film fait partie de la sélection
+ * @param {string|number} movieId - ID du film
+ * @returns {boolean}
+ */
+export function isCompared(movieId) {
+    return readSelection().some(movie => String(movie.id) === String(movieId));
+}
+
+/**
+ * Renvoie les films sélectionnés, dans l'ordre d'ajout
+ * @returns {Array} - Films sélectionnés
+ */
+export function getComparedMovies() {
+    return readSelection();
+}
+
+/**
+ * Ajoute un film à la sélection, ou l'en retire s'il y est déjà
+ * Un film n'est pas ajouté si la sélection est complète.
+ * @param {Object} movie - Film ({ id, title, image_url })
+ * @returns {{selected: boolean, full: boolean}} - État du film et sélection complète (ajout refusé)
+ */
+export function toggleCompared(movie) {
+    const selection = readSelection();
+    const index = selection.findIndex(item => String(item.id) === String(movie.id));
+
+    if (index !== -1) {
+        selection.splice(index, 1);
+        writeSelection(selection);
+        return { selected: false, full: false };
+    }
+
+    if (selection.length >= COMPARE_CONFIG.maxMovies) {
+        return { selected: false, full: true };
+    }
+
+    selection.push({ id: movie.id, title: movie.title, image_url: movie.image_url || '' });
+    writeSelection(selection);
+    return { selected: true, full: false };
+}
+
+/**
+ * Retire un film de la sélection
+ * @param {string|number} movieId - ID du film
+ */
+export function removeCompared(movieId) {
+    writeSelection(readSelection().filter(movie => String(movie.id) !== String(movieId)));
+}
+
+/**
+ * Vide la sélection
+ */
+export function clearCompared() {
+    writeSelection([]);
+}
+
+/**
+ * Met à jour l'apparence d'un bouton "Comparer"
+ * @param {HTMLButtonElement} button - Bouton "Comparer"
+ * @param {boolean} active - true si le film est sélectionné
+ */
+export function updateCompareButton(button, active) {
+    const title = button.dataset.movieTitle || t('favorites.thisMovie');
+
+    button.setAttribute('aria-pressed', String(active));
+    button.setAttribute('aria-label', active ? t('compare.remove', { title }) : t('compare.add', { title }));
+}
+
+/**
+ * Enregistre une fonction appelée à chaque modification de la sélection
+ * @param {Function} callback - Fonction appelée sans argument
+ */
+export function onComparedChange(callback) {
+    document.addEventListener(COMPARE_CONFIG.changeEvent, callback);
+}
+
+/**
+ * Répercute les modifications faites dans un autre onglet
+ */
+export function watchComparedStorage() {
+    window.addEventListener('storage', (e) => {
+        if (e.key === COMPARE_CONFIG.storageKey) {
+            document.dispatchEvent(new CustomEvent(COMPARE_CONFIG.changeEvent));
+        }
+    });
+}
@@ -0,0 +1,417 @@
+/**
+ * Module de comparaison de films
+ * Active les boutons "Comparer" des cartes, affiche le plateau des films sélectionnés
+ * et la vue de comparaison côte à côte (#/compare?ids=1,2,3)
+ */
+
+import { fetchMovieDetails } from './api.js';
+import {
+    getComparedMovies, toggleCompared, removeCompared, clearCompared, isCompared,
+    updateCompareButton, onComparedChange, watchComparedStorage, MAX_COMPARED_MOVIES
+} from './compare-list.js';
+import { announce } from './ui-components.js';
+import { SectionState } from './section-state.js';
+import { router } from './router.js';
+import { t, formatNumber } from './i18n.js';
+import { formatBoxOffice, formatRuntime, parseMoney } from './formatting.js';
+
+/**
+ * Indique si une information du film est renseignée
+ * @param {*} value - Valeur renvoyée par l'API
+ * @returns {boolean}
+ */
+function hasValue(value) {
+    return value !== null && value !== undefined && value !== '';
+}
+
+/**
+ * Lignes du tableau de comparaison
+ * - value : valeur comparée (nombre) ; la plus grande est mise en évidence si `best` vaut 'max'
+ * - format : texte affiché à partir du film
+ */
+const COMPARISON_ROWS = [
+    {
+        key: 'year',
+        labelKey: 'compare.fields.year',
+        format: movie => (hasValue(movie.year) ? String(movie.year) : null)
+    },
+    {
+        key: 'genres',
+        labelKey: 'compare.fields.genres',
+        format: movie => (movie.genres && movie.genres.length > 0 ? movie.genres.join(', ') : null)
+    },
+    {
+        key: 'duration',
+        labelKey: 'compare.fields.duration',
+        format: movie => formatRuntime(movie.duration)
+    },
+    {
+        key: 'imdbScore',
+        labelKey: 'compare.fields.imdbScore',
+        best: 'max',
+        value: movie => (hasValue(movie.imdb_score) ? Number(movie.imdb_score) : null),
+        format: movie => (hasValue(movie.imdb_score) ? t('modal.outOf10', { score: formatNumber(Number(movie.imdb_score)) }) : null)
+    },
+    {
+        key: 'votes',
+        labelKey: 'compare.fields.votes',
+        best: 'max',
+        value: movie => (hasValue(movie.votes) ? Number(movie.votes) : null),
+        format: movie => (hasValue(movie.votes) ? formatNumber(Number(movie.votes)) : null)
+    },
+    {
+        key: 'boxOffice',
+        labelKey: 'compare.fields.boxOffice',
+        best: 'max',
+        value: movie => {
+            const money = parseMoney(movie.worldwide_gross_income);
+            return money ? money.amount : null;
+        },
+        format: movie => formatBoxOffice(movie.worldwide_gross_income)
+    },
+    {
+        key: 'directors',
+        labelKey: 'compare.fields.directors',
+        format: movie => (movie.directors && movie.directors.length > 0 ? movie.directors.join(', ') : null)
+    }
+];
+
+/**
+ * Acteurs de chaque film présents dans au moins un autre film comparé
+ * @param {Array} movies - Films comparés
+ * @returns {Array<Array<string>>} - Acteurs partagés, film par film
+ */
+function findSharedActors(movies) {
+    const counts = new Map();
+
+    movies.forEach(movie => {
+        new Set(movie.actors || []).forEach(actor => counts.set(actor, (counts.get(actor) || 0) + 1));
+    });
+
+    return movies.map(movie => (movie.actors || []).filter(actor => counts.get(actor) > 1));
+}
+
+/**
+ * Prépare le tableau de comparaison : une ligne par critère, une cellule par film
+ * La meilleure valeur d'un critère chiffré est mise en évidence si au moins deux
+ * films le renseignent et qu'ils ne sont pas tous à égalité.
+ * @param {Array} movies - Films comparés (détails complets)
+ * @returns {Array<{key: string, labelKey: string, cells: Array<{text: string|null, best: boolean}>}>} - Lignes du tableau
+ */
+export function buildComparison(movies) {
+    const rows = COMPARISON_ROWS.map(({ key, labelKey, best, value, format }) => {
+        const values = value ? movies.map(value) : [];
+        const known = values.filter(item => item !== null && Number.isFinite(item));
+        const bestValue = best === 'max' && known.length >= 2 && new Set(known).size > 1 ? Math.max(...known) : null;
+
+        return {
+            key,
+            labelKey,
+            cells: movies.map((movie, index) => ({
+                text: format(movie),
+                best: bestValue !== null && values[index] === bestValue
+            }))
+        };
+    });
+
+    rows.push({
+        key: 'sharedActors',
+        labelKey: 'compare.fields.sharedActors',
+        cells: findSharedActors(movies).map(actors => ({
+            text: actors.length > 0 ? actors.join(', ') : null,
+            best: false
+        }))
+    });
+
+    return rows;
+}
+
+/**
+ * Lit la liste des films à comparer depuis l'URL
+ * @param {string} ids - Paramètre `ids` (ex: '9,42,7')
+ * @returns {Array<string>} - IDs distincts, 4 au plus
+ */
+export function parseComparedIds(ids) {
+    const list = String(ids || '').split(',').map(id => id.trim()).filter(Boolean);
+    return Array.from(new Set(list)).slice(0, MAX_COMPARED_MOVIES);
+}
+
+/**
+ * Ouvre la vue de comparaison des films sélectionnés
+ */
+function openComparison() {
+    const ids = getComparedMovies().map(movie => movie.id);
+    router.navigate('/compare', { query: { ids: ids.join(',') } });
+}
+
+/**
+ * Active les boutons "Comparer" de toute la page (délégation d'événements)
+ * Les boutons portent les données du film : data-movie-id, data-movie-title, data-movie-image.
+ */
+function initializeCompareToggles() {
+    document.addEventListener('click', (e) => {
+        const button = e.target.closest('.compare-btn');
+        if (!button) {
+            return;
+        }
+
+        e.preventDefault();
+        const title = button.dataset.movieTitle;
+        const { selected, full } = toggleCompared({
+            id: button.dataset.movieId,
+            title,
+            image_url: button.dataset.movieImage
+        });
+
+        if (full) {
+            announce(t('compare.full', { max: MAX_COMPARED_MOVIES }));
+        } else {
+            announce(selected ? t('compare.added', { title }) : t('compare.removed', { title }));
+        }
+    });
+
+    // Synchroniser tous les boutons "Comparer" après chaque modification
+    onComparedChange(() => {
+        document.querySelectorAll('.compare-btn').forEach(button => {
+            updateCompareButton(button, isCompared(button.dataset.movieId));
+        });
+    });
+
+    watchComparedStorage();
+}
+
+/**
+ * Plateau flottant des films sélectionnés
+ * Il apparaît dès le premier film sélectionné et ouvre la vue de comparaison.
+ */
+class CompareTray {
+    constructor() {
+        this.element = document.querySelector('.compare-tray');
+        this.title = this.element.querySelector('.compare-tray__title');
+        this.list = this.element.querySelector('.compare-tray__list');
+        this.openButton = this.element.querySelector('.compare-tray__open');
+        this.clearButton = this.element.querySelector('.compare-tray__clear');
+
+        this.openButton.addEventListener('click', () => openComparison());
+        this.clearButton.addEventListener('click', () => {
+            clearCompared();
+            announce(t('compare.cleared'));
+        });
+        this.list.addEventListener('click', (e) => {
+            const removeButton = e.target.closest('.compare-tray__remove');
+            if (removeButton) {
+                removeCompared(removeButton.dataset.movieId);
+            }
+        });
+
+        onComparedChange(() => this.render());
+        this.render();
+    }
+
+    /**
+     * Affiche les films sélectionnés
+     */
+    render() {
+        const movies = getComparedMovies();
+
+        this.element.hidden = movies.length === 0;
+        document.body.classList.toggle('has-compare-tray', movies.length > 0);
+        this.title.textContent = t('compare.trayTitle', { count: movies.length, max: MAX_COMPARED_MOVIES });
+
+        // Deux films au moins sont nécessaires pour comparer
+        this.openButton.disabled = movies.length < 2;
+
+        this.list.innerHTML = '';
+        movies.forEach(movie => {
+            const item = document.createElement('li');
+            item.className = 'compare-tray__item';
+
+            const image = document.createElement('img');
+            image.className = 'compare-tray__image';
+            image.src = movie.image_url || '';
+            image.alt = '';
+            image.onerror = () => { image.hidden = true; };
+
+            const name = document.createElement('span');
+            name.className = 'compare-tray__name';
+            name.textContent = movie.title;
+
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.className = 'compare-tray__remove';
+            removeButton.dataset.movieId = movie.id;
+            removeButton.setAttribute('aria-label', t('compare.remove', { title: movie.title }));
+            removeButton.textContent = '×';
+
+            item.append(image, name, removeButton);
+            this.list.appendChild(item);
+        });
+    }
+}
+
+/**
+ * Vue de comparaison côte à côte (vue `compare`)
+ */
+class ComparisonView {
+    constructor() {
+        this.section = document.querySelector('.compare-page');
+        this.table = this.section.querySelector('.compare-page__table');
+
+        this.state = new SectionState(this.section, {
+            statusBefore: this.section.querySelector('.compare-page__back'),
+            name: 'compare'
+        });
+
+        // Retirer un film de la comparaison affichée (et de la sélection)
+        this.table.addEventListener('click', (e) => {
+            const removeButton = e.target.closest('.compare-table__remove');
+            if (removeButton) {
+                this.remove(removeButton.dataset.movieId);
+            }
+        });
+    }
+
+    /**
+     * Charge les détails des films et affiche le tableau
+     * @param {Array<string>} ids - IDs des films à comparer
+     */
+    async show(ids) {
+        this.ids = ids;
+
+        await this.state.run(signal => Promise.all(ids.map(id => fetchMovieDetails(id, { signal }))), (movies) => {
+            this.render(movies);
+            return movies.length;
+        }, {
+            loading: t('compare.loading'),
+            empty: t('compare.empty'),
+            error: t('compare.error')
+        });
+    }
+
+    /**
+     * Retire un film de la comparaison
+     * @param {string} movieId - ID du film
+     */
+    remove(movieId) {
+        removeCompared(movieId);
+        const ids = this.ids.filter(id => String(id) !== String(movieId));
+        router.navigate('/compare', { query: { ids: ids.join(',') }, replace: true });
+    }
+
+    /**
+     * Affiche le tableau de comparaison : une colonne par film, une ligne par critère
+     * @param {Array} movies - Films comparés (détails complets)
+     */
+    render(movies) {
+        this.table.innerHTML = '';
+        if (movies.length === 0) {
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'compare-table';
+
+        const caption = document.createElement('caption');
+        caption.className = 'visually-hidden';
+        caption.textContent = t('compare.caption', { count: movies.length });
+        table.appendChild(caption);
+
+        // En-têtes de colonnes : affiche, titre, détails et retrait
+        const headRow = table.createTHead().insertRow();
+        headRow.appendChild(document.createElement('td'));
+        movies.forEach(movie => headRow.appendChild(this.createMovieHeader(movie)));
+
+        const body = table.createTBody();
+        buildComparison(movies).forEach(({ key, labelKey, cells }) => {
+            const row = body.insertRow();
+            row.dataset.field = key;
+
+            const label = document.createElement('th');
+            label.scope = 'row';
+            label.textContent = t(labelKey);
+            row.appendChild(label);
+
+            cells.forEach(({ text, best }) => {
+                const cell = row.insertCell();
+                cell.textContent = text === null ? t('compare.unknown') : text;
+
+                if (best) {
+                    cell.classList.add('compare-table__best');
+                    const mark = document.createElement('span');
+                    mark.className = 'visually-hidden';
+                    mark.textContent = ` (${t('compare.best')})`;
+                    cell.appendChild(mark);
+                }
+            });
+        });
+
+        this.table.appendChild(table);
+    }
+
+    /**
+     * Crée l'en-tête de colonne d'un film
+     * @param {Object} movie - Film (détails complets)
+     * @returns {HTMLTableCellElement} - En-tête de colonne
+     */
+    createMovieHeader(movie) {
+        const header = document.createElement('th');
+        header.scope = 'col';
+        header.className = 'compare-table__movie';
+
+        const image = document.createElement('img');
+        image.className = 'compare-table__poster';
+        image.src = movie.image_url || '';
+        image.alt = '';
+        image.onerror = () => { image.hidden = true; };
+
+        const title = document.createElement('span');
+        title.className = 'compare-table__title';
+        title.textContent = movie.title;
+
+        const detailsButton = document.createElement('button');
+        detailsButton.type = 'button';
+        detailsButton.className = 'details-btn compare-table__details';
+        detailsButton.dataset.movieId = movie.id;
+        detailsButton.textContent = t('common.details');
+        detailsButton.setAttribute('aria-label', t('common.detailsOf', { title: movie.title }));
+
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'compare-table__remove';
+        removeButton.dataset.movieId = movie.id;
+        removeButton.textContent = t('compare.removeShort');
+        removeButton.setAttribute('aria-label', t('compare.remove', { title: movie.title }));
+
+        header.append(image, title, detailsButton, removeButton);
+        return header;
+    }
+}
+
+// Vue de comparaison, créée à sa première visite
+let comparisonView = null;
+
+/**
+ * Active les boutons "Comparer" des cartes et le plateau des films sélectionnés
+ */
+export function initializeCompare() {
+    initializeCompareToggles();
+    new CompareTray();
+}
+
+/**
+ * Affiche la comparaison des films de l'URL (appelé par le routeur)
+ * @param {string} ids - Paramètre `ids` de l'URL (ex: '9,42,7')
+ * @returns {boolean} - false si l'URL ne contient aucun film
+ */
+export function showComparison(ids) {
+    const movieIds = parseComparedIds(ids);
+    if (movieIds.length === 0) {
+        return false;
+    }
+
+    if (!comparisonView) {
+        comparisonView = new ComparisonView();
+    }
+    comparisonView.show(movieIds);
+    return true;
+}
@@ -0,0 +1,210 @@
+/**
+ * Module de gestion de la liste de films favoris ("Ma liste")
+ * Persiste la liste dans le localStorage, indexée par ID de film,
+ * et synchronise les boutons cœur de la page à chaque modification
+ */
+
+import { t } from './i18n.js';
+
+// Configuration de la liste
+const FAVORITES_CONFIG = {
+    storageKey: 'jsi-favorites',
+    exportVersion: 1,
+    changeEvent: 'favorites:change'
+};
+
+/**
+ * Lit la liste depuis le localStorage
+ * @returns {Object} - Favoris indexés par ID ({ [id]: { id, title, image_url, addedAt } })
+ */
+function readFavorites() {
+    try {
+        const raw = window.localStorage.getItem(FAVORITES_CONFIG.storageKey);
+        const favorites = raw ? JSON.parse(raw) : {};
+
+        // Valeur corrompue ou modifiée à la main : seuls les favoris bien formés sont gardés
+        if (!favorites || typeof favorites !== 'object' || Array.isArray(favorites)) {
+            return {};
+        }
+        return Object.fromEntries(Object.entries(favorites)
+            .filter(([, entry]) => entry && typeof entry === 'object' && entry.id !== undefined));
+    } catch (error) {
+        console.warn('Liste de favoris illisible, réinitialisée:', error);
+        return {};
+    }
+}
+
+/**
+ * Enregistre la liste et prévient le reste de la page
+ * @param {Object} favorites - Favoris indexés par ID
+ */
+function writeFavorites(favorites) {
+    try {
+        window.localStorage.setItem(FAVORITES_CONFIG.storageKey, JSON.stringify(favorites));
+    } catch (error) {
+        console.error('Impossible d\'enregistrer la liste de favoris:', error);
+    }
+
+    document.dispatchEvent(new CustomEvent(FAVORITES_CONFIG.changeEvent));
+}
+
+/**
+ * Réduit un film aux informations nécessaires à l'affichage d'une carte
+ * @param {Object} movie - Film (aperçu ou détails complets)
+ * @returns {Object} - Entrée de la liste
+ */
+function toFavoriteEntry(movie) {
+    return {
+        id: movie.id,
+        title: movie.title,
+        image_url: movie.image_url || '',
+        addedAt: movie.addedAt || Date.now()
+    };
+}
+
+/**
+ * Indique si un film fait partie de la liste
+ * @param {string|number} movieId - ID du film
+ * @returns {boolean}
+ */
+export function isFavorite(movieId) {
+    return Object.prototype.hasOwnProperty.call(readFavorites(), String(movieId));
+}
+
+/**
+ * Renvoie les films de la liste, du plus récemment ajouté au plus ancien
+ * @returns {Array} - Films favoris
+ */
+export function getFavorites() {
+    return Object.values(readFavorites()).sort((a, b) => b.addedAt - a.addedAt);
+}
+
+/**
+ * Ajoute un film à la liste, ou l'en retire s'il y est déjà
+ * @param {Object} movie - Film ({ id, title, image_url })
+ * @returns {boolean} - true si le film est désormais dans la liste
+ */
+export function toggleFavorite(movie) {
+    const favorites = readFavorites();
+    const key = String(movie.id);
+    const added = !favorites[key];
+
+    if (added) {
+        favorites[key] = toFavoriteEntry(movie);
+    } else {
+        delete favorites[key];
+    }
+
+    writeFavorites(favorites);
+    console.log(`${movie.title} ${added ? 'ajouté à' : 'retiré de'} Ma liste`);
+    return added;
+}
+
+/**
+ * Exporte la liste au format JSON
+ * @returns {string} - Contenu du fichier d'export
+ */
+export function exportFavorites() {
+    return JSON.stringify({
+        version: FAVORITES_CONFIG.exportVersion,
+        exportedAt: new Date().toISOString(),
+        favorites: getFavorites()
+    }, null, 2);
+}
+
+/**
+ * Importe une liste exportée et la fusionne avec la liste actuelle
+ * @param {string} json - Contenu d'un fichier d'export
+ * @returns {number} - Nombre de films ajoutés
+ * @throws {Error} - Si le fichier n'est pas un export valide
+ */
+export function importFavorites(json) {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch (error) {
+        throw new Error(t('favorites.errors.invalidJson'));
+    }
+
+    if (!data || !Array.isArray(data.favorites)) {
+        throw new Error(t('favorites.errors.noList'));
+    }
+
+    const isValidEntry = entry => entry
+        && (typeof entry.id === 'number' || typeof entry.id === 'string')
+        && typeof entry.title === 'string';
+
+    if (!data.favorites.every(isValidEntry)) {
+        throw new Error(t('favorites.errors.incomplete'));
+    }
+
+    const favorites = readFavorites();
+    let addedCount = 0;
+
+    data.favorites.forEach(entry => {
+        const key = String(entry.id);
+        if (!favorites[key]) {
+            favorites[key] = toFavoriteEntry(entry);
+            addedCount++;
+        }
+    });
+
+    writeFavorites(favorites);
+    console.log(`${addedCount} film(s) importé(s) dans Ma liste`);
+    return addedCount;
+}
+
+/**
+ * Met à jour l'apparence d'un bouton cœur
+ * @param {HTMLButtonElement} button - Bouton cœur
+ * @param {boolean} active - true si le film est dans la liste
+ */
+export function updateFavoriteButton(button, active) {
+    const title = button.dataset.movieTitle || t('favorites.thisMovie');
+
+    button.setAttribute('aria-pressed', String(active));
+    button.setAttribute('aria-label', active ? t('favorites.remove', { title }) : t('favorites.add', { title }));
+    button.textContent = active ? '♥' : '♡';
+}
+
+/**
+ * Enregistre une fonction appelée à chaque modification de la liste
+ * @param {Function} callback - Fonction appelée sans argument
+ */
+export function onFavoritesChange(callback) {
+    document.addEventListener(FAVORITES_CONFIG.changeEvent, callback);
+}
+
+/**
+ * Active les boutons cœur de toute la page (délégation d'événements)
+ * Les boutons portent les données du film : data-movie-id, data-movie-title, data-movie-image.
+ */
+export function initializeFavoriteToggles() {
+    document.addEventListener('click', (e) => {
+        const button = e.target.closest('.favorite-btn');
+        if (!button) {
+            return;
+        }
+
+        e.preventDefault();
+        toggleFavorite({
+            id: button.dataset.movieId,
+            title: button.dataset.movieTitle,
+            image_url: button.dataset.movieImage
+        });
+    });
+
+    // Synchroniser tous les boutons cœur après chaque modification
+    onFavoritesChange(() => {
+        document.querySelectorAll('.favorite-btn').forEach(button => {
+            updateFavoriteButton(button, isFavorite(button.dataset.movieId));
+        });
+    });
+
+    // Répercuter les modifications faites dans un autre onglet
+    window.addEventListener('storage', (e) => {
+        if (e.key === FAVORITES_CONFIG.storageKey) {
+            document.dispatchEvent(new CustomEvent(FAVORITES_CONFIG.changeEvent));
+        }
+    });
+}
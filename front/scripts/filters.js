@@ -0,0 +1,125 @@
+/**
+ * Module du panneau de filtres avancés
+ * Compose plusieurs filtres de l'API en une catégorie "Résultats filtrés"
+ */
+
+import { createFixedCategory } from './categories.js';
+import { buildQuery, validateFilters, SORT_OPTIONS } from './query-builder.js';
+import { t } from './i18n.js';
+
+// Configuration de la catégorie de résultats filtrés
+const FILTERED_CATEGORY = {
+    id: 'filtered',
+    nameKey: 'filters.results',
+    movieCount: 6,
+    parentSelector: '.filter-results'
+};
+
+/**
+ * Lit l'état des filtres depuis le formulaire
+ * @param {HTMLFormElement} form - Formulaire du panneau de filtres
+ * @returns {Object} - Filtres saisis (valeurs brutes, éventuellement vides)
+ */
+function readFilters(form) {
+    const formData = new FormData(form);
+    const filters = {};
+
+    formData.forEach((value, key) => {
+        filters[key] = value;
+    });
+
+    return filters;
+}
+
+/**
+ * Affiche les erreurs de validation sous le formulaire
+ * @param {HTMLFormElement} form - Formulaire du panneau de filtres
+ * @param {Array<string>} errors - Messages d'erreur (liste vide pour effacer)
+ */
+function displayErrors(form, errors) {
+    const errorList = form.querySelector('.filter-panel__errors');
+    errorList.innerHTML = '';
+
+    errors.forEach(message => {
+        const item = document.createElement('li');
+        item.textContent = message;
+        errorList.appendChild(item);
+    });
+}
+
+/**
+ * Affiche la catégorie "Résultats filtrés" pour un état de filtres
+ * La catégorie précédente est remplacée à chaque application des filtres.
+ * @param {Object} filters - Filtres valides
+ */
+async function displayFilteredCategory(filters) {
+    const previous = document.querySelector(`.category-${FILTERED_CATEGORY.id}`);
+    if (previous) {
+        previous.remove();
+    }
+
+    await createFixedCategory(
+        t(FILTERED_CATEGORY.nameKey),
+        FILTERED_CATEGORY.id,
+        buildQuery(filters),
+        FILTERED_CATEGORY.movieCount,
+        {
+            parentSelector: FILTERED_CATEGORY.parentSelector,
+            emptyMessage: t('filters.empty')
+        }
+    );
+}
+
+/**
+ * Initialise le panneau de filtres avancés
+ */
+export function initializeFilters() {
+    const toggleButton = document.querySelector('.filters__toggle');
+    const form = document.querySelector('.filter-panel');
+
+    if (!toggleButton || !form) {
+        console.error('Panneau de filtres introuvable dans le DOM');
+        return;
+    }
+
+    // Remplir les options de tri
+    const sortSelect = form.querySelector('select[name="sortBy"]');
+    SORT_OPTIONS.forEach(option => {
+        const element = document.createElement('option');
+        element.value = option.value;
+        element.textContent = t(option.labelKey);
+        sortSelect.appendChild(element);
+    });
+
+    // Ouvrir / fermer le panneau
+    toggleButton.addEventListener('click', () => {
+        const isExpanded = toggleButton.getAttribute('aria-expanded') === 'true';
+        toggleButton.setAttribute('aria-expanded', String(!isExpanded));
+        form.hidden = isExpanded;
+    });
+
+    // Appliquer les filtres
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        const filters = readFilters(form);
+        const errors = validateFilters(filters);
+        displayErrors(form, errors);
+
+        if (errors.length > 0) {
+            return;
+        }
+
+        console.log('Filtres appliqués:', filters);
+        await displayFilteredCategory(filters);
+    });
+
+    // Réinitialiser les filtres et retirer les résultats
+    form.addEventListener('reset', () => {
+        displayErrors(form, []);
+        const previous = document.querySelector(`.category-${FILTERED_CATEGORY.id}`);
+        if (previous) {
+            previous.remove();
+        }
+    });
+}
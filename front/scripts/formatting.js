@@ -0,0 +1,143 @@
+/**
+ * Module de formatage des données des films
+ * Normalise les montants (recettes, budget) et les durées renvoyés par l'API
+ * et les formate selon la langue courante avec Intl.NumberFormat
+ */
+
+import { getLocaleTag } from './i18n.js';
+
+// Symboles de devise rencontrés dans les montants saisis sous forme de texte
+const CURRENCY_SYMBOLS = {
+    '$': 'USD',
+    '€': 'EUR',
+    '£': 'GBP',
+    '¥': 'JPY',
+    '₹': 'INR'
+};
+
+// Devise des recettes renvoyées par l'API (worldwide_gross_income, usa_gross_income)
+const GROSS_CURRENCY = 'USD';
+
+/**
+ * Normalise un code de devise
+ * @param {string} currency - Code ISO 4217 ('usd', 'EUR') ou symbole ('$', '€')
+ * @returns {string|null} - Code ISO en majuscules, ou null s'il n'est pas reconnu
+ */
+export function normalizeCurrency(currency) {
+    if (typeof currency !== 'string') {
+        return null;
+    }
+
+    const code = currency.trim();
+    if (CURRENCY_SYMBOLS[code]) {
+        return CURRENCY_SYMBOLS[code];
+    }
+
+    return /^[a-z]{3}$/i.test(code) ? code.toUpperCase() : null;
+}
+
+/**
+ * Normalise un montant renvoyé par l'API
+ * Les montants sont exprimés en unités de la devise (et non en millions). Une chaîne
+ * peut contenir un symbole ou un code de devise et des séparateurs de milliers
+ * ('$ 1,234,567', 'EUR 2500000') ; la devise trouvée remplace alors celle fournie.
+ * @param {number|string} value - Montant
+ * @param {string} currency - Devise du montant si elle n'est pas indiquée dans la valeur
+ * @returns {{amount: number, currency: string|null}|null} - Montant et devise, ou null si le montant est absent ou nul
+ */
+export function parseMoney(value, currency = 'USD') {
+    let amount = value;
+    let code = normalizeCurrency(currency);
+
+    if (typeof value === 'string') {
+        const symbol = value.match(/[$€£¥₹]|\b[A-Z]{3}\b/);
+        if (symbol) {
+            code = normalizeCurrency(symbol[0]) || code;
+        }
+
+        // Séparateurs de milliers : virgules, ou points s'ils sont plusieurs ('1.234.567')
+        let digits = value.replace(/[^\d.,]/g, '').replace(/,/g, '');
+        if ((digits.match(/\./g) || []).length > 1) {
+            digits = digits.replace(/\./g, '');
+        }
+        amount = digits === '' ? NaN : Number(digits);
+    }
+
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+        return null;
+    }
+
+    return { amount, currency: code };
+}
+
+/**
+ * Formate un montant en notation compacte (ex: '$123.5M', '123,5 M $US')
+ * @param {number|string} value - Montant (voir parseMoney)
+ * @param {string} currency - Devise du montant
+ * @param {string} locale - Étiquette de langue (langue courante par défaut)
+ * @returns {string|null} - Montant formaté, ou null si le montant est absent
+ */
+export function formatMoney(value, currency = 'USD', locale = getLocaleTag()) {
+    const money = parseMoney(value, currency);
+
+    if (!money) {
+        return null;
+    }
+
+    const options = { notation: 'compact', minimumFractionDigits: 0, maximumFractionDigits: 1 };
+
+    // Une devise inconnue est affichée telle quelle après le montant
+    if (!money.currency) {
+        return `${new Intl.NumberFormat(locale, options).format(money.amount)} ${String(currency).trim()}`.trim();
+    }
+
+    return new Intl.NumberFormat(locale, { ...options, style: 'currency', currency: money.currency }).format(money.amount);
+}
+
+/**
+ * Formate des recettes au box-office (worldwide_gross_income, usa_gross_income), en dollars
+ * @param {number|string} amount - Recettes
+ * @param {string} locale - Étiquette de langue (langue courante par défaut)
+ * @returns {string|null} - Recettes formatées, ou null si elles sont inconnues
+ */
+export function formatBoxOffice(amount, locale = getLocaleTag()) {
+    return formatMoney(amount, GROSS_CURRENCY, locale);
+}
+
+/**
+ * Formate le budget d'un film dans sa devise (budget, budget_currency)
+ * @param {Object} movie - Film (détails complets)
+ * @param {string} locale - Étiquette de langue (langue courante par défaut)
+ * @returns {string|null} - Budget formaté, ou null s'il est inconnu
+ */
+export function formatBudget(movie, locale = getLocaleTag()) {
+    return formatMoney(movie.budget, movie.budget_currency || GROSS_CURRENCY, locale);
+}
+
+/**
+ * Formate une durée de film (ex: '2 h 15 min', '45 min', '2 h' ; '2 hr 15 min' en anglais)
+ * @param {number|string} minutes - Durée en minutes
+ * @param {string} locale - Étiquette de langue (langue courante par défaut)
+ * @returns {string|null} - Durée formatée, ou null si elle est inconnue
+ */
+export function formatRuntime(minutes, locale = getLocaleTag()) {
+    const total = Math.round(Number(minutes));
+
+    if (!Number.isFinite(total) || total <= 0) {
+        return null;
+    }
+
+    const unit = (value, name) => new Intl.NumberFormat(locale, { style: 'unit', unit: name, unitDisplay: 'short' }).format(value);
+    const hours = Math.floor(total / 60);
+    const rest = total % 60;
+    const parts = [];
+
+    if (hours > 0) {
+        parts.push(unit(hours, 'hour'));
+    }
+    if (rest > 0) {
+        parts.push(unit(rest, 'minute'));
+    }
+
+    return parts.join(' ');
+}
@@ -0,0 +1,251 @@
+/**
+ * Module de la bannière des meilleurs films
+ * Fait défiler les films les mieux notés dans la bannière de l'accueil : défilement
+ * automatique (suspendu au survol, au focus, pendant l'affichage de la modale et si
+ * l'utilisateur préfère limiter les animations), points et flèches de navigation,
+ * préchargement du film suivant
+ */
+
+import { fetchMovieDetails } from './api.js';
+import { updateBestMovieDisplay } from './ui-components.js';
+import { t } from './i18n.js';
+
+// Configuration de la bannière
+export const HERO_CONFIG = {
+    count: 5,        // Nombre de films présentés
+    interval: 7000   // Durée d'affichage d'un film en défilement automatique (ms)
+};
+
+/**
+ * Indique si l'utilisateur préfère limiter les animations
+ * @returns {boolean}
+ */
+function prefersReducedMotion() {
+    return typeof window.matchMedia === 'function' && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+/**
+ * Bannière défilante des meilleurs films
+ * Le bouton "Détails" de la bannière ouvre toujours le film affiché.
+ */
+export class HeroCarousel {
+    /**
+     * @param {HTMLElement} element - Section de la bannière (.best-movie)
+     * @param {Object} options - Options
+     * @param {number} options.interval - Durée d'affichage d'un film en ms
+     */
+    constructor(element, { interval = HERO_CONFIG.interval } = {}) {
+        this.element = element;
+        this.interval = interval;
+        this.slide = element.querySelector('.banner');
+        this.controls = element.querySelector('.hero__controls');
+        this.dots = element.querySelector('.hero__dots');
+        this.prevButton = element.querySelector('.hero__arrow--prev');
+        this.nextButton = element.querySelector('.hero__arrow--next');
+        this.toggleButton = element.querySelector('.hero__toggle');
+
+        this.movies = [];
+        this.current = 0;
+        this.timer = null;
+        // Détails des films (promesses), chargés à l'avance pour le film suivant
+        this.details = new Map();
+        // Numéro du dernier changement de film : un film chargé trop tard n'est pas affiché
+        this.version = 0;
+
+        // Défilement suspendu par l'utilisateur (bouton pause), au survol, au focus ou sous la modale
+        this.paused = prefersReducedMotion();
+        this.hovered = false;
+        this.focused = false;
+        this.overlayOpen = false;
+
+        this.initEventListeners();
+    }
+
+    /**
+     * Initialise les boutons et les suspensions du défilement
+     */
+    initEventListeners() {
+        this.prevButton.addEventListener('click', () => this.goTo(this.current - 1));
+        this.nextButton.addEventListener('click', () => this.goTo(this.current + 1));
+        this.toggleButton.addEventListener('click', () => {
+            this.paused = !this.paused;
+            this.updatePlayback();
+        });
+
+        this.dots.addEventListener('click', (e) => {
+            const dot = e.target.closest('.hero__dot');
+            if (dot) {
+                this.goTo(Number(dot.dataset.index));
+            }
+        });
+
+        this.element.addEventListener('mouseenter', () => {
+            this.hovered = true;
+            this.updatePlayback();
+        });
+        this.element.addEventListener('mouseleave', () => {
+            this.hovered = false;
+            this.updatePlayback();
+        });
+        this.element.addEventListener('focusin', () => {
+            this.focused = true;
+            this.updatePlayback();
+        });
+        this.element.addEventListener('focusout', (e) => {
+            if (!this.element.contains(e.relatedTarget)) {
+                this.focused = false;
+                this.updatePlayback();
+            }
+        });
+    }
+
+    /**
+     * Affiche les films de la bannière, en commençant par le premier
+     * @param {Array} movies - Films à présenter (aperçus de /titles/)
+     * @param {Object} firstDetails - Détails complets du premier film, déjà chargés
+     */
+    show(movies, firstDetails) {
+        this.movies = movies;
+        this.details = new Map([[String(movies[0].id), Promise.resolve(firstDetails)]]);
+        this.controls.hidden = movies.length < 2;
+        this.renderDots();
+        this.goTo(0);
+    }
+
+    /**
+     * Indique si le défilement automatique est actif
+     * @returns {boolean}
+     */
+    isPlaying() {
+        return this.movies.length > 1 && !this.paused && !this.hovered && !this.focused && !this.overlayOpen;
+    }
+
+    /**
+     * Suspend le défilement pendant l'affichage d'une route overlay (modale des détails)
+     * Le film ouvert reste affiché : le focus revient sur son bouton "Détails" à la fermeture.
+     * @param {boolean} open - true à l'ouverture de la modale, false à sa fermeture
+     */
+    setOverlayOpen(open) {
+        this.overlayOpen = open;
+        this.updatePlayback();
+    }
+
+    /**
+     * Démarre ou arrête le minuteur du défilement et met à jour le bouton pause
+     */
+    updatePlayback() {
+        const playing = this.isPlaying();
+
+        this.toggleButton.textContent = this.paused ? '▶' : '⏸';
+        this.toggleButton.setAttribute('aria-label', this.paused ? t('hero.play') : t('hero.pause'));
+        // Les changements automatiques ne sont pas annoncés ; les changements demandés le sont
+        this.slide.setAttribute('aria-live', playing ? 'off' : 'polite');
+
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (playing) {
+            this.timer = setTimeout(() => this.advance(), this.interval);
+        }
+    }
+
+    /**
+     * Passe au film suivant (défilement automatique)
+     * Rien ne change tant que la bannière n'est pas visible (autre vue, onglet en arrière-plan).
+     */
+    advance() {
+        if (document.hidden || this.element.hidden) {
+            this.updatePlayback();
+            return;
+        }
+        this.goTo(this.current + 1);
+    }
+
+    /**
+     * Charge les détails d'un film (une seule fois) et son affiche
+     * @param {number} index - Position du film
+     * @returns {Promise<Object>} - Détails du film, ou son aperçu si les détails sont indisponibles
+     */
+    preload(index) {
+        const movie = this.movies[index];
+        const key = String(movie.id);
+
+        if (!this.details.has(key)) {
+            this.details.set(key, fetchMovieDetails(movie.id).catch((error) => {
+                console.warn(`Détails de ${movie.title} indisponibles pour la bannière:`, error.message);
+                return movie;
+            }));
+
+            if (movie.image_url) {
+                new Image().src = movie.image_url;
+            }
+        }
+
+        return this.details.get(key);
+    }
+
+    /**
+     * Affiche un film de la bannière
+     * @param {number} index - Position du film (boucle aux extrémités)
+     */
+    async goTo(index) {
+        const total = this.movies.length;
+        if (total === 0) {
+            return;
+        }
+
+        const target = (index + total) % total;
+        const version = ++this.version;
+        const movie = await this.preload(target);
+
+        if (version !== this.version) {
+            return;
+        }
+
+        const changed = target !== this.current;
+        this.current = target;
+        updateBestMovieDisplay(movie, this.element);
+        this.slide.setAttribute('aria-label', t('hero.slide', { position: target + 1, total }));
+        this.updateDots();
+
+        // Transition de fondu (désactivée en CSS si prefers-reduced-motion)
+        if (changed) {
+            this.slide.classList.remove('banner--changing');
+            void this.slide.offsetWidth;
+            this.slide.classList.add('banner--changing');
+        }
+
+        // Précharger le film suivant pendant l'affichage de celui-ci
+        if (total > 1) {
+            this.preload((target + 1) % total);
+        }
+        this.updatePlayback();
+    }
+
+    /**
+     * Crée un point de navigation par film
+     */
+    renderDots() {
+        this.dots.innerHTML = '';
+        this.movies.forEach((movie, index) => {
+            const dot = document.createElement('button');
+            dot.type = 'button';
+            dot.className = 'hero__dot';
+            dot.dataset.index = index;
+            dot.setAttribute('aria-label', t('hero.goTo', { title: movie.title, position: index + 1, total: this.movies.length }));
+            this.dots.appendChild(dot);
+        });
+    }
+
+    /**
+     * Met en évidence le point du film affiché
+     */
+    updateDots() {
+        this.dots.querySelectorAll('.hero__dot').forEach((dot, index) => {
+            if (index === this.current) {
+                dot.setAttribute('aria-current', 'true');
+            } else {
+                dot.removeAttribute('aria-current');
+            }
+        });
+    }
+}
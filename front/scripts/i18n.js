@@ -0,0 +1,272 @@
+/**
+ * Module d'internationalisation
+ * Traduit les textes de l'interface à partir des catalogues de messages
+ * (scripts/locales/) et formate nombres et dates selon la langue choisie
+ */
+
+import fr from './locales/fr.js';
+import en from './locales/en.js';
+
+// Configuration de la langue
+const I18N_CONFIG = {
+    storageKey: 'jsi-locale',
+    defaultLocale: 'fr',
+    changeEvent: 'locale:change'
+};
+
+/**
+ * Langues proposées à l'utilisateur
+ * - name : nom de la langue, affiché dans sa propre langue
+ * - tag : étiquette BCP 47 utilisée par les formats Intl
+ * - messages : catalogue de messages
+ */
+export const LOCALES = {
+    fr: { name: 'Français', tag: 'fr-FR', messages: fr },
+    en: { name: 'English', tag: 'en-US', messages: en }
+};
+
+// Langue courante, lue au premier besoin
+let currentLocale = null;
+
+// Clés déjà signalées comme manquantes (un seul avertissement par clé)
+const missingKeys = new Set();
+
+/**
+ * Détermine la langue à utiliser au démarrage
+ * La langue enregistrée est prioritaire, puis celle du navigateur.
+ * @returns {string} - Code de langue ('fr' ou 'en')
+ */
+function readLocale() {
+    try {
+        const stored = window.localStorage.getItem(I18N_CONFIG.storageKey);
+        if (LOCALES[stored]) {
+            return stored;
+        }
+    } catch (error) {
+        // localStorage indisponible (navigation privée, hors navigateur) : langue par défaut
+    }
+
+    const browserLocale = typeof navigator !== 'undefined' && navigator.language
+        ? navigator.language.slice(0, 2).toLowerCase()
+        : '';
+
+    return LOCALES[browserLocale] ? browserLocale : I18N_CONFIG.defaultLocale;
+}
+
+/**
+ * Langue courante
+ * @returns {string} - Code de langue ('fr' ou 'en')
+ */
+export function getLocale() {
+    if (!currentLocale) {
+        currentLocale = readLocale();
+    }
+    return currentLocale;
+}
+
+/**
+ * Étiquette BCP 47 de la langue courante, pour les formats Intl
+ * @returns {string} - Étiquette (ex: 'fr-FR')
+ */
+export function getLocaleTag() {
+    return LOCALES[getLocale()].tag;
+}
+
+/**
+ * Change la langue de l'interface et l'enregistre dans le localStorage
+ * @param {string} locale - Code de langue ('fr' ou 'en')
+ * @throws {Error} - Si la langue n'est pas prise en charge
+ */
+export function setLocale(locale) {
+    if (!LOCALES[locale]) {
+        throw new Error(`Langue non prise en charge : ${locale}`);
+    }
+
+    currentLocale = locale;
+
+    try {
+        window.localStorage.setItem(I18N_CONFIG.storageKey, locale);
+    } catch (error) {
+        console.warn('Langue non enregistrée (localStorage indisponible):', error);
+    }
+
+    if (typeof document !== 'undefined') {
+        document.documentElement.lang = locale;
+        document.dispatchEvent(new CustomEvent(I18N_CONFIG.changeEvent, { detail: { locale } }));
+    }
+}
+
+/**
+ * Enregistre une fonction appelée à chaque changement de langue
+ * @param {Function} callback - Fonction recevant l'événement ({ detail: { locale } })
+ */
+export function onLocaleChange(callback) {
+    document.addEventListener(I18N_CONFIG.changeEvent, callback);
+}
+
+/**
+ * Cherche un message dans un catalogue
+ * @param {Object} messages - Catalogue de messages
+ * @param {string} key - Clé pointée (ex: 'categories.showMore')
+ * @returns {string|Object|undefined} - Message, formes plurielles ou undefined
+ */
+function lookup(messages, key) {
+    return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), messages);
+}
+
+/**
+ * Indique si un message (ou ses formes plurielles) est une entrée du catalogue
+ * @param {*} entry - Valeur trouvée dans le catalogue
+ * @returns {boolean}
+ */
+function isMessage(entry) {
+    return typeof entry === 'string' || (entry !== null && typeof entry === 'object' && typeof entry.other === 'string');
+}
+
+/**
+ * Indique si une clé existe dans le catalogue de la langue courante ou de la langue par défaut
+ * @param {string} key - Clé du message
+ * @returns {boolean}
+ */
+export function hasMessage(key) {
+    return isMessage(lookup(LOCALES[getLocale()].messages, key))
+        || isMessage(lookup(LOCALES[I18N_CONFIG.defaultLocale].messages, key));
+}
+
+/**
+ * Choisit la forme plurielle d'un message selon un nombre
+ * Les formes sont celles de Intl.PluralRules ('zero', 'one', 'two', 'few', 'many', 'other') ;
+ * une forme 'zero' éventuelle est utilisée pour 0 quelle que soit la langue.
+ * @param {Object} forms - Formes plurielles (ex: { one: '{count} film', other: '{count} films' })
+ * @param {number} count - Nombre
+ * @returns {string} - Forme choisie
+ */
+function selectPlural(forms, count) {
+    if (count === 0 && forms.zero) {
+        return forms.zero;
+    }
+
+    const category = new Intl.PluralRules(getLocaleTag()).select(count);
+    return forms[category] || forms.other;
+}
+
+/**
+ * Traduit un message de l'interface
+ * Les paramètres remplacent les marques `{nom}` du message. Le paramètre `count`
+ * choisit la forme plurielle et est affiché au format de la langue (ex: 1 234).
+ * Une clé absente de la langue courante est cherchée en français, puis renvoyée telle quelle.
+ * @param {string} key - Clé du message (ex: 'categories.showMore')
+ * @param {Object} params - Paramètres du message (ex: { title: 'Alien', count: 2 })
+ * @returns {string} - Message traduit
+ */
+export function t(key, params = {}) {
+    let entry = lookup(LOCALES[getLocale()].messages, key);
+
+    if (!isMessage(entry)) {
+        entry = lookup(LOCALES[I18N_CONFIG.defaultLocale].messages, key);
+
+        if (!missingKeys.has(key)) {
+            missingKeys.add(key);
+            console.warn(`Traduction manquante (${getLocale()}): ${key}`);
+        }
+
+        if (!isMessage(entry)) {
+            return key;
+        }
+    }
+
+    const message = typeof entry === 'string' ? entry : selectPlural(entry, Number(params.count));
+
+    return message.replace(/\{(\w+)\}/g, (match, name) => {
+        if (!(name in params)) {
+            return match;
+        }
+        return name === 'count' ? formatNumber(params.count) : String(params[name]);
+    });
+}
+
+/**
+ * Formate un nombre selon la langue courante
+ * @param {number} value - Nombre à formater
+ * @param {Object} options - Options de Intl.NumberFormat (ex: { style: 'currency', currency: 'USD' })
+ * @returns {string} - Nombre formaté (ex: '1 234,5' en français, '1,234.5' en anglais)
+ */
+export function formatNumber(value, options = {}) {
+    return new Intl.NumberFormat(getLocaleTag(), options).format(value);
+}
+
+/**
+ * Formate une date selon la langue courante
+ * Une date sans heure ('1979-05-24', format de l'API) est affichée telle quelle,
+ * sans décalage lié au fuseau horaire du navigateur.
+ * @param {Date|string|number} value - Date, ou valeur acceptée par le constructeur Date
+ * @param {Object} options - Options de Intl.DateTimeFormat (par défaut : jour, mois en toutes lettres, année)
+ * @returns {string} - Date formatée (ex: '24 mai 1979'), ou chaîne vide si la date est invalide
+ */
+export function formatDate(value, options = { day: 'numeric', month: 'long', year: 'numeric' }) {
+    const date = value instanceof Date ? value : new Date(value);
+
+    if (Number.isNaN(date.getTime())) {
+        return '';
+    }
+
+    const dateOnly = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+    return new Intl.DateTimeFormat(getLocaleTag(), dateOnly ? { timeZone: 'UTC', ...options } : options).format(date);
+}
+
+/**
+ * Traduit les textes statiques de la page
+ * - data-i18n="clé" remplace le texte de l'élément
+ * - data-i18n-attr="attribut:clé;attribut:clé" remplace des attributs (aria-label, placeholder, alt…)
+ * Le contenu des templates est traduit lui aussi, avant d'être cloné.
+ * @param {Document|DocumentFragment|HTMLElement} root - Racine à traduire
+ */
+export function translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+
+    root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+        element.dataset.i18nAttr.split(';').forEach(pair => {
+            const [attribute, key] = pair.split(':').map(part => part.trim());
+            if (attribute && key) {
+                element.setAttribute(attribute, t(key));
+            }
+        });
+    });
+
+    root.querySelectorAll('template').forEach(template => translatePage(template.content));
+
+    if (root === document) {
+        document.documentElement.lang = getLocale();
+        document.title = t('app.title');
+    }
+}
+
+/**
+ * Initialise le sélecteur de langue du header
+ * Changer de langue recharge la page : tous les textes, y compris ceux déjà
+ * chargés depuis l'API, sont ainsi réaffichés dans la nouvelle langue.
+ */
+export function initializeLanguageSwitcher() {
+    const select = document.querySelector('.language-switcher');
+
+    if (!select) {
+        console.warn('Sélecteur de langue introuvable dans la page');
+        return;
+    }
+
+    Object.entries(LOCALES).forEach(([code, { name }]) => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.lang = code;
+        option.textContent = name;
+        select.appendChild(option);
+    });
+    select.value = getLocale();
+
+    select.addEventListener('change', () => {
+        setLocale(select.value);
+        window.location.reload();
+    });
+}
@@ -0,0 +1,157 @@
+/**
+ * Module de liste de films à défilement infini
+ * Charge les pages successives de l'API en suivant les liens `next`
+ * à mesure que l'utilisateur approche de la fin de la liste
+ */
+
+import { fetchMovies, fetchNextPage } from './api.js';
+import { createMovieCard, createSkeletonCard } from './ui-components.js';
+import { t } from './i18n.js';
+
+// Nombre de cartes de chargement affichées avant de connaître la taille des pages
+const DEFAULT_SKELETON_COUNT = 5;
+
+/**
+ * Liste de films paginée chargée au fil du défilement
+ * Un bouton "Charger plus" sert de repère observé par l'IntersectionObserver
+ * et reste utilisable au clavier ou sans IntersectionObserver.
+ */
+export class InfiniteMovieList {
+    /**
+     * @param {HTMLElement} grid - Grille recevant les cartes de films
+     * @param {HTMLButtonElement} loadMoreButton - Bouton de chargement, servant de repère de fin de liste
+     * @param {HTMLElement} status - Zone de message (fin de liste, erreur)
+     * @param {string} queryParams - Paramètres de filtrage et tri
+     */
+    constructor(grid, loadMoreButton, status, queryParams) {
+        this.grid = grid;
+        this.loadMoreButton = loadMoreButton;
+        this.status = status;
+        this.queryParams = queryParams;
+
+        this.nextUrl = null;
+        this.pageSize = DEFAULT_SKELETON_COUNT;
+        this.loading = false;
+        this.finished = false;
+        this.controller = new AbortController();
+        this.observer = null;
+
+        this.handleClick = () => this.loadNext();
+    }
+
+    /**
+     * Charge la première page et active le chargement au défilement
+     */
+    async start() {
+        this.grid.innerHTML = '';
+        this.status.textContent = '';
+        this.loadMoreButton.hidden = true;
+        this.loadMoreButton.addEventListener('click', this.handleClick);
+
+        await this.loadPage(() => fetchMovies(1, this.queryParams, { signal: this.controller.signal }));
+
+        // Liste terminée ou détruite pendant le chargement de la première page : rien à observer
+        if (this.finished || this.controller.signal.aborted) {
+            return;
+        }
+
+        if ('IntersectionObserver' in window) {
+            this.observer = new IntersectionObserver((entries) => {
+                if (entries.some(entry => entry.isIntersecting)) {
+                    this.loadNext();
+                }
+            }, { rootMargin: '300px' });
+            this.observer.observe(this.loadMoreButton);
+        }
+    }
+
+    /**
+     * Charge la page suivante si elle existe
+     */
+    async loadNext() {
+        if (this.loading || this.finished || !this.nextUrl) {
+            return;
+        }
+
+        await this.loadPage(() => fetchNextPage(this.nextUrl, { signal: this.controller.signal }));
+    }
+
+    /**
+     * Charge une page en affichant des cartes de chargement
+     * @param {Function} request - Fonction renvoyant la promesse de la page
+     */
+    async loadPage(request) {
+        this.loading = true;
+        this.status.textContent = '';
+        this.loadMoreButton.disabled = true;
+
+        const skeletons = Array.from({ length: this.pageSize }, () => createSkeletonCard());
+        skeletons.forEach(skeleton => this.grid.appendChild(skeleton));
+
+        try {
+            const data = await request();
+            const movies = data.results || [];
+
+            // La taille réelle des pages est celle renvoyée par l'API
+            if (movies.length > 0 && data.next) {
+                this.pageSize = movies.length;
+            }
+
+            skeletons.forEach(skeleton => skeleton.remove());
+            movies.forEach(movie => {
+                const movieCard = createMovieCard(movie);
+                if (movieCard) {
+                    this.grid.appendChild(movieCard);
+                }
+            });
+
+            this.nextUrl = data.next;
+            if (!data.next) {
+                this.finish(this.grid.querySelector('.movie-card') ? t('categories.end') : t('categories.noMovies'));
+            }
+        } catch (error) {
+            skeletons.forEach(skeleton => skeleton.remove());
+
+            if (error.name === 'AbortError') {
+                return;
+            }
+
+            console.error('Erreur lors du chargement de la page suivante:', error);
+            this.status.textContent = t('categories.loadMoreError');
+        } finally {
+            this.loading = false;
+
+            // Liste détruite entre-temps : le bouton appartient désormais à la liste suivante
+            if (!this.controller.signal.aborted) {
+                this.loadMoreButton.disabled = false;
+                this.loadMoreButton.hidden = this.finished;
+            }
+        }
+    }
+
+    /**
+     * Arrête le chargement : plus aucune page disponible
+     * @param {string} message - Message affiché en fin de liste
+     */
+    finish(message) {
+        this.finished = true;
+        this.status.textContent = message;
+
+        if (this.observer) {
+            this.observer.disconnect();
+        }
+    }
+
+    /**
+     * Arrête définitivement la liste (changement de page)
+     */
+    destroy() {
+        this.finished = true;
+        this.controller.abort();
+        this.loadMoreButton.removeEventListener('click', this.handleClick);
+
+        if (this.observer) {
+            this.observer.disconnect();
+        }
+    }
+}
@@ -0,0 +1,66 @@
+/**
+ * Module de suivi de la dernière requête
+ * Annule la requête précédente à chaque nouvelle requête et permet de
+ * vérifier qu'une réponse correspond toujours à la dernière demande
+ */
+
+/**
+ * Ne garde active que la dernière requête lancée
+ * Chaque requête reçoit un signal d'annulation (AbortController) et un numéro
+ * de version ; une réponse arrivée après une requête plus récente est ignorée,
+ * même si le serveur n'a pas tenu compte de l'annulation.
+ */
+export class LatestRequest {
+    constructor() {
+        this.version = 0;
+        this.controller = null;
+    }
+
+    /**
+     * Démarre une nouvelle requête et annule la précédente
+     * @returns {{signal: AbortSignal, version: number, isCurrent: Function}} - Signal et garde de version
+     */
+    start() {
+        this.cancel();
+
+        const controller = new AbortController();
+        const version = ++this.version;
+        this.controller = controller;
+
+        return {
+            signal: controller.signal,
+            version,
+            isCurrent: () => version === this.version && !controller.signal.aborted
+        };
+    }
+
+    /**
+     * Annule la requête en cours, s'il y en a une
+     */
+    cancel() {
+        if (this.controller) {
+            this.controller.abort();
+            this.controller = null;
+        }
+    }
+
+    /**
+     * Exécute une tâche et ne renvoie son résultat que si elle est toujours la dernière
+     * @param {Function} task - Fonction async recevant le signal d'annulation
+     * @returns {Promise<{current: boolean, result: *}>} - Résultat et indicateur de fraîcheur
+     * @throws {Error} - Erreur de la tâche, si elle est toujours la dernière
+     */
+    async run(task) {
+        const request = this.start();
+
+        try {
+            const result = await task(request.signal);
+            return { current: request.isCurrent(), result };
+        } catch (error) {
+            if (!request.isCurrent()) {
+                return { current: false, result: undefined };
+            }
+            throw error;
+        }
+    }
+}
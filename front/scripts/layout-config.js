@@ -0,0 +1,311 @@
+/**
+ * Module de configuration de la disposition de l'accueil
+ * Charge la liste des catégories à afficher depuis un fichier JSON ou
+ * depuis la disposition personnelle enregistrée dans le localStorage,
+ * et la valide avant utilisation
+ */
+
+import { validateFilters } from './query-builder.js';
+import { t, hasMessage } from './i18n.js';
+
+// Configuration de la disposition
+const LAYOUT_CONFIG = {
+    url: 'config/home-layout.json',
+    storageKey: 'jsi-home-layout',
+    version: 1,
+    maxRows: 20,
+    maxTitleLength: 60,
+    defaultSize: 6,
+    maxSize: 30
+};
+
+// Identifiants déjà utilisés par d'autres catégories de la page, ou par l'URL de l'accueil
+// (l'identifiant d'une ligne sert de paramètre d'URL : ?dropdown-1=Comedy&expanded=...)
+const RESERVED_IDS = ['favorites', 'recommended', 'filtered', 'expanded'];
+
+// Disposition minimale utilisée si le fichier de configuration est inutilisable
+const FALLBACK_LAYOUT = {
+    version: LAYOUT_CONFIG.version,
+    rows: [
+        {
+            id: 'top-rated',
+            type: 'fixed',
+            title: 'Films les mieux notés',
+            titleKey: 'layout.rows.topRated',
+            query: { sortBy: '-imdb_score' },
+            size: LAYOUT_CONFIG.defaultSize
+        }
+    ]
+};
+
+/**
+ * Schéma d'une ligne de l'accueil
+ * - type : type JavaScript attendu ('string', 'integer', 'object')
+ * - required : types de ligne pour lesquels le champ est obligatoire
+ * - allowed : types de ligne acceptant le champ
+ */
+const ROW_SCHEMA = {
+    id: { type: 'string', required: ['fixed', 'dropdown'], allowed: ['fixed', 'dropdown'] },
+    type: { type: 'string', required: ['fixed', 'dropdown'], allowed: ['fixed', 'dropdown'] },
+    title: { type: 'string', required: ['fixed'], allowed: ['fixed'] },
+    titleKey: { type: 'string', required: [], allowed: ['fixed'] },
+    query: { type: 'object', required: ['fixed'], allowed: ['fixed'] },
+    size: { type: 'integer', required: [], allowed: ['fixed', 'dropdown'] },
+    defaultGenre: { type: 'string', required: [], allowed: ['dropdown'] },
+    genreIndex: { type: 'integer', required: [], allowed: ['dropdown'] }
+};
+
+/**
+ * Erreur levée lorsqu'une disposition ne respecte pas le schéma
+ */
+export class LayoutValidationError extends Error {
+    /**
+     * @param {Array<string>} errors - Messages d'erreur lisibles
+     */
+    constructor(errors) {
+        super(errors.join(' '));
+        this.name = 'LayoutValidationError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Indique si une valeur correspond au type attendu par le schéma
+ * @param {*} value - Valeur à tester
+ * @param {string} type - Type attendu
+ * @returns {boolean}
+ */
+function hasType(value, type) {
+    switch (type) {
+        case 'integer':
+            return Number.isInteger(value);
+        case 'object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        default:
+            return typeof value === type;
+    }
+}
+
+/**
+ * Valide une ligne de l'accueil
+ * @param {Object} row - Ligne à valider
+ * @param {number} index - Position de la ligne (pour les messages)
+ * @returns {Array<string>} - Liste des erreurs (vide si la ligne est valide)
+ */
+export function validateRow(row, index = 0) {
+    const prefix = row && typeof row.id === 'string'
+        ? t('layout.errors.rowWithId', { index: index + 1, id: row.id })
+        : t('layout.errors.row', { index: index + 1 });
+
+    if (!hasType(row, 'object')) {
+        return [`${prefix} ${t('layout.errors.notObject')}`];
+    }
+
+    if (!ROW_SCHEMA.type.allowed.includes(row.type)) {
+        return [`${prefix} ${t('layout.errors.type')}`];
+    }
+
+    const errors = [];
+
+    Object.keys(row).forEach(field => {
+        const rule = ROW_SCHEMA[field];
+        if (!rule) {
+            errors.push(`${prefix} ${t('layout.errors.unknownField', { field })}`);
+        } else if (!rule.allowed.includes(row.type)) {
+            errors.push(`${prefix} ${t('layout.errors.fieldNotAllowed', { field, type: row.type })}`);
+        } else if (!hasType(row[field], rule.type)) {
+            errors.push(`${prefix} ${t('layout.errors.fieldType', { field, type: rule.type })}`);
+        }
+    });
+
+    Object.entries(ROW_SCHEMA).forEach(([field, rule]) => {
+        if (rule.required.includes(row.type) && row[field] === undefined) {
+            errors.push(`${prefix} ${t('layout.errors.fieldRequired', { field })}`);
+        }
+    });
+
+    if (typeof row.id === 'string' && !/^[a-z0-9-]+$/.test(row.id)) {
+        errors.push(`${prefix} ${t('layout.errors.idFormat')}`);
+    }
+
+    if (RESERVED_IDS.includes(row.id)) {
+        errors.push(`${prefix} ${t('layout.errors.idReserved', { id: row.id })}`);
+    }
+
+    if (typeof row.title === 'string' && (row.title.trim() === '' || row.title.length > LAYOUT_CONFIG.maxTitleLength)) {
+        errors.push(`${prefix} ${t('layout.errors.titleLength', { max: LAYOUT_CONFIG.maxTitleLength })}`);
+    }
+
+    if (typeof row.titleKey === 'string' && !hasMessage(row.titleKey)) {
+        errors.push(`${prefix} ${t('layout.errors.titleKey', { key: row.titleKey })}`);
+    }
+
+    if (Number.isInteger(row.size) && (row.size < 1 || row.size > LAYOUT_CONFIG.maxSize)) {
+        errors.push(`${prefix} ${t('layout.errors.size', { max: LAYOUT_CONFIG.maxSize })}`);
+    }
+
+    if (Number.isInteger(row.genreIndex) && row.genreIndex < 0) {
+        errors.push(`${prefix} ${t('layout.errors.genreIndex')}`);
+    }
+
+    // Les requêtes utilisent les mêmes filtres que le panneau de filtres avancés
+    if (hasType(row.query, 'object')) {
+        validateFilters(row.query).forEach(error => errors.push(`${prefix} ${error}`));
+    }
+
+    return errors;
+}
+
+/**
+ * Valide une disposition complète
+ * @param {Object} layout - Disposition ({ version, rows })
+ * @returns {Array<string>} - Liste des erreurs (vide si la disposition est valide)
+ */
+export function validateLayout(layout) {
+    if (!hasType(layout, 'object')) {
+        return [t('layout.errors.layoutNotObject')];
+    }
+
+    if (layout.version !== LAYOUT_CONFIG.version) {
+        return [t('layout.errors.version', { version: LAYOUT_CONFIG.version })];
+    }
+
+    if (!Array.isArray(layout.rows) || layout.rows.length === 0) {
+        return [t('layout.errors.noRows')];
+    }
+
+    if (layout.rows.length > LAYOUT_CONFIG.maxRows) {
+        return [t('layout.errors.tooManyRows', { max: LAYOUT_CONFIG.maxRows })];
+    }
+
+    const errors = [];
+    const ids = new Set();
+
+    layout.rows.forEach((row, index) => {
+        errors.push(...validateRow(row, index));
+
+        if (row && ids.has(row.id)) {
+            errors.push(t('layout.errors.duplicateId', { index: index + 1, id: row.id }));
+        }
+        ids.add(row && row.id);
+    });
+
+    return errors;
+}
+
+/**
+ * Charge la disposition de l'accueil
+ * La disposition personnelle est prioritaire ; si elle est absente ou invalide,
+ * le fichier de configuration est utilisé.
+ * @returns {Promise<{layout: Object, source: string}>} - Disposition et origine ('personal', 'file' ou 'fallback')
+ */
+export async function loadLayout() {
+    const personal = readPersonalLayout();
+
+    if (personal) {
+        const errors = validateLayout(personal);
+        if (errors.length === 0) {
+            return { layout: personal, source: 'personal' };
+        }
+        console.warn('Disposition personnelle invalide, ignorée:', errors);
+    }
+
+    try {
+        const response = await fetch(LAYOUT_CONFIG.url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const layout = await response.json();
+        const errors = validateLayout(layout);
+        if (errors.length > 0) {
+            throw new LayoutValidationError(errors);
+        }
+
+        return { layout, source: 'file' };
+    } catch (error) {
+        console.error(`Configuration de l'accueil inutilisable (${LAYOUT_CONFIG.url}):`, error.errors || error.message);
+        return { layout: FALLBACK_LAYOUT, source: 'fallback' };
+    }
+}
+
+/**
+ * Enregistre une disposition personnelle
+ * @param {Object} layout - Disposition à enregistrer
+ * @returns {boolean} - false si le localStorage est indisponible (plein, navigation privée...)
+ * @throws {LayoutValidationError} - Si la disposition est invalide
+ */
+export function saveLayout(layout) {
+    const errors = validateLayout(layout);
+
+    if (errors.length > 0) {
+        throw new LayoutValidationError(errors);
+    }
+
+    try {
+        window.localStorage.setItem(LAYOUT_CONFIG.storageKey, JSON.stringify(layout));
+    } catch (error) {
+        console.error('Impossible d\'enregistrer la disposition personnelle:', error);
+        return false;
+    }
+    console.log('Disposition personnelle enregistrée');
+    return true;
+}
+
+/**
+ * Supprime la disposition personnelle (retour à la configuration par défaut)
+ * @returns {boolean} - false si le localStorage est indisponible
+ */
+export function resetLayout() {
+    try {
+        window.localStorage.removeItem(LAYOUT_CONFIG.storageKey);
+    } catch (error) {
+        console.error('Impossible de supprimer la disposition personnelle:', error);
+        return false;
+    }
+    console.log('Disposition personnelle supprimée');
+    return true;
+}
+
+/**
+ * Crée une nouvelle disposition à partir d'une liste de lignes
+ * @param {Array<Object>} rows - Lignes de l'accueil
+ * @returns {Object} - Disposition
+ */
+export function createLayout(rows) {
+    return { version: LAYOUT_CONFIG.version, rows };
+}
+
+/**
+ * Nombre de films affichés par une ligne
+ * @param {Object} row - Ligne de l'accueil
+ * @returns {number}
+ */
+export function getRowSize(row) {
+    return row.size || LAYOUT_CONFIG.defaultSize;
+}
+
+/**
+ * Titre affiché d'une ligne fixe
+ * Une ligne peut désigner son titre par une clé des catalogues de messages
+ * (`titleKey`) ; son champ `title` sert alors de titre de secours.
+ * @param {Object} row - Ligne de l'accueil
+ * @returns {string}
+ */
+export function getRowTitle(row) {
+    return row.titleKey && hasMessage(row.titleKey) ? t(row.titleKey) : row.title;
+}
+
+/**
+ * Lit la disposition personnelle depuis le localStorage
+ * @returns {Object|null} - Disposition ou null si absente ou illisible
+ */
+function readPersonalLayout() {
+    try {
+        const raw = window.localStorage.getItem(LAYOUT_CONFIG.storageKey);
+        return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+        console.warn('Disposition personnelle illisible, ignorée:', error);
+        return null;
+    }
+}
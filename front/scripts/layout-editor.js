@@ -0,0 +1,258 @@
+/**
+ * Module de l'éditeur de disposition de l'accueil
+ * Permet d'ajouter, retirer et réordonner les lignes de l'accueil
+ * puis d'enregistrer une disposition personnelle
+ */
+
+import { validateRow, saveLayout, resetLayout, loadLayout, createLayout, getRowSize, getRowTitle, LayoutValidationError } from './layout-config.js';
+import { SORT_OPTIONS } from './query-builder.js';
+import { t } from './i18n.js';
+
+/**
+ * Construit un identifiant de ligne unique à partir d'un titre
+ * @param {string} text - Titre ou genre de la ligne
+ * @param {Array<Object>} rows - Lignes existantes
+ * @returns {string} - Identifiant (ex: 'films-francais', 'films-francais-2')
+ */
+function createRowId(text, rows) {
+    const base = text
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'ligne';
+
+    let id = base;
+    let suffix = 2;
+    while (rows.some(row => row.id === id)) {
+        id = `${base}-${suffix++}`;
+    }
+
+    return id;
+}
+
+/**
+ * Libellé d'une ligne dans l'éditeur
+ * @param {Object} row - Ligne de l'accueil
+ * @returns {string}
+ */
+function describeRow(row) {
+    const dropdownName = row.defaultGenre
+        ? t('layout.editor.dropdownWithGenre', { genre: row.defaultGenre })
+        : t('layout.editor.dropdown');
+    const name = row.type === 'fixed' ? getRowTitle(row) : dropdownName;
+
+    return t('layout.editor.row', { name, count: getRowSize(row) });
+}
+
+/**
+ * Lit une nouvelle ligne depuis le formulaire d'ajout
+ * @param {HTMLFormElement} form - Formulaire d'ajout
+ * @param {Array<Object>} rows - Lignes existantes
+ * @returns {Object} - Ligne (non validée)
+ */
+function readRow(form, rows) {
+    const { type, title, genre, sortBy, size } = Object.fromEntries(new FormData(form));
+
+    if (type === 'dropdown') {
+        const row = { id: createRowId(`menu-${genre || 'genre'}`, rows), type, size: Number(size) };
+        if (genre) {
+            row.defaultGenre = genre;
+        }
+        return row;
+    }
+
+    const query = { sortBy };
+    if (genre) {
+        query.genre = genre;
+    }
+
+    return {
+        id: createRowId(title || genre, rows),
+        type,
+        title: title.trim(),
+        query,
+        size: Number(size)
+    };
+}
+
+/**
+ * Affiche des erreurs dans l'éditeur
+ * @param {HTMLElement} errorList - Liste des erreurs
+ * @param {Array<string>} errors - Messages d'erreur (liste vide pour effacer)
+ */
+function displayErrors(errorList, errors) {
+    errorList.innerHTML = '';
+
+    errors.forEach(message => {
+        const item = document.createElement('li');
+        item.textContent = message;
+        errorList.appendChild(item);
+    });
+}
+
+/**
+ * Crée un bouton d'action sur une ligne
+ * @param {string} text - Symbole affiché
+ * @param {string} label - Libellé accessible
+ * @param {Function} onClick - Action
+ * @param {boolean} disabled - Bouton désactivé
+ * @returns {HTMLButtonElement}
+ */
+function createRowButton(text, label, onClick, disabled = false) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = text;
+    button.setAttribute('aria-label', label);
+    button.disabled = disabled;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Initialise l'éditeur de disposition
+ * @param {Object} layout - Disposition affichée
+ * @param {Array} availableGenres - Liste des genres [{label, value}]
+ * @param {Function} onChange - Fonction appelée avec la nouvelle disposition à afficher
+ */
+export function initializeLayoutEditor(layout, availableGenres, onChange) {
+    const toggleButton = document.querySelector('.layout-editor__toggle');
+    const panel = document.getElementById('layout-editor-panel');
+
+    if (!toggleButton || !panel) {
+        console.warn('Éditeur de disposition introuvable dans la page');
+        return;
+    }
+
+    const rowList = panel.querySelector('.layout-editor__rows');
+    const form = panel.querySelector('.layout-editor__add');
+    const errorList = panel.querySelector('.layout-editor__errors');
+    const status = panel.querySelector('.layout-editor__status');
+
+    // Lignes en cours de modification (appliquées seulement à l'enregistrement)
+    let savedRows = layout.rows;
+    let draftRows = [...savedRows];
+
+    // Remplir les listes de genres et de tris
+    const addOption = (select, value, label) => {
+        const element = document.createElement('option');
+        element.value = value;
+        element.textContent = label;
+        select.appendChild(element);
+    };
+    availableGenres.forEach(genre => addOption(form.elements.genre, genre.value, genre.label));
+    SORT_OPTIONS.forEach(option => addOption(form.elements.sortBy, option.value, t(option.labelKey)));
+
+    // Une ligne "menu déroulant" n'a ni titre ni tri : son genre est choisi par l'utilisateur
+    const updateFormFields = () => {
+        const isDropdown = form.elements.type.value === 'dropdown';
+        form.elements.title.disabled = isDropdown;
+        form.elements.sortBy.disabled = isDropdown;
+    };
+
+    const moveRow = (index, offset) => {
+        const [row] = draftRows.splice(index, 1);
+        draftRows.splice(index + offset, 0, row);
+        renderRows();
+        rowList.children[index + offset].querySelector(`button[data-move="${offset}"]:not(:disabled)`)?.focus();
+    };
+
+    const renderRows = () => {
+        rowList.innerHTML = '';
+
+        draftRows.forEach((row, index) => {
+            const item = document.createElement('li');
+            item.className = 'layout-editor__row';
+
+            const label = document.createElement('span');
+            label.textContent = describeRow(row);
+            item.appendChild(label);
+
+            const upButton = createRowButton('↑', t('layout.editor.moveUp', { row: describeRow(row) }), () => moveRow(index, -1), index === 0);
+            upButton.dataset.move = '-1';
+            const downButton = createRowButton('↓', t('layout.editor.moveDown', { row: describeRow(row) }), () => moveRow(index, 1), index === draftRows.length - 1);
+            downButton.dataset.move = '1';
+            const removeButton = createRowButton('✕', t('layout.editor.remove', { row: describeRow(row) }), () => {
+                draftRows.splice(index, 1);
+                renderRows();
+            }, draftRows.length === 1);
+
+            item.appendChild(upButton);
+            item.appendChild(downButton);
+            item.appendChild(removeButton);
+            rowList.appendChild(item);
+        });
+    };
+
+    const close = () => {
+        panel.hidden = true;
+        toggleButton.setAttribute('aria-expanded', 'false');
+        toggleButton.focus();
+    };
+
+    toggleButton.addEventListener('click', () => {
+        const expanded = panel.hidden;
+        panel.hidden = !expanded;
+        toggleButton.setAttribute('aria-expanded', String(expanded));
+
+        if (expanded) {
+            draftRows = [...savedRows];
+            displayErrors(errorList, []);
+            status.textContent = '';
+            renderRows();
+        }
+    });
+
+    form.elements.type.addEventListener('change', updateFormFields);
+    updateFormFields();
+
+    // Ajouter une ligne après validation
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+
+        const row = readRow(form, draftRows);
+        const errors = validateRow(row, draftRows.length);
+        displayErrors(errorList, errors);
+
+        if (errors.length === 0) {
+            draftRows.push(row);
+            renderRows();
+            status.textContent = t('layout.editor.added', { row: describeRow(row) });
+            form.reset();
+            updateFormFields();
+        }
+    });
+
+    panel.addEventListener('click', async (e) => {
+        const action = e.target.dataset.action;
+
+        if (action === 'save') {
+            const newLayout = createLayout(draftRows);
+            try {
+                if (!saveLayout(newLayout)) {
+                    // Brouillon conservé : le panneau reste ouvert
+                    displayErrors(errorList, [t('layout.editor.storageError')]);
+                    return;
+                }
+            } catch (error) {
+                if (!(error instanceof LayoutValidationError)) throw error;
+                displayErrors(errorList, error.errors);
+                return;
+            }
+            savedRows = draftRows;
+            close();
+            onChange(newLayout);
+        } else if (action === 'cancel') {
+            close();
+        } else if (action === 'reset') {
+            if (!resetLayout()) {
+                displayErrors(errorList, [t('layout.editor.storageError')]);
+                return;
+            }
+            const { layout: defaultLayout } = await loadLayout();
+            savedRows = defaultLayout.rows;
+            close();
+            onChange(defaultLayout);
+        }
+    });
+}
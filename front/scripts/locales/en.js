@@ -0,0 +1,374 @@
+/**
+ * Catalogue des messages en anglais
+ * Mêmes clés que le catalogue français (locales/fr.js) ; une clé absente
+ * ici est affichée en français.
+ */
+
+export default {
+    app: {
+        title: 'JustStreamIt',
+        tagline: 'Video on demand',
+        logo: 'JustStreamIt logo',
+        language: 'Interface language'
+    },
+    common: {
+        movies: 'Movies',
+        details: 'Details',
+        detailsOf: 'Details of {title}',
+        poster: '{title} poster',
+        unknownTitle: 'Unknown title',
+        notProvided: 'Not available',
+        imageUnavailable: 'Image not available',
+        loading: 'Loading…',
+        backHome: 'Back to home'
+    },
+    search: {
+        field: 'Search by',
+        fields: {
+            title: 'Title',
+            actor: 'Actor',
+            director: 'Director'
+        },
+        placeholder: 'Search for a movie...',
+        label: 'Search',
+        submit: 'Search',
+        resultsTitle: 'Results for “{term}”',
+        searching: 'Searching...',
+        found: {
+            one: '{count} movie found - page {page}',
+            other: '{count} movies found - page {page}'
+        },
+        noResults: 'No movie matches your search.',
+        failed: 'The search failed. Please try again.',
+        pagination: 'Results pagination',
+        page: 'Page {page}',
+        previous: 'Previous',
+        next: 'Next'
+    },
+    person: {
+        title: {
+            director: 'Movies directed by {name}',
+            actor: 'Movies starring {name}'
+        },
+        link: {
+            director: 'See movies directed by {name}',
+            actor: 'See movies starring {name}'
+        },
+        sortBy: 'Sort by',
+        loading: 'Loading movies of {name}…',
+        empty: 'No movies found for {name}.',
+        error: 'Could not load movies of {name}.',
+        summary: {
+            movies: 'Movies',
+            movieCount: {
+                one: '{count} movie',
+                other: '{count} movies'
+            },
+            career: 'Career',
+            span: '{first} to {last}',
+            averageScore: 'Average IMDb score'
+        }
+    },
+    bestMovie: {
+        heading: 'Top rated movies',
+        poster: 'Best movie poster',
+        loading: 'Loading the top rated movies…',
+        empty: 'No movie available at the moment.',
+        error: 'Unable to load the top rated movies.',
+        noDescription: 'No description available.'
+    },
+    hero: {
+        slideRoleDescription: 'slide',
+        slide: '{position} of {total}',
+        dots: 'Choose a movie',
+        goTo: 'Show {title} ({position} of {total})',
+        previous: 'Previous movie',
+        next: 'Next movie',
+        pause: 'Pause autoplay',
+        play: 'Resume autoplay'
+    },
+    filters: {
+        toggle: 'Advanced filters',
+        minYear: 'Min. year',
+        maxYear: 'Max. year',
+        minScore: 'Min. IMDb score',
+        country: 'Country',
+        language: 'Language',
+        rated: 'Rating',
+        director: 'Director',
+        actor: 'Actor',
+        sortBy: 'Sort by',
+        apply: 'Apply',
+        reset: 'Reset',
+        results: 'Filtered results',
+        empty: 'No movie matches these filters.'
+    },
+    query: {
+        sort: {
+            scoreDesc: 'Highest IMDb score',
+            scoreAsc: 'Lowest IMDb score',
+            yearDesc: 'Newest',
+            yearAsc: 'Oldest',
+            votesDesc: 'Most popular',
+            title: 'Title (A-Z)'
+        },
+        labels: {
+            title: 'Title',
+            genre: 'Genre',
+            minYear: 'Minimum year',
+            maxYear: 'Maximum year',
+            minScore: 'Minimum IMDb score',
+            country: 'Country',
+            language: 'Language',
+            rated: 'Rating',
+            director: 'Director',
+            actor: 'Actor',
+            sortBy: 'Sort'
+        },
+        errors: {
+            year: '{label}: enter a year between {min} and {max}.',
+            score: '{label}: enter a score between 0 and 10.',
+            sort: '{label}: unknown sort option.',
+            textLength: '{label}: {max} characters maximum.',
+            unknown: 'Unknown filter: {key}.',
+            yearRange: 'The minimum year must be less than or equal to the maximum year.'
+        }
+    },
+    categories: {
+        showMore: 'Show more',
+        showLess: 'Show less',
+        seeAll: 'See all',
+        others: 'Other: ',
+        loading: 'Loading {name}…',
+        error: 'Unable to load {name}.',
+        empty: 'No movie in the {name} category.',
+        loadMore: 'Load more movies',
+        end: 'End of results.',
+        noMovies: 'No movie found.',
+        loadMoreError: 'Unable to load more movies.'
+    },
+    carousel: {
+        roleDescription: 'carousel',
+        previous: 'Previous movies',
+        next: 'Next movies'
+    },
+    favorites: {
+        title: 'My list',
+        empty: 'Add movies with the ♡ button to find them here.',
+        add: 'Add {title} to my list',
+        remove: 'Remove {title} from my list',
+        thisMovie: 'this movie',
+        export: 'Export',
+        import: 'Import',
+        imported: {
+            one: '{count} movie added to your list.',
+            other: '{count} movies added to your list.'
+        },
+        importFailed: 'Import failed: {message}',
+        errors: {
+            invalidJson: 'The file is not valid JSON.',
+            noList: 'The file does not contain a movie list.',
+            incomplete: 'Some movies in the file are incomplete (id and title required).'
+        }
+    },
+    recommendations: {
+        title: 'Recommended for you',
+        loading: 'Computing your recommendations…',
+        empty: 'No recommendations yet: open more movies to refine your suggestions.',
+        error: 'Could not compute your recommendations.',
+        clear: 'Clear history',
+        cleared: 'Viewing history cleared.',
+        because: {
+            history: 'Because you watched {title}',
+            favorite: 'Because {title} is in your list'
+        },
+        reason: {
+            director: 'Directed by {name}, like {title}',
+            actor: 'Starring {name}, like {title}',
+            genre: '{genre}, like {title}',
+            decade: 'From the {decade}s, like {title}'
+        }
+    },
+    compare: {
+        toggle: 'Compare',
+        add: 'Add {title} to the comparison',
+        remove: 'Remove {title} from the comparison',
+        removeShort: 'Remove',
+        added: '{title} added to the comparison.',
+        removed: '{title} removed from the comparison.',
+        full: 'You are already comparing {max} movies: remove one to add another.',
+        cleared: 'Comparison selection cleared.',
+        trayTitle: 'To compare ({count}/{max})',
+        open: 'Compare',
+        clear: 'Clear',
+        title: 'Comparison',
+        caption: {
+            one: 'Comparison of {count} movie',
+            other: 'Comparison of {count} movies'
+        },
+        loading: 'Loading the movies to compare…',
+        empty: 'No movies to compare.',
+        error: 'Could not load the movies to compare.',
+        unknown: '—',
+        best: 'best',
+        fields: {
+            year: 'Year',
+            genres: 'Genres',
+            duration: 'Runtime',
+            imdbScore: 'IMDb score',
+            votes: 'Votes',
+            boxOffice: 'Worldwide box office',
+            directors: 'Directed by',
+            sharedActors: 'Shared cast'
+        }
+    },
+    stats: {
+        link: 'Statistics',
+        title: 'Catalogue statistics',
+        progressLabel: 'Catalogue analysis progress',
+        refresh: 'Refresh',
+        loading: 'Analysing the catalogue…',
+        empty: 'The catalogue contains no movies.',
+        error: 'Could not analyse the catalogue.',
+        progress: '{loaded} of {total} movies analysed…',
+        analyzed: {
+            one: '{count} movie analysed.',
+            other: '{count} movies analysed.'
+        },
+        savedAt: 'Statistics from {date}.',
+        movieCount: {
+            one: '{count} movie',
+            other: '{count} movies'
+        },
+        noScore: 'unrated',
+        scoreRange: '{min}–{max}',
+        decade: '{decade}s',
+        countTooltip: '{label}: {movies}',
+        decadeTooltip: '{decade}s: average score {score} ({movies})',
+        directorTooltip: '{name}: {movies}, average score {score}',
+        charts: {
+            genres: 'Movies by genre',
+            scores: 'IMDb score distribution',
+            decades: 'Average IMDb score by decade',
+            topDirectors: 'Most prolific directors',
+            bestDirectors: 'Highest rated directors (at least {count} rated movies)'
+        },
+        columns: {
+            genre: 'Genre',
+            movies: 'Movies',
+            score: 'IMDb score',
+            decade: 'Decade',
+            averageScore: 'Average score',
+            director: 'Director'
+        }
+    },
+    charts: {
+        showData: 'Show data',
+        tooltip: '{label}: {value}'
+    },
+    layout: {
+        rows: {
+            topRated: 'Top rated movies'
+        },
+        editor: {
+            toggle: 'Customize home page',
+            rows: 'Home page rows',
+            type: 'Type',
+            typeFixed: 'Category',
+            typeDropdown: 'Drop-down menu',
+            title: 'Title',
+            genre: 'Genre',
+            allGenres: 'All genres',
+            sortBy: 'Sort by',
+            size: 'Number of movies',
+            add: 'Add row',
+            save: 'Save',
+            cancel: 'Cancel',
+            reset: 'Default layout',
+            dropdown: 'Drop-down menu',
+            dropdownWithGenre: 'Drop-down menu ({genre})',
+            row: {
+                one: '{name} — {count} movie',
+                other: '{name} — {count} movies'
+            },
+            moveUp: 'Move up {row}',
+            moveDown: 'Move down {row}',
+            remove: 'Remove {row}',
+            added: 'Row added: {row}.',
+            storageError: 'Unable to save the layout in this browser (storage full or disabled).'
+        },
+        errors: {
+            row: 'Row {index}:',
+            rowWithId: 'Row {index} ({id}):',
+            notObject: 'a row must be an object.',
+            type: 'the type must be "fixed" or "dropdown".',
+            unknownField: 'unknown field "{field}".',
+            fieldNotAllowed: 'the "{field}" field is not accepted by a "{type}" row.',
+            fieldType: 'the "{field}" field must be of type {type}.',
+            fieldRequired: 'the "{field}" field is required.',
+            idFormat: 'the identifier may only contain lowercase letters, digits and hyphens.',
+            idReserved: 'the identifier "{id}" is reserved.',
+            titleLength: 'the title must contain between 1 and {max} characters.',
+            titleKey: 'the translation key "{key}" is unknown.',
+            size: 'the number of movies must be between 1 and {max}.',
+            genreIndex: '"genreIndex" must be positive.',
+            layoutNotObject: 'The layout must be a JSON object.',
+            version: 'Unsupported layout version (expected: {version}).',
+            noRows: 'The layout must contain at least one row ("rows").',
+            tooManyRows: 'The layout cannot contain more than {max} rows.',
+            duplicateId: 'Row {index}: the identifier "{id}" is already used.'
+        }
+    },
+    offline: {
+        banner: 'Offline: showing the last catalogue you viewed.'
+    },
+    sectionState: {
+        loading: 'Loading…',
+        empty: 'No movie to display.',
+        error: 'Unable to load this section.',
+        retry: 'Retry',
+        errors: {
+            network: 'The server is not responding.',
+            notFound: 'Content not found.',
+            server: 'The server encountered an error.',
+            unknown: 'An unexpected error occurred.'
+        }
+    },
+    modal: {
+        title: 'Movie details',
+        close: 'Close',
+        closeLabel: 'Close movie details',
+        directedBy: 'Directed by:',
+        cast: 'Starring:',
+        loading: 'Loading movie details…',
+        error: 'Unable to load movie details.',
+        shown: 'Details of {title} displayed.',
+        released: 'Released: {date}',
+        score: 'IMDb score: {score}/10',
+        boxOffice: 'Box office: {amount}',
+        usaGross: 'US box office: {amount}',
+        noSynopsis: 'No synopsis available.',
+        facts: 'Technical details',
+        ratings: 'Ratings and reviews',
+        similar: 'Similar movies',
+        previous: 'Previous movie',
+        next: 'Next movie',
+        position: 'Movie {index} of {total}',
+        similarLoading: 'Loading similar movies…',
+        similarEmpty: 'No similar movie found.',
+        similarError: 'Unable to load similar movies.',
+        outOf10: '{score}/10',
+        outOf100: '{score}/100',
+        fields: {
+            writers: 'Writers',
+            languages: 'Languages',
+            budget: 'Budget',
+            company: 'Production company',
+            avgVote: 'Audience rating',
+            votes: 'Votes',
+            metascore: 'Metascore',
+            userReviews: 'User reviews',
+            criticReviews: 'Critic reviews'
+        }
+    }
+};
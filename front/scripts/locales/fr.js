@@ -0,0 +1,374 @@
+/**
+ * Catalogue des messages en français (langue par défaut)
+ * Les marques {nom} sont remplacées par les paramètres de t() ; un message
+ * dépendant d'un nombre donne ses formes plurielles ({ one, other }).
+ */
+
+export default {
+    app: {
+        title: 'JustStreamIt',
+        tagline: 'Vidéos à la demande',
+        logo: 'Logo JustStreamIt',
+        language: 'Langue de l\'interface'
+    },
+    common: {
+        movies: 'Films',
+        details: 'Détails',
+        detailsOf: 'Détails de {title}',
+        poster: 'Affiche {title}',
+        unknownTitle: 'Titre inconnu',
+        notProvided: 'Non renseigné',
+        imageUnavailable: 'Image non disponible',
+        loading: 'Chargement…',
+        backHome: 'Retour à l\'accueil'
+    },
+    search: {
+        field: 'Rechercher par',
+        fields: {
+            title: 'Titre',
+            actor: 'Acteur',
+            director: 'Réalisateur'
+        },
+        placeholder: 'Rechercher un film...',
+        label: 'Rechercher',
+        submit: 'Rechercher',
+        resultsTitle: 'Résultats pour « {term} »',
+        searching: 'Recherche en cours...',
+        found: {
+            one: '{count} film trouvé - page {page}',
+            other: '{count} films trouvés - page {page}'
+        },
+        noResults: 'Aucun film ne correspond à votre recherche.',
+        failed: 'La recherche a échoué. Veuillez réessayer.',
+        pagination: 'Pagination des résultats',
+        page: 'Page {page}',
+        previous: 'Précédent',
+        next: 'Suivant'
+    },
+    person: {
+        title: {
+            director: 'Films réalisés par {name}',
+            actor: 'Films avec {name}'
+        },
+        link: {
+            director: 'Voir les films réalisés par {name}',
+            actor: 'Voir les films avec {name}'
+        },
+        sortBy: 'Trier par',
+        loading: 'Chargement des films de {name}…',
+        empty: 'Aucun film trouvé pour {name}.',
+        error: 'Impossible de charger les films de {name}.',
+        summary: {
+            movies: 'Films',
+            movieCount: {
+                one: '{count} film',
+                other: '{count} films'
+            },
+            career: 'Carrière',
+            span: 'De {first} à {last}',
+            averageScore: 'Score IMDb moyen'
+        }
+    },
+    bestMovie: {
+        heading: 'Meilleurs films',
+        poster: 'Affiche du meilleur film',
+        loading: 'Chargement des meilleurs films…',
+        empty: 'Aucun film disponible pour le moment.',
+        error: 'Impossible de charger les meilleurs films.',
+        noDescription: 'Aucune description disponible.'
+    },
+    hero: {
+        slideRoleDescription: 'diapositive',
+        slide: '{position} sur {total}',
+        dots: 'Choisir un film',
+        goTo: 'Afficher {title} ({position} sur {total})',
+        previous: 'Film précédent',
+        next: 'Film suivant',
+        pause: 'Mettre en pause le défilement',
+        play: 'Reprendre le défilement'
+    },
+    filters: {
+        toggle: 'Filtres avancés',
+        minYear: 'Année min.',
+        maxYear: 'Année max.',
+        minScore: 'Score IMDb min.',
+        country: 'Pays',
+        language: 'Langue',
+        rated: 'Classification',
+        director: 'Réalisateur',
+        actor: 'Acteur',
+        sortBy: 'Trier par',
+        apply: 'Appliquer',
+        reset: 'Réinitialiser',
+        results: 'Résultats filtrés',
+        empty: 'Aucun film ne correspond à ces filtres.'
+    },
+    query: {
+        sort: {
+            scoreDesc: 'Meilleur score IMDb',
+            scoreAsc: 'Moins bon score IMDb',
+            yearDesc: 'Plus récents',
+            yearAsc: 'Plus anciens',
+            votesDesc: 'Plus populaires',
+            title: 'Titre (A-Z)'
+        },
+        labels: {
+            title: 'Titre',
+            genre: 'Genre',
+            minYear: 'Année minimale',
+            maxYear: 'Année maximale',
+            minScore: 'Score IMDb minimal',
+            country: 'Pays',
+            language: 'Langue',
+            rated: 'Classification',
+            director: 'Réalisateur',
+            actor: 'Acteur',
+            sortBy: 'Tri'
+        },
+        errors: {
+            year: '{label} : saisir une année entre {min} et {max}.',
+            score: '{label} : saisir un score entre 0 et 10.',
+            sort: '{label} : option de tri inconnue.',
+            textLength: '{label} : {max} caractères maximum.',
+            unknown: 'Filtre inconnu : {key}.',
+            yearRange: 'L\'année minimale doit être inférieure ou égale à l\'année maximale.'
+        }
+    },
+    categories: {
+        showMore: 'Voir plus',
+        showLess: 'Voir moins',
+        seeAll: 'Tout voir',
+        others: 'Autres: ',
+        loading: 'Chargement de {name}…',
+        error: 'Impossible de charger {name}.',
+        empty: 'Aucun film dans la catégorie {name}.',
+        loadMore: 'Charger plus de films',
+        end: 'Fin des résultats.',
+        noMovies: 'Aucun film trouvé.',
+        loadMoreError: 'Impossible de charger plus de films.'
+    },
+    carousel: {
+        roleDescription: 'carrousel',
+        previous: 'Films précédents',
+        next: 'Films suivants'
+    },
+    favorites: {
+        title: 'Ma liste',
+        empty: 'Ajoutez des films avec le bouton ♡ pour les retrouver ici.',
+        add: 'Ajouter {title} à ma liste',
+        remove: 'Retirer {title} de ma liste',
+        thisMovie: 'ce film',
+        export: 'Exporter',
+        import: 'Importer',
+        imported: {
+            one: '{count} film ajouté à votre liste.',
+            other: '{count} films ajoutés à votre liste.'
+        },
+        importFailed: 'Import impossible : {message}',
+        errors: {
+            invalidJson: 'Le fichier n\'est pas un JSON valide.',
+            noList: 'Le fichier ne contient pas de liste de films.',
+            incomplete: 'Certains films du fichier sont incomplets (id et titre requis).'
+        }
+    },
+    recommendations: {
+        title: 'Recommandé pour vous',
+        loading: 'Calcul de vos recommandations…',
+        empty: 'Aucune recommandation pour le moment : ouvrez d\'autres films pour affiner vos suggestions.',
+        error: 'Impossible de calculer vos recommandations.',
+        clear: 'Effacer l\'historique',
+        cleared: 'Historique de visionnage effacé.',
+        because: {
+            history: 'Parce que vous avez regardé {title}',
+            favorite: 'Parce que {title} est dans votre liste'
+        },
+        reason: {
+            director: 'Réalisé par {name}, comme {title}',
+            actor: 'Avec {name}, comme {title}',
+            genre: '{genre}, comme {title}',
+            decade: 'Années {decade}, comme {title}'
+        }
+    },
+    compare: {
+        toggle: 'Comparer',
+        add: 'Ajouter {title} à la comparaison',
+        remove: 'Retirer {title} de la comparaison',
+        removeShort: 'Retirer',
+        added: '{title} ajouté à la comparaison.',
+        removed: '{title} retiré de la comparaison.',
+        full: 'Vous comparez déjà {max} films : retirez-en un pour en ajouter un autre.',
+        cleared: 'Sélection de films à comparer vidée.',
+        trayTitle: 'À comparer ({count}/{max})',
+        open: 'Comparer',
+        clear: 'Vider',
+        title: 'Comparaison',
+        caption: {
+            one: 'Comparaison de {count} film',
+            other: 'Comparaison de {count} films'
+        },
+        loading: 'Chargement des films à comparer…',
+        empty: 'Aucun film à comparer.',
+        error: 'Impossible de charger les films à comparer.',
+        unknown: '—',
+        best: 'meilleur',
+        fields: {
+            year: 'Année',
+            genres: 'Genres',
+            duration: 'Durée',
+            imdbScore: 'Score IMDb',
+            votes: 'Votes',
+            boxOffice: 'Box-office mondial',
+            directors: 'Réalisation',
+            sharedActors: 'Acteurs en commun'
+        }
+    },
+    stats: {
+        link: 'Statistiques',
+        title: 'Statistiques du catalogue',
+        progressLabel: 'Avancement de l\'analyse du catalogue',
+        refresh: 'Mettre à jour',
+        loading: 'Analyse du catalogue…',
+        empty: 'Le catalogue ne contient aucun film.',
+        error: 'Impossible d\'analyser le catalogue.',
+        progress: '{loaded} films analysés sur {total}…',
+        analyzed: {
+            one: '{count} film analysé.',
+            other: '{count} films analysés.'
+        },
+        savedAt: 'Statistiques du {date}.',
+        movieCount: {
+            one: '{count} film',
+            other: '{count} films'
+        },
+        noScore: 'non noté',
+        scoreRange: '{min}–{max}',
+        decade: '{decade}',
+        countTooltip: '{label} : {movies}',
+        decadeTooltip: 'Années {decade} : score moyen {score} ({movies})',
+        directorTooltip: '{name} : {movies}, score moyen {score}',
+        charts: {
+            genres: 'Films par genre',
+            scores: 'Répartition des scores IMDb',
+            decades: 'Score IMDb moyen par décennie',
+            topDirectors: 'Réalisateurs les plus présents',
+            bestDirectors: 'Réalisateurs les mieux notés ({count} films notés au moins)'
+        },
+        columns: {
+            genre: 'Genre',
+            movies: 'Films',
+            score: 'Score IMDb',
+            decade: 'Décennie',
+            averageScore: 'Score moyen',
+            director: 'Réalisateur'
+        }
+    },
+    charts: {
+        showData: 'Afficher les données',
+        tooltip: '{label} : {value}'
+    },
+    layout: {
+        rows: {
+            topRated: 'Films les mieux notés'
+        },
+        editor: {
+            toggle: 'Personnaliser l\'accueil',
+            rows: 'Lignes de l\'accueil',
+            type: 'Type',
+            typeFixed: 'Catégorie',
+            typeDropdown: 'Menu déroulant',
+            title: 'Titre',
+            genre: 'Genre',
+            allGenres: 'Tous les genres',
+            sortBy: 'Trier par',
+            size: 'Nombre de films',
+            add: 'Ajouter la ligne',
+            save: 'Enregistrer',
+            cancel: 'Annuler',
+            reset: 'Disposition par défaut',
+            dropdown: 'Menu déroulant',
+            dropdownWithGenre: 'Menu déroulant ({genre})',
+            row: {
+                one: '{name} — {count} film',
+                other: '{name} — {count} films'
+            },
+            moveUp: 'Monter {row}',
+            moveDown: 'Descendre {row}',
+            remove: 'Retirer {row}',
+            added: 'Ligne ajoutée : {row}.',
+            storageError: 'Impossible d\'enregistrer la disposition dans ce navigateur (stockage plein ou désactivé).'
+        },
+        errors: {
+            row: 'Ligne {index} :',
+            rowWithId: 'Ligne {index} ({id}) :',
+            notObject: 'une ligne doit être un objet.',
+            type: 'le type doit être "fixed" ou "dropdown".',
+            unknownField: 'champ inconnu "{field}".',
+            fieldNotAllowed: 'le champ "{field}" n\'est pas accepté par une ligne "{type}".',
+            fieldType: 'le champ "{field}" doit être de type {type}.',
+            fieldRequired: 'le champ "{field}" est obligatoire.',
+            idFormat: 'l\'identifiant ne doit contenir que des minuscules, chiffres et tirets.',
+            idReserved: 'l\'identifiant "{id}" est réservé.',
+            titleLength: 'le titre doit contenir entre 1 et {max} caractères.',
+            titleKey: 'la clé de traduction "{key}" est inconnue.',
+            size: 'le nombre de films doit être compris entre 1 et {max}.',
+            genreIndex: '"genreIndex" doit être positif.',
+            layoutNotObject: 'La disposition doit être un objet JSON.',
+            version: 'Version de disposition non prise en charge (attendue : {version}).',
+            noRows: 'La disposition doit contenir au moins une ligne ("rows").',
+            tooManyRows: 'La disposition ne peut pas contenir plus de {max} lignes.',
+            duplicateId: 'Ligne {index} : l\'identifiant "{id}" est déjà utilisé.'
+        }
+    },
+    offline: {
+        banner: 'Hors ligne : affichage du dernier catalogue consulté.'
+    },
+    sectionState: {
+        loading: 'Chargement…',
+        empty: 'Aucun film à afficher.',
+        error: 'Impossible de charger cette section.',
+        retry: 'Réessayer',
+        errors: {
+            network: 'Le serveur ne répond pas.',
+            notFound: 'Contenu introuvable.',
+            server: 'Le serveur a rencontré une erreur.',
+            unknown: 'Une erreur inattendue est survenue.'
+        }
+    },
+    modal: {
+        title: 'Détails du film',
+        close: 'Fermer',
+        closeLabel: 'Fermer les détails du film',
+        directedBy: 'Réalisé par:',
+        cast: 'Avec:',
+        loading: 'Chargement des détails du film…',
+        error: 'Impossible de charger les détails du film.',
+        shown: 'Détails du film {title} affichés.',
+        released: 'Sortie : {date}',
+        score: 'IMDB score: {score}/10',
+        boxOffice: 'Recettes au box-office: {amount}',
+        usaGross: 'Recettes aux États-Unis: {amount}',
+        noSynopsis: 'Aucun résumé disponible.',
+        facts: 'Fiche technique',
+        ratings: 'Notes et critiques',
+        similar: 'Films similaires',
+        previous: 'Film précédent',
+        next: 'Film suivant',
+        position: 'Film {index} sur {total}',
+        similarLoading: 'Chargement des films similaires…',
+        similarEmpty: 'Aucun film similaire trouvé.',
+        similarError: 'Impossible de charger les films similaires.',
+        outOf10: '{score}/10',
+        outOf100: '{score}/100',
+        fields: {
+            writers: 'Scénario',
+            languages: 'Langues',
+            budget: 'Budget',
+            company: 'Production',
+            avgVote: 'Note des spectateurs',
+            votes: 'Votes',
+            metascore: 'Metascore',
+            userReviews: 'Critiques des spectateurs',
+            criticReviews: 'Critiques de la presse'
+        }
+    }
+};
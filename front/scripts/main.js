@@ -4,62 +4,202 @@
  */
 
 import { fetchMovieDetails } from './api.js';
-import { updateBestMovieDisplay } from './ui-components.js';
-import { initializeCategories } from './categories.js';
+import { showView } from './ui-components.js';
+import { initializeCategories, applyHomeState, displayCategoryPage, fetchMultiplePages } from './categories.js';
+import { initializeSearch } from './search.js';
+import { initializeFilters } from './filters.js';
+import { showMovieDetails, hideMovieDetails } from './modal.js';
+import { router } from './router.js';
+import { initializeFavoriteToggles } from './favorites.js';
+import { buildQuery, parseQuery, FilterValidationError } from './query-builder.js';
+import { SectionState } from './section-state.js';
+import { TaskQueue } from './task-queue.js';
+import { t, translatePage, initializeLanguageSwitcher } from './i18n.js';
+import { registerServiceWorker, initializeOfflineBanner } from './offline.js';
+import { showPersonPage } from './person-page.js';
+import { initializeCompare, showComparison } from './compare.js';
+import { showStatsPage } from './stats.js';
+import { HeroCarousel, HERO_CONFIG } from './hero.js';
+
+// Configuration du chargement de l'accueil
+const INIT_CONFIG = {
+    concurrency: 4  // Nombre maximal de sections chargées simultanément
+};
+
+// L'accueil n'est chargé qu'à sa première visite
+let homeLoaded = false;
+
+// État de chargement de la bannière des meilleurs films
+let bestMovieState = null;
+
+// Bannière défilante des meilleurs films
+let heroCarousel = null;
 
 /**
- * Charge et affiche le meilleur film (score IMDB le plus élevé)
+ * Charge et affiche les meilleurs films (scores IMDB les plus élevés) dans la bannière
+ * Seuls les détails du premier film sont attendus ; ceux des suivants sont préchargés
+ * au fil du défilement. En cas d'échec, la bannière affiche une erreur avec un bouton "Réessayer".
+ * @param {TaskQueue} queue - File limitant les chargements simultanés
  */
-async function loadBestMovie() {
-    console.log('Chargement du meilleur film...');
+async function loadBestMovie(queue) {
+    console.log('Chargement des meilleurs films...');
     
-    try {
-        // Récupérer le film avec le meilleur score IMDB
-        const response = await fetch('http://127.0.0.1:8000/api/v1/titles/?page=1&sort_by=-imdb_score');
-        
-        if (!response.ok) {
-            throw new Error(`Erreur HTTP: ${response.status}`);
-        }
-        
-        const data = await response.json();
+    if (!bestMovieState) {
+        const element = document.querySelector('.best-movie');
+        bestMovieState = new SectionState(element, { name: 'best-movie' });
+        heroCarousel = new HeroCarousel(element);
+        // Accès direct à #/movie/:id : la modale peut être ouverte avant la bannière
+        heroCarousel.setOverlayOpen(router.overlayActive);
+    }
+    
+    await bestMovieState.run(() => queue.add(async () => {
+        // Récupérer les films avec les meilleurs scores IMDB
+        const movies = await fetchMultiplePages(HERO_CONFIG.count, buildQuery({ sortBy: '-imdb_score' }));
         
-        if (!data || !data.results || data.results.length === 0) {
-            console.error('Impossible de récupérer le meilleur film');
-            return;
+        if (movies.length === 0) {
+            return null;
         }
+        console.log('Meilleur film trouvé:', movies[0].title);
         
-        const bestMoviePreview = data.results[0];
-        console.log('Meilleur film trouvé:', bestMoviePreview.title);
-        
-        // Récupérer les détails complets du film
-        const bestMovie = await fetchMovieDetails(bestMoviePreview.id);
-        
-        if (!bestMovie) {
-            console.error('Impossible de récupérer les détails du meilleur film');
-            return;
+        // Récupérer les détails complets du premier film
+        return { movies, first: await fetchMovieDetails(movies[0].id) };
+    }), (result) => {
+        if (!result) {
+            return 0;
         }
         
         // Mettre à jour l'affichage
-        updateBestMovieDisplay(bestMovie);
-        
-        console.log('Meilleur film affiché avec succès');
-    } catch (error) {
-        console.error('Erreur lors du chargement du meilleur film:', error);
+        heroCarousel.show(result.movies, result.first);
+        console.log(`${result.movies.length} meilleurs films affichés avec succès`);
+        return result.movies.length;
+    }, {
+        loading: t('bestMovie.loading'),
+        empty: t('bestMovie.empty'),
+        error: t('bestMovie.error')
+    });
+}
+
+/**
+ * Affiche l'accueil, en le chargeant lors de la première visite
+ * @param {Object} state - Paramètres de l'URL (genres des menus déroulants, catégories dépliées)
+ */
+async function showHome(state) {
+    showView('home');
+    
+    if (homeLoaded) {
+        applyHomeState(state);
+        return;
     }
+    homeLoaded = true;
+    
+    // Charger le meilleur film et les catégories en parallèle : chaque section s'affiche dès que ses films arrivent
+    performance.mark('home:start');
+    const queue = new TaskQueue(INIT_CONFIG.concurrency);
+    
+    await Promise.all([
+        loadBestMovie(queue),
+        initializeCategories(state, { queue })
+    ]);
+    
+    performance.mark('home:end');
+    performance.measure('home', 'home:start', 'home:end');
+    console.log(`Accueil chargé en ${Math.round(performance.getEntriesByName('home').pop().duration)} ms`);
+}
+
+/**
+ * Déclare les routes de l'application et démarre le routeur
+ * @param {Object|null} search - Instance de la recherche
+ */
+function initializeRouter(search) {
+    router.onOverlayClose = () => {
+        hideMovieDetails();
+        if (heroCarousel) heroCarousel.setOverlayOpen(false);
+    };
+    
+    router
+        .on('/', (params, query) => {
+            if (search) search.cancelResults();
+            showHome(query);
+        })
+        .on('/genre/:name', ({ name }) => {
+            if (search) search.cancelResults();
+            showView('category');
+            displayCategoryPage(name, buildQuery({ genre: name, sortBy: '-imdb_score' }));
+        })
+        .on('/browse', (params, { label, ...apiParams }) => {
+            if (search) search.cancelResults();
+            try {
+                // Ne conserver que des filtres connus et valides
+                const queryParams = buildQuery(parseQuery(new URLSearchParams(apiParams).toString()));
+                showView('category');
+                displayCategoryPage(label || t('common.movies'), queryParams);
+            } catch (error) {
+                if (!(error instanceof FilterValidationError)) throw error;
+                console.error('Filtres invalides dans l\'URL:', error.errors);
+                router.navigate('#/', { replace: true });
+            }
+        })
+        .on('/person/:role/:name', ({ role, name }, { sort }) => {
+            if (search) search.cancelResults();
+            if (!showPersonPage(role, name, sort)) {
+                router.navigate('#/', { replace: true });
+                return;
+            }
+            showView('person');
+        })
+        .on('/compare', (params, { ids }) => {
+            if (search) search.cancelResults();
+            if (!showComparison(ids)) {
+                router.navigate('#/', { replace: true });
+                return;
+            }
+            showView('compare');
+        })
+        .on('/stats', () => {
+            if (search) search.cancelResults();
+            showView('stats');
+            showStatsPage();
+        })
+        .on('/search', (params, query) => {
+            if (!search || !query.q) {
+                router.navigate('#/', { replace: true });
+                return;
+            }
+            showView('search');
+            search.showResults(query.field || 'title', query.q, Number(query.page) || 1);
+        })
+        .on('/movie/:id', ({ id }) => {
+            // La bannière ne change pas de film sous la modale
+            if (heroCarousel) heroCarousel.setOverlayOpen(true);
+            showMovieDetails(id);
+        }, { overlay: true });
+    
+    router.start();
 }
 
 /**
  * Initialise l'application au chargement du DOM
  */
-async function initializeApp() {
+function initializeApp() {
     console.log('Initialisation de JustStreamIt...');
     
     try {
-        // Charger le meilleur film en premier
-        await loadBestMovie();
+        // Traduire les textes statiques de la page avant tout affichage
+        translatePage();
+        initializeLanguageSwitcher();
+        
+        // Mode hors ligne : le service worker sert le dernier catalogue consulté
+        initializeOfflineBanner();
+        registerServiceWorker();
+        
+        // Activer la recherche, les filtres, les favoris et la comparaison sans attendre le chargement des films
+        const search = initializeSearch();
+        initializeFilters();
+        initializeFavoriteToggles();
+        initializeCompare();
         
-        // Puis charger toutes les catégories
-        await initializeCategories();
+        // Afficher la vue correspondant à l'URL
+        initializeRouter(search);
         
         console.log('Application initialisée avec succès');
     } catch (error) {
@@ -3,7 +3,98 @@
  * Gère l'affichage, la fermeture et le formatage des informations détaillées
  */
 
-import { fetchMovieDetails } from './api.js';
+import { fetchMovieDetails, fetchMovies } from './api.js';
+import { router } from './router.js';
+import { createMovieCard, setupFavoriteButton, announce, Carousel } from './ui-components.js';
+import { SectionState } from './section-state.js';
+import { buildQuery } from './query-builder.js';
+import { t, formatNumber, formatDate } from './i18n.js';
+import { formatBoxOffice, formatBudget, formatRuntime } from './formatting.js';
+import { personHash } from './person-page.js';
+import { recordView } from './recommendations.js';
+
+// Éléments pouvant recevoir le focus dans la modale
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Nombre de films affichés dans la bande "Films similaires"
+const SIMILAR_MOVIES_COUNT = 6;
+
+/**
+ * Indique si une information du film est renseignée
+ * @param {*} value - Valeur renvoyée par l'API
+ * @returns {boolean}
+ */
+function hasValue(value) {
+    return value !== null && value !== undefined && value !== '';
+}
+
+/**
+ * Joint une liste renvoyée par l'API (scénaristes, langues...)
+ * @param {Array<string>} values - Liste de valeurs
+ * @returns {string|null} - Valeurs séparées par des virgules, ou null si la liste est vide
+ */
+function joinList(values) {
+    return Array.isArray(values) && values.length > 0 ? values.join(', ') : null;
+}
+
+/**
+ * Remplit une liste de noms avec des liens vers la filmographie de chaque personne
+ * @param {HTMLElement} element - Paragraphe à remplir
+ * @param {Array<string>} names - Réalisateurs ou acteurs du film
+ * @param {string} role - 'director' ou 'actor'
+ */
+function fillPeople(element, names, role) {
+    const people = Array.isArray(names) ? names.filter(hasValue) : [];
+    element.innerHTML = '';
+
+    if (people.length === 0) {
+        element.textContent = t('common.notProvided');
+        return;
+    }
+
+    people.forEach((name, index) => {
+        if (index > 0) {
+            element.append(', ');
+        }
+        const link = document.createElement('a');
+        link.className = 'movie-person-link';
+        link.href = personHash(role, name);
+        link.textContent = name;
+        link.title = t(`person.link.${role}`, { name });
+        element.appendChild(link);
+    });
+}
+
+/**
+ * Récupère les films proches d'un film : même réalisateur, puis même genre
+ * @param {Object} movie - Film affiché (détails complets)
+ * @param {AbortSignal} signal - Signal d'annulation (changement de film, fermeture)
+ * @returns {Promise<Array>} - Films similaires, sans doublon ni le film lui-même
+ */
+async function fetchSimilarMovies(movie, signal) {
+    const queries = [];
+    if (movie.directors && movie.directors.length > 0) {
+        queries.push(buildQuery({ director: movie.directors[0], sortBy: '-imdb_score' }));
+    }
+    if (movie.genres && movie.genres.length > 0) {
+        queries.push(buildQuery({ genre: movie.genres[0], sortBy: '-imdb_score' }));
+    }
+    
+    const responses = await Promise.all(queries.map(queryParams => fetchMovies(1, queryParams, { signal })));
+    
+    const seenIds = new Set([String(movie.id)]);
+    return responses
+        .flatMap(response => response.results || [])
+        .filter(candidate => {
+            const id = String(candidate.id);
+            if (seenIds.has(id)) {
+                return false;
+            }
+            seenIds.add(id);
+            return true;
+        })
+        .slice(0, SIMILAR_MOVIES_COUNT);
+}
 
 /**
  * Classe pour gérer l'affichage de la modale de détails d'un film
@@ -11,6 +102,13 @@ import { fetchMovieDetails } from './api.js';
 class MovieModal {
     constructor() {
         this.modal = null;
+        this.state = null;
+        this.opener = null;
+        // Films de la grille ayant ouvert la modale, dans leur ordre d'affichage
+        this.sequence = [];
+        this.currentId = null;
+        // Sens du prochain changement de film ('next', 'previous'), pour l'animation
+        this.direction = null;
         this.template = document.getElementById('movie-modal-template');
         this.initEventListeners();
     }
@@ -21,69 +119,306 @@ class MovieModal {
     initEventListeners() {
         // Utiliser la délégation d'événements sur le document
         document.addEventListener('click', (e) => {
+            // Un clic n'importe où sur une carte équivaut à son bouton "Détails"
+            const card = e.target.closest('.movie-card');
+            if (card && !e.target.closest('button, a')) {
+                const cardButton = card.querySelector('.details-btn');
+                if (cardButton) {
+                    cardButton.click();
+                }
+                return;
+            }
+            
             // Vérifier si le clic est sur un bouton "Détails"
-            if (e.target.classList.contains('details-btn') || e.target.classList.contains('details-button')) {
+            const detailsButton = e.target.closest('.details-btn, .details-button');
+            if (detailsButton) {
                 e.preventDefault();
-                const movieId = e.target.dataset.movieId;
+                const movieId = detailsButton.dataset.movieId;
                 if (movieId) {
-                    this.showModal(movieId);
+                    // Mémoriser le bouton de la page pour lui rendre le focus à la fermeture
+                    if (!this.modal) {
+                        this.opener = detailsButton;
+                    }
+                    this.sequence = this.readSequence(detailsButton);
+                    // Un film similaire s'ouvre dans la même modale, sans nouvelle entrée d'historique
+                    openMovieDetails(movieId, { replace: Boolean(this.modal) });
                 }
             }
             
             // Vérifier si le clic est sur le bouton de fermeture, la croix ou l'overlay
-            if (e.target.classList.contains('movie-modal__close-btn') || 
-                e.target.classList.contains('movie-modal__close-x') || 
+            if (e.target.closest('.movie-modal__close-btn, .movie-modal__close-x') ||
                 e.target.classList.contains('modal-overlay')) {
-                this.closeModal();
+                router.closeOverlay();
+            }
+            
+            // Flèches "Film précédent" / "Film suivant"
+            const navButton = e.target.closest('.movie-modal__nav');
+            if (navButton) {
+                this.showSibling(navButton.classList.contains('movie-modal__nav--next') ? 1 : -1);
             }
         });
 
-        // Fermer la modale avec la touche Échap
         document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && this.modal) {
-                this.closeModal();
+            if (!this.modal) {
+                return;
+            }
+            
+            // Fermer la modale avec la touche Échap
+            if (e.key === 'Escape') {
+                router.closeOverlay();
+            } else if (e.key === 'Tab') {
+                this.trapFocus(e);
+            } else if ((e.key === 'ArrowLeft' || e.key === 'ArrowRight') && this.acceptsArrowNavigation(e)) {
+                e.preventDefault();
+                this.showSibling(e.key === 'ArrowRight' ? 1 : -1);
+            }
+        });
+
+        // Ramener dans la modale un focus arrivé sur la page en arrière-plan
+        document.addEventListener('focusin', (e) => {
+            if (this.modal && !this.modal.contains(e.target)) {
+                this.focusDialog();
             }
         });
     }
 
+    /**
+     * Maintient la navigation au clavier (Tab / Maj+Tab) à l'intérieur de la modale
+     * @param {KeyboardEvent} e - Événement clavier
+     */
+    trapFocus(e) {
+        const focusable = Array.from(this.modal.querySelectorAll(FOCUSABLE_SELECTOR));
+        
+        if (focusable.length === 0) {
+            e.preventDefault();
+            return;
+        }
+        
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = document.activeElement;
+        const outside = !focusable.includes(active);
+        
+        if (e.shiftKey && (active === first || outside)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (active === last || outside)) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    /**
+     * Indique si les flèches gauche/droite doivent changer de film
+     * Elles gardent leur rôle dans les champs de saisie, dans le carrousel des films
+     * similaires et avec une touche de modification (Alt+← revient en arrière dans le navigateur).
+     * @param {KeyboardEvent} e - Événement clavier
+     * @returns {boolean}
+     */
+    acceptsArrowNavigation(e) {
+        if (e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) {
+            return false;
+        }
+        return !e.target.closest('input, select, textarea, .carousel__track');
+    }
+
+    /**
+     * Lit les films de la grille (catégorie, résultats de recherche...) contenant un bouton "Détails"
+     * @param {HTMLElement} detailsButton - Bouton cliqué
+     * @returns {Array<string>} - IDs des films dans l'ordre de la grille (vide hors d'une grille)
+     */
+    readSequence(detailsButton) {
+        const grid = detailsButton.closest('.movies-grid');
+        if (!grid) {
+            return [];
+        }
+        return Array.from(grid.querySelectorAll('.details-btn[data-movie-id]'), button => button.dataset.movieId);
+    }
+
+    /**
+     * Affiche le film précédent ou suivant de la grille d'origine, dans la même modale
+     * @param {number} offset - -1 (film précédent) ou 1 (film suivant)
+     */
+    showSibling(offset) {
+        const index = this.sequence.indexOf(this.currentId);
+        const siblingId = index === -1 ? undefined : this.sequence[index + offset];
+        
+        if (siblingId === undefined) {
+            return;
+        }
+        
+        this.direction = offset > 0 ? 'next' : 'previous';
+        openMovieDetails(siblingId, { replace: true });
+    }
+
+    /**
+     * Met à jour les flèches de navigation et la position du film dans la grille d'origine
+     * Les flèches sont masquées si le film ne vient pas d'une grille (lien direct, bannière).
+     */
+    updateNavigation() {
+        const index = this.sequence.indexOf(this.currentId);
+        const footer = this.modal.querySelector('.movie-modal__footer');
+        const position = footer.querySelector('.movie-modal__position');
+        const hasSequence = index !== -1 && this.sequence.length > 1;
+        
+        const prevButton = footer.querySelector('.movie-modal__nav--prev');
+        const nextButton = footer.querySelector('.movie-modal__nav--next');
+        
+        // Une flèche désactivée perd le focus : le rendre à la boîte de dialogue
+        const focusedButton = [prevButton, nextButton].find(button => button === document.activeElement);
+        
+        prevButton.hidden = !hasSequence;
+        nextButton.hidden = !hasSequence;
+        prevButton.disabled = index <= 0;
+        nextButton.disabled = index === -1 || index >= this.sequence.length - 1;
+        
+        if (focusedButton && (focusedButton.disabled || focusedButton.hidden)) {
+            this.focusDialog();
+        }
+        
+        position.hidden = !hasSequence;
+        position.textContent = hasSequence
+            ? t('modal.position', { index: formatNumber(index + 1), total: formatNumber(this.sequence.length) })
+            : '';
+    }
+
+    /**
+     * Précharge les détails (et l'affiche) des films voisins dans la grille d'origine
+     * Les réponses sont conservées par le cache de l'API : le film suivant s'affiche sans attente.
+     */
+    prefetchNeighbours() {
+        const index = this.sequence.indexOf(this.currentId);
+        if (index === -1) {
+            return;
+        }
+        
+        [this.sequence[index - 1], this.sequence[index + 1]]
+            .filter(movieId => movieId !== undefined)
+            .forEach(movieId => {
+                fetchMovieDetails(movieId)
+                    .then(movie => {
+                        if (movie.image_url) {
+                            new Image().src = movie.image_url;
+                        }
+                    })
+                    .catch(error => console.warn(`Préchargement du film ${movieId} impossible:`, error.message));
+            });
+    }
+
+    /**
+     * Anime le contenu de la modale lors d'un changement de film
+     * @param {string} transition - 'next', 'previous' (glissement) ou 'fade' (fondu)
+     */
+    playTransition(transition) {
+        const inner = this.modal.querySelector('.movie-modal__inner');
+        
+        // Retirer puis remettre l'attribut relance l'animation CSS
+        delete inner.dataset.transition;
+        void inner.offsetWidth;
+        inner.dataset.transition = transition;
+    }
+
+    /**
+     * Place le focus sur la boîte de dialogue (son titre est alors lu par les lecteurs d'écran)
+     */
+    focusDialog() {
+        this.modal.querySelector('[role="dialog"]').focus();
+    }
+
     /**
      * Affiche la modale avec les détails d'un film
+     * La modale s'ouvre immédiatement en état de chargement, puis affiche le film,
+     * ou une erreur avec un bouton "Réessayer".
      * @param {string|number} movieId - ID du film à afficher
      */
     async showModal(movieId) {
-        try {
-            console.log(`Chargement des détails pour le film ID: ${movieId}`);
-            
-            // Récupérer les détails complets du film depuis l'API
-            const movieData = await fetchMovieDetails(movieId);
-            
-            if (!movieData) {
-                console.error('Impossible de récupérer les détails du film');
-                return;
-            }
-
-            // Créer la modale depuis le template
-            this.createModal(movieData);
+        // Ouverture sans clic (lien profond, historique) : rendre le focus à l'élément actif
+        if (!this.modal && !this.opener && document.activeElement !== document.body) {
+            this.opener = document.activeElement;
+        }
+        
+        // Ouvrir la modale (une modale déjà ouverte est réutilisée pour le film suivant)
+        const isOpen = Boolean(this.modal);
+        if (!isOpen) {
+            this.createModal();
             
-            // Ajouter la modale au DOM
+            // Ajouter la modale au DOM et rendre le reste de la page inerte
             document.body.appendChild(this.modal);
+            this.setBackgroundInert(true);
             
             // Empêcher le scroll du body
             document.body.style.overflow = 'hidden';
             
-            console.log('Modale affichée avec succès');
-        } catch (error) {
-            console.error('Erreur lors de l\'affichage de la modale:', error);
+            this.focusDialog();
+        } else {
+            // Film similaire : la carte cliquée va disparaître, le focus revient à la boîte de dialogue
+            const similarSection = this.modal.querySelector('.movie-section--similar');
+            if (similarSection.contains(document.activeElement)) {
+                this.focusDialog();
+            }
+            this.similarState.cancel();
         }
+        
+        // Sens de l'animation : glissement pour les flèches, fondu pour un film similaire
+        const transition = isOpen ? (this.direction || 'fade') : null;
+        this.direction = null;
+        this.currentId = String(movieId);
+        this.updateNavigation();
+        
+        console.log(`Chargement des détails pour le film ID: ${movieId}`);
+        
+        // Récupérer les détails complets du film depuis l'API
+        await this.state.run(() => fetchMovieDetails(movieId), (movie) => {
+            // Modale fermée pendant le chargement : le film n'a pas été vu
+            if (!this.modal) {
+                return 0;
+            }
+            this.fillModal(movie);
+            // Historique de visionnage local, utilisé par les recommandations
+            recordView(movie);
+            if (transition) {
+                this.playTransition(transition);
+            }
+            this.prefetchNeighbours();
+            announce(t('modal.shown', { title: movie.title }));
+            console.log('Modale affichée avec succès');
+            return 1;
+        }, {
+            loading: t('modal.loading'),
+            error: t('modal.error')
+        });
     }
 
     /**
-     * Crée la modale depuis le template et la remplit avec les données du film
-     * @param {Object} movie - Données complètes du film
+     * Crée la modale vide depuis le template
      */
-    createModal(movie) {
+    createModal() {
         // Cloner le template
         const modalContent = this.template.content.cloneNode(true);
+        this.modal = modalContent.querySelector('.modal-overlay');
+        
+        // Chargement, erreur et "Réessayer" sont gérés par l'état de la boîte de dialogue
+        this.state = new SectionState(this.modal.querySelector('.movie-modal'), {
+            statusBefore: this.modal.querySelector('.movie-modal__footer'),
+            name: 'movie-modal'
+        });
+        
+        // Bande "Films similaires", chargée après les détails du film
+        const similarSection = this.modal.querySelector('.movie-section--similar');
+        this.similarCarousel = new Carousel(t('modal.similar'));
+        similarSection.appendChild(this.similarCarousel.element);
+        this.similarState = new SectionState(similarSection, {
+            content: this.similarCarousel.track,
+            skeletonCount: SIMILAR_MOVIES_COUNT
+        });
+    }
+
+    /**
+     * Remplit la modale avec les données du film
+     * @param {Object} movie - Données complètes du film
+     */
+    fillModal(movie) {
+        const modalContent = this.modal;
         
         // Récupérer tous les éléments à remplir
         const elements = {
@@ -97,15 +432,18 @@ class MovieModal {
 
         // Remplir l'affiche
         elements.poster.src = movie.image_url || '';
-        elements.poster.alt = `Affiche ${movie.title}`;
+        elements.poster.alt = t('common.poster', { title: movie.title });
         
         // Gérer les erreurs de chargement d'image
         elements.poster.onerror = function() {
-            this.src = `data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' width='210' height='315'%3E%3Crect width='210' height='315' fill='%23666666'/%3E%3Ctext x='50%25' y='50%25' dominant-baseline='middle' text-anchor='middle' font-family='Arial' font-size='16' fill='white'%3EImage non disponible%3C/text%3E%3C/svg%3E`;
+            this.src = `data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' width='210' height='315'%3E%3Crect width='210' height='315' fill='%23666666'/%3E%3Ctext x='50%25' y='50%25' dominant-baseline='middle' text-anchor='middle' font-family='Arial' font-size='16' fill='white'%3E${encodeURIComponent(t('common.imageUnavailable'))}%3C/text%3E%3C/svg%3E`;
         };
 
         // Remplir le titre
-        elements.title.textContent = movie.title || 'Titre inconnu';
+        elements.title.textContent = movie.title || t('common.unknownTitle');
+        
+        // Bouton "Ma liste"
+        setupFavoriteButton(modalContent.querySelector('.favorite-btn'), movie);
         
         // Construire le bloc métadonnées (année, genres, durée, etc.)
         const metaLines = [];
@@ -117,9 +455,15 @@ class MovieModal {
             metaLines.push(`${year}${year && genres ? ' - ' : ''}${genres}`);
         }
         
+        // Date de sortie complète, au format de la langue
+        const releaseDate = movie.date_published ? formatDate(movie.date_published) : '';
+        if (releaseDate) {
+            metaLines.push(t('modal.released', { date: releaseDate }));
+        }
+        
         // Ligne 2: Rated - Durée (Pays)
         const rated = movie.rated || '';
-        const duration = movie.duration ? `${movie.duration} minutes` : '';
+        const duration = formatRuntime(movie.duration) || '';
         const countries = movie.countries && movie.countries.length > 0 ? movie.countries.join(' / ') : '';
         const line2Parts = [];
         if (rated) line2Parts.push(rated);
@@ -132,95 +476,187 @@ class MovieModal {
         
         // Ligne 3: IMDB score
         if (movie.imdb_score) {
-            metaLines.push(`IMDB score: ${movie.imdb_score}/10`);
+            metaLines.push(t('modal.score', { score: formatNumber(Number(movie.imdb_score)) }));
         }
         
-        // Ligne 4: Box office
-        if (movie.worldwide_gross_income) {
-            metaLines.push(`Recettes au box-office: ${this.formatBoxOffice(movie.worldwide_gross_income)}`);
+        // Lignes 4 et 5: Box office (monde, États-Unis), s'il est connu
+        const worldwideGross = formatBoxOffice(movie.worldwide_gross_income);
+        if (worldwideGross) {
+            metaLines.push(t('modal.boxOffice', { amount: worldwideGross }));
+        }
+        const usaGross = formatBoxOffice(movie.usa_gross_income);
+        if (usaGross) {
+            metaLines.push(t('modal.usaGross', { amount: usaGross }));
         }
         
         elements.meta.innerHTML = metaLines.join('<br>');
         
-        // Remplir les réalisateurs
-        if (movie.directors && movie.directors.length > 0) {
-            elements.directors.textContent = movie.directors.join(', ');
-        } else {
-            elements.directors.textContent = 'Non renseigné';
-        }
+        // Remplir les réalisateurs (liens vers leur filmographie)
+        fillPeople(elements.directors, movie.directors, 'director');
         
         // Remplir le synopsis
-        elements.synopsis.textContent = movie.long_description || movie.description || 'Aucun résumé disponible.';
+        elements.synopsis.textContent = movie.long_description || movie.description || t('modal.noSynopsis');
         
-        // Remplir le casting
-        if (movie.actors && movie.actors.length > 0) {
-            elements.cast.textContent = movie.actors.join(', ');
-        } else {
-            elements.cast.textContent = 'Non renseigné';
-        }
+        // Remplir le casting (liens vers la filmographie des acteurs)
+        fillPeople(elements.cast, movie.actors, 'actor');
+        
+        // Fiche technique et notes : seules les informations connues sont affichées
+        this.fillFacts(modalContent.querySelector('.movie-facts--production'), [
+            ['modal.fields.writers', joinList(movie.writers)],
+            ['modal.fields.languages', joinList(movie.languages)],
+            ['modal.fields.budget', formatBudget(movie)],
+            ['modal.fields.company', movie.company]
+        ]);
+        this.fillFacts(modalContent.querySelector('.movie-facts--ratings'), [
+            ['modal.fields.avgVote', hasValue(movie.avg_vote) ? t('modal.outOf10', { score: formatNumber(Number(movie.avg_vote)) }) : null],
+            ['modal.fields.votes', hasValue(movie.votes) ? formatNumber(Number(movie.votes)) : null],
+            ['modal.fields.metascore', hasValue(movie.metascore) ? t('modal.outOf100', { score: formatNumber(Number(movie.metascore)) }) : null],
+            ['modal.fields.userReviews', hasValue(movie.reviews_from_users) ? formatNumber(Number(movie.reviews_from_users)) : null],
+            ['modal.fields.criticReviews', hasValue(movie.reviews_from_critics) ? formatNumber(Number(movie.reviews_from_critics)) : null]
+        ]);
+        
+        this.loadSimilarMovies(movie);
 
-        // Stocker la référence de la modale
-        this.modal = modalContent.querySelector('.modal-overlay');
+        // Revenir en haut de la modale (film suivant dans une modale déjà ouverte)
+        modalContent.querySelector('.movie-modal').scrollTop = 0;
+    }
+
+    /**
+     * Remplit une liste de définitions (libellé, valeur) de la modale
+     * La section est masquée si aucune information n'est connue.
+     * @param {HTMLDListElement} list - Liste à remplir
+     * @param {Array<[string, string|null]>} facts - Clés des libellés et valeurs (null si inconnue)
+     */
+    fillFacts(list, facts) {
+        list.innerHTML = '';
+        
+        facts.filter(([, value]) => hasValue(value)).forEach(([labelKey, value]) => {
+            const term = document.createElement('dt');
+            term.textContent = t(labelKey);
+            const description = document.createElement('dd');
+            description.textContent = value;
+            list.appendChild(term);
+            list.appendChild(description);
+        });
+        
+        list.closest('.movie-section').hidden = list.children.length === 0;
     }
 
     /**
-     * Ferme la modale et réactive le scroll
+     * Charge la bande "Films similaires" d'un film
+     * Ses cartes s'ouvrent dans la même modale (voir initEventListeners).
+     * @param {Object} movie - Film affiché
+     */
+    loadSimilarMovies(movie) {
+        const carousel = this.similarCarousel;
+        
+        this.similarState.run((signal) => fetchSimilarMovies(movie, signal), (movies) => {
+            movies.forEach(similarMovie => {
+                const movieCard = createMovieCard(similarMovie);
+                if (movieCard) {
+                    carousel.track.appendChild(movieCard);
+                }
+            });
+            carousel.reset();
+            return movies.length;
+        }, {
+            loading: t('modal.similarLoading'),
+            empty: t('modal.similarEmpty'),
+            error: t('modal.similarError')
+        });
+    }
+
+    /**
+     * Ferme la modale, réactive le scroll et rend le focus à l'élément d'origine
      */
     closeModal() {
+        if (this.modal) {
+            this.removeModal();
+            
+            // Rendre le focus au bouton "Détails" qui a ouvert la modale
+            if (this.opener && this.opener.isConnected) {
+                this.opener.focus();
+            }
+            
+            console.log('Modale fermée');
+        }
+        
+        this.opener = null;
+    }
+
+    /**
+     * Retire la modale du DOM et réactive la page en arrière-plan
+     */
+    removeModal() {
         if (this.modal && this.modal.parentElement) {
+            this.state.cancel();
+            this.similarState.cancel();
+            this.similarCarousel.destroy();
             this.modal.remove();
             this.modal = null;
+            this.state = null;
+            this.similarState = null;
+            this.similarCarousel = null;
+            this.sequence = [];
+            this.currentId = null;
+            this.setBackgroundInert(false);
             
             // Réactiver le scroll du body
             document.body.style.overflow = '';
-            
-            console.log('Modale fermée');
         }
     }
 
     /**
-     * Formate le montant du box office pour un affichage lisible
-     * @param {string|number} amount - Montant du box office
-     * @returns {string} - Montant formaté (ex: "$123.5m")
+     * Rend inertes (ni focus, ni clic, ni lecteur d'écran) les éléments hors de la modale
+     * @param {boolean} inert - true à l'ouverture, false à la fermeture
      */
-    formatBoxOffice(amount) {
-        if (!amount) return 'Non renseigné';
-        
-        // Si le montant contient déjà un symbole de devise, le retourner tel quel
-        if (typeof amount === 'string') {
-            // Vérifier si c'est déjà formaté avec devise
-            if (/^\$/.test(amount)) {
-                return amount;
-            }
-            // Essayer d'extraire le nombre
-            const match = amount.match(/[\d,.]+/);
-            if (match) {
-                const numAmount = parseFloat(match[0].replace(/,/g, ''));
-                if (!isNaN(numAmount)) {
-                    return `$${numAmount.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 1 })}m`;
-                }
-            }
-            return amount;
-        }
-        
-        // Formater en tant que nombre
-        const numAmount = Number(amount);
-        if (isNaN(numAmount)) return amount;
-        
-        // Convertir en millions si > 1 million
-        if (numAmount >= 1000000) {
-            return `$${(numAmount / 1000000).toFixed(1)}m`;
-        }
-        
-        return `$${numAmount.toLocaleString('en-US')}`;
+    setBackgroundInert(inert) {
+        document.querySelectorAll('body > header, body > main').forEach(element => {
+            element.inert = inert;
+        });
     }
 }
 
+// Instance unique de la modale, créée au chargement du DOM
+let movieModal = null;
+
 // Initialiser la modale quand le DOM est chargé
 document.addEventListener('DOMContentLoaded', () => {
     console.log('Initialisation du système de modale...');
-    new MovieModal();
+    movieModal = new MovieModal();
 });
 
+/**
+ * Ouvre la modale de détails d'un film en naviguant vers sa route (#/movie/:id)
+ * @param {string|number} movieId - ID du film à afficher
+ * @param {Object} options - Options de navigation
+ * @param {boolean} options.replace - Remplacer l'entrée d'historique courante (film ouvert depuis la modale)
+ */
+export function openMovieDetails(movieId, { replace = false } = {}) {
+    router.navigate(`/movie/${encodeURIComponent(movieId)}`, { replace });
+}
+
+/**
+ * Affiche la modale de détails d'un film (appelé par le routeur)
+ * @param {string|number} movieId - ID du film à afficher
+ */
+export function showMovieDetails(movieId) {
+    if (!movieModal) {
+        console.error('La modale n\'est pas encore initialisée');
+        return;
+    }
+
+    movieModal.showModal(movieId);
+}
+
+/**
+ * Ferme la modale de détails (appelé par le routeur)
+ */
+export function hideMovieDetails() {
+    if (movieModal) {
+        movieModal.closeModal();
+    }
+}
+
 // Export pour utilisation dans d'autres modules si nécessaire
 export default MovieModal;
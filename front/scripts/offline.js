@@ -0,0 +1,73 @@
+/**
+ * Module du mode hors ligne
+ * Enregistre le service worker (sw.js) et affiche un bandeau "hors ligne"
+ * quand l'API est injoignable et que le dernier catalogue consulté est affiché
+ */
+
+import { getLocale } from './i18n.js';
+
+// Configuration du mode hors ligne
+const OFFLINE_CONFIG = {
+    serviceWorkerUrl: 'sw.js',
+    bannerSelector: '.offline-banner'
+};
+
+/**
+ * Enregistre le service worker de l'application
+ * Sans prise en charge (ancien navigateur, page ouverte en file://), l'application
+ * fonctionne normalement, mais pas hors ligne.
+ * @returns {Promise<ServiceWorkerRegistration|null>} - Enregistrement, ou null s'il est impossible
+ */
+export async function registerServiceWorker() {
+    if (typeof navigator === 'undefined' || !('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) {
+        console.warn('Service worker non pris en charge : pas de mode hors ligne');
+        return null;
+    }
+
+    try {
+        const registration = await navigator.serviceWorker.register(OFFLINE_CONFIG.serviceWorkerUrl);
+        console.log('Service worker enregistré:', registration.scope);
+
+        // Langue des affiches de remplacement générées par le service worker
+        const worker = registration.active || registration.waiting || registration.installing;
+        if (worker) {
+            worker.postMessage({ type: 'locale', locale: getLocale() });
+        }
+
+        return registration;
+    } catch (error) {
+        console.error('Enregistrement du service worker impossible:', error);
+        return null;
+    }
+}
+
+/**
+ * Initialise le bandeau "hors ligne"
+ * Il s'affiche quand le service worker signale une API injoignable (le catalogue
+ * affiché vient alors du cache) ou quand le navigateur perd la connexion.
+ */
+export function initializeOfflineBanner() {
+    const banner = document.querySelector(OFFLINE_CONFIG.bannerSelector);
+
+    if (!banner) {
+        console.warn('Bandeau hors ligne introuvable dans la page');
+        return;
+    }
+
+    const setOffline = (offline) => {
+        banner.hidden = !offline;
+    };
+
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data && event.data.type === 'api-status') {
+                setOffline(!event.data.online);
+            }
+        });
+    }
+
+    window.addEventListener('offline', () => setOffline(true));
+    window.addEventListener('online', () => setOffline(false));
+
+    setOffline(navigator.onLine === false);
+}
@@ -0,0 +1,247 @@
+/**
+ * Module des pages de filmographie
+ * Liste tous les films d'un réalisateur ou d'un acteur grâce aux filtres exacts
+ * `director` et `actor` de l'endpoint /titles/, avec un résumé de sa carrière
+ */
+
+import { fetchMovies, fetchNextPage } from './api.js';
+import { createMovieCard } from './ui-components.js';
+import { SectionState } from './section-state.js';
+import { buildQuery } from './query-builder.js';
+import { buildHash, router } from './router.js';
+import { t, formatNumber } from './i18n.js';
+
+// Configuration des pages de filmographie
+const PERSON_CONFIG = {
+    maxPages: 20,       // Nombre maximal de pages chargées (5 films par page)
+    skeletonCount: 5,
+    defaultSort: '-year'
+};
+
+// Rôles d'une personne → filtre exact du query-builder
+const PERSON_FILTERS = {
+    director: 'directorName',
+    actor: 'actorName'
+};
+
+/**
+ * Compare deux valeurs numériques, les valeurs inconnues en dernier
+ * @param {*} a - Première valeur
+ * @param {*} b - Seconde valeur
+ * @param {number} direction - 1 pour un ordre croissant, -1 pour décroissant
+ * @returns {number}
+ */
+function compareNumbers(a, b, direction) {
+    const left = a === null || a === undefined || a === '' ? NaN : Number(a);
+    const right = b === null || b === undefined || b === '' ? NaN : Number(b);
+
+    if (Number.isNaN(left) || Number.isNaN(right)) {
+        return Number.isNaN(left) - Number.isNaN(right);
+    }
+    return (left - right) * direction;
+}
+
+/**
+ * Tris proposés sur une page de filmographie
+ * Tous les films sont déjà chargés : le tri est fait localement, sans nouvelle requête.
+ * - labelKey : clé du libellé (mêmes libellés que les filtres avancés)
+ */
+export const PERSON_SORTS = {
+    '-year': { labelKey: 'query.sort.yearDesc', compare: (a, b) => compareNumbers(a.year, b.year, -1) },
+    'year': { labelKey: 'query.sort.yearAsc', compare: (a, b) => compareNumbers(a.year, b.year, 1) },
+    '-imdb_score': { labelKey: 'query.sort.scoreDesc', compare: (a, b) => compareNumbers(a.imdb_score, b.imdb_score, -1) }
+};
+
+/**
+ * Construit le lien vers la filmographie d'une personne
+ * @param {string} role - 'director' ou 'actor'
+ * @param {string} name - Nom de la personne
+ * @returns {string} - Hash de la page (ex: '#/person/director/Christopher%20Nolan')
+ */
+export function personHash(role, name) {
+    return buildHash(`/person/${role}/${encodeURIComponent(name)}`);
+}
+
+/**
+ * Récupère tous les films d'une personne, page par page
+ * @param {string} role - 'director' ou 'actor'
+ * @param {string} name - Nom exact de la personne
+ * @param {AbortSignal} signal - Signal d'annulation
+ * @returns {Promise<Array>} - Films de la personne
+ * @throws {ApiError} - Si une page ne peut pas être récupérée
+ */
+export async function fetchFilmography(role, name, signal) {
+    const queryParams = buildQuery({ [PERSON_FILTERS[role]]: name });
+    let data = await fetchMovies(1, queryParams, { signal });
+    let movies = data.results || [];
+
+    for (let page = 2; data.next && page <= PERSON_CONFIG.maxPages; page++) {
+        data = await fetchNextPage(data.next, { signal });
+        movies = movies.concat(data.results || []);
+    }
+
+    return movies;
+}
+
+/**
+ * Résume la carrière d'une personne à partir de ses films
+ * @param {Array} movies - Films de la personne
+ * @returns {{count: number, firstYear: number|null, lastYear: number|null, averageScore: number|null}}
+ */
+export function summarizeFilmography(movies) {
+    const years = movies.map(movie => Number(movie.year)).filter(year => Number.isFinite(year) && year > 0);
+    const scores = movies
+        .filter(movie => movie.imdb_score !== null && movie.imdb_score !== undefined && movie.imdb_score !== '')
+        .map(movie => Number(movie.imdb_score))
+        .filter(Number.isFinite);
+
+    return {
+        count: movies.length,
+        firstYear: years.length > 0 ? Math.min(...years) : null,
+        lastYear: years.length > 0 ? Math.max(...years) : null,
+        averageScore: scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null
+    };
+}
+
+/**
+ * Trie des films selon un tri de PERSON_SORTS (le plus récent d'abord par défaut)
+ * Les films à égalité sont classés par titre.
+ * @param {Array} movies - Films à trier
+ * @param {string} sortBy - Clé du tri (ex: '-imdb_score')
+ * @returns {Array} - Nouvelle liste triée
+ */
+export function sortFilmography(movies, sortBy) {
+    const { compare } = PERSON_SORTS[sortBy] || PERSON_SORTS[PERSON_CONFIG.defaultSort];
+
+    return [...movies].sort((a, b) => compare(a, b) || String(a.title).localeCompare(String(b.title)));
+}
+
+/**
+ * Page de filmographie d'une personne (vue `person`)
+ */
+class PersonPage {
+    constructor() {
+        this.section = document.querySelector('.person-page');
+        this.title = this.section.querySelector('.person-page__title');
+        this.summary = this.section.querySelector('.person-page__summary');
+        this.sortSelect = this.section.querySelector('.person-page__sort-select');
+        this.grid = this.section.querySelector('.movies-grid');
+
+        this.state = new SectionState(this.section, {
+            content: this.grid,
+            skeletonCount: PERSON_CONFIG.skeletonCount,
+            statusBefore: this.section.querySelector('.person-page__back'),
+            name: 'person-page'
+        });
+        // Personne affichée et ses films, pour changer de tri sans recharger
+        this.person = null;
+        this.movies = null;
+
+        Object.entries(PERSON_SORTS).forEach(([value, { labelKey }]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = t(labelKey);
+            this.sortSelect.appendChild(option);
+        });
+
+        this.sortSelect.addEventListener('change', () => {
+            router.updateQuery({ sort: this.sortSelect.value });
+            this.renderMovies();
+        });
+    }
+
+    /**
+     * Affiche la filmographie d'une personne
+     * @param {string} role - 'director' ou 'actor'
+     * @param {string} name - Nom de la personne
+     * @param {string} sortBy - Tri demandé (voir PERSON_SORTS)
+     */
+    async show(role, name, sortBy) {
+        this.sortSelect.value = PERSON_SORTS[sortBy] ? sortBy : PERSON_CONFIG.defaultSort;
+
+        // Même personne (retour dans l'historique après un changement de tri) : films déjà chargés
+        if (this.movies && this.person.role === role && this.person.name === name) {
+            this.renderMovies();
+            return;
+        }
+
+        this.person = { role, name };
+        this.movies = null;
+        this.title.textContent = t(`person.title.${role}`, { name });
+        this.summary.hidden = true;
+
+        await this.state.run(signal => fetchFilmography(role, name, signal), (movies) => {
+            this.movies = movies;
+            this.renderSummary(summarizeFilmography(movies));
+            this.renderMovies();
+            return movies.length;
+        }, {
+            loading: t('person.loading', { name }),
+            empty: t('person.empty', { name }),
+            error: t('person.error', { name })
+        });
+    }
+
+    /**
+     * Affiche le résumé de carrière (nombre de films, années d'activité, score moyen)
+     * @param {Object} summary - Résumé calculé par summarizeFilmography
+     */
+    renderSummary({ count, firstYear, lastYear, averageScore }) {
+        const entries = [
+            ['person.summary.movies', t('person.summary.movieCount', { count })],
+            ['person.summary.career', firstYear === null ? null
+                : firstYear === lastYear ? String(firstYear) : t('person.summary.span', { first: firstYear, last: lastYear })],
+            ['person.summary.averageScore', averageScore === null ? null
+                : t('modal.outOf10', { score: formatNumber(averageScore, { maximumFractionDigits: 1 }) })]
+        ];
+
+        this.summary.innerHTML = '';
+        entries.filter(([, value]) => value !== null).forEach(([labelKey, value]) => {
+            const term = document.createElement('dt');
+            term.textContent = t(labelKey);
+            const description = document.createElement('dd');
+            description.textContent = value;
+            this.summary.append(term, description);
+        });
+        this.summary.hidden = count === 0;
+    }
+
+    /**
+     * Affiche les cartes des films dans l'ordre du tri choisi
+     */
+    renderMovies() {
+        if (!this.movies) {
+            return;
+        }
+
+        this.grid.innerHTML = '';
+        sortFilmography(this.movies, this.sortSelect.value).forEach(movie => {
+            const movieCard = createMovieCard(movie);
+            if (movieCard) {
+                this.grid.appendChild(movieCard);
+            }
+        });
+    }
+}
+
+// Instance unique, créée à la première visite d'une page de filmographie
+let personPage = null;
+
+/**
+ * Affiche la page de filmographie d'une personne (appelé par le routeur)
+ * @param {string} role - 'director' ou 'actor'
+ * @param {string} name - Nom de la personne
+ * @param {string} sortBy - Tri demandé (paramètre `sort` de l'URL)
+ * @returns {boolean} - false si le rôle est inconnu
+ */
+export function showPersonPage(role, name, sortBy) {
+    if (!PERSON_FILTERS[role]) {
+        return false;
+    }
+
+    if (!personPage) {
+        personPage = new PersonPage();
+    }
+    personPage.show(role, name, sortBy);
+    return true;
+}
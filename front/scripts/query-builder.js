@@ -0,0 +1,184 @@
+/**
+ * Module de construction des paramètres de requête
+ * Valide un état de filtres et le sérialise en paramètres de l'endpoint /titles/
+ */
+
+import { t } from './i18n.js';
+
+// Bornes de validation des filtres
+const FIRST_FILM_YEAR = 1888;
+const MAX_TEXT_LENGTH = 100;
+
+/**
+ * Options de tri proposées à l'utilisateur
+ * - labelKey : clé du libellé dans les catalogues de messages (voir i18n.js)
+ */
+export const SORT_OPTIONS = [
+    { value: '-imdb_score', labelKey: 'query.sort.scoreDesc' },
+    { value: 'imdb_score', labelKey: 'query.sort.scoreAsc' },
+    { value: '-year', labelKey: 'query.sort.yearDesc' },
+    { value: 'year', labelKey: 'query.sort.yearAsc' },
+    { value: '-votes', labelKey: 'query.sort.votesDesc' },
+    { value: 'title', labelKey: 'query.sort.title' }
+];
+
+/**
+ * Correspondance entre les filtres de l'application et les paramètres de l'API
+ * - param : nom du paramètre envoyé à l'API
+ * - type : règle de validation appliquée à la valeur
+ * - labelKey : clé du nom affiché dans les messages d'erreur
+ */
+const FILTER_DEFINITIONS = {
+    title: { param: 'title_contains', type: 'text', labelKey: 'query.labels.title' },
+    genre: { param: 'genre', type: 'text', labelKey: 'query.labels.genre' },
+    minYear: { param: 'min_year', type: 'year', labelKey: 'query.labels.minYear' },
+    maxYear: { param: 'max_year', type: 'year', labelKey: 'query.labels.maxYear' },
+    minScore: { param: 'imdb_score_min', type: 'score', labelKey: 'query.labels.minScore' },
+    country: { param: 'country_contains', type: 'text', labelKey: 'query.labels.country' },
+    language: { param: 'lang_contains', type: 'text', labelKey: 'query.labels.language' },
+    rated: { param: 'rating', type: 'text', labelKey: 'query.labels.rated' },
+    director: { param: 'director_contains', type: 'text', labelKey: 'query.labels.director' },
+    actor: { param: 'actor_contains', type: 'text', labelKey: 'query.labels.actor' },
+    // Nom exact (pages de filmographie)
+    directorName: { param: 'director', type: 'text', labelKey: 'query.labels.director' },
+    actorName: { param: 'actor', type: 'text', labelKey: 'query.labels.actor' },
+    sortBy: { param: 'sort_by', type: 'sort', labelKey: 'query.labels.sortBy' }
+};
+
+/**
+ * Erreur levée lorsqu'un état de filtres est invalide
+ */
+export class FilterValidationError extends Error {
+    /**
+     * @param {Array<string>} errors - Messages d'erreur lisibles
+     */
+    constructor(errors) {
+        super(errors.join(' '));
+        this.name = 'FilterValidationError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Indique si une valeur de filtre est vide (et doit donc être ignorée)
+ * @param {*} value - Valeur à tester
+ * @returns {boolean}
+ */
+function isEmpty(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+/**
+ * Valide une valeur selon le type de son filtre
+ * @param {Object} definition - Définition du filtre
+ * @param {*} value - Valeur non vide
+ * @returns {string|null} - Message d'erreur ou null si la valeur est valide
+ */
+function validateValue(definition, value) {
+    const text = String(value).trim();
+    const label = t(definition.labelKey);
+
+    switch (definition.type) {
+        case 'year': {
+            const maxYear = new Date().getFullYear() + 5;
+            const year = Number(text);
+            if (!Number.isInteger(year) || year < FIRST_FILM_YEAR || year > maxYear) {
+                return t('query.errors.year', { label, min: FIRST_FILM_YEAR, max: maxYear });
+            }
+            return null;
+        }
+        case 'score': {
+            const score = Number(text);
+            if (Number.isNaN(score) || score < 0 || score > 10) {
+                return t('query.errors.score', { label });
+            }
+            return null;
+        }
+        case 'sort':
+            if (!SORT_OPTIONS.some(option => option.value === text)) {
+                return t('query.errors.sort', { label });
+            }
+            return null;
+        default:
+            if (text.length > MAX_TEXT_LENGTH) {
+                return t('query.errors.textLength', { label, max: MAX_TEXT_LENGTH });
+            }
+            return null;
+    }
+}
+
+/**
+ * Valide un état de filtres
+ * @param {Object} filters - Filtres (ex: { minYear: 1990, minScore: 7.5, sortBy: '-imdb_score' })
+ * @returns {Array<string>} - Liste des erreurs (vide si les filtres sont valides)
+ */
+export function validateFilters(filters) {
+    const errors = [];
+
+    Object.entries(filters).forEach(([key, value]) => {
+        const definition = FILTER_DEFINITIONS[key];
+
+        if (!definition) {
+            errors.push(t('query.errors.unknown', { key }));
+            return;
+        }
+
+        if (!isEmpty(value)) {
+            const error = validateValue(definition, value);
+            if (error) {
+                errors.push(error);
+            }
+        }
+    });
+
+    const { minYear, maxYear } = filters;
+    if (!isEmpty(minYear) && !isEmpty(maxYear) && Number(minYear) > Number(maxYear)) {
+        errors.push(t('query.errors.yearRange'));
+    }
+
+    return errors;
+}
+
+/**
+ * Sérialise un état de filtres en paramètres de requête encodés
+ * Les filtres vides sont ignorés.
+ * @param {Object} filters - Filtres à sérialiser
+ * @returns {string} - Paramètres de requête (ex: 'min_year=1990&sort_by=-imdb_score')
+ * @throws {FilterValidationError} - Si un filtre est invalide
+ */
+export function buildQuery(filters) {
+    const errors = validateFilters(filters);
+
+    if (errors.length > 0) {
+        throw new FilterValidationError(errors);
+    }
+
+    const params = new URLSearchParams();
+
+    Object.entries(filters).forEach(([key, value]) => {
+        if (!isEmpty(value)) {
+            params.append(FILTER_DEFINITIONS[key].param, String(value).trim());
+        }
+    });
+
+    return params.toString();
+}
+
+/**
+ * Reconstruit un état de filtres à partir de paramètres de requête
+ * Les paramètres inconnus sont ignorés.
+ * @param {string} queryParams - Paramètres de requête (ex: 'genre=Drama&sort_by=-year')
+ * @returns {Object} - Filtres correspondants (ex: { genre: 'Drama', sortBy: '-year' })
+ */
+export function parseQuery(queryParams) {
+    const params = new URLSearchParams(queryParams);
+    const filters = {};
+
+    Object.entries(FILTER_DEFINITIONS).forEach(([key, definition]) => {
+        if (params.has(definition.param)) {
+            filters[key] = params.get(definition.param);
+        }
+    });
+
+    return filters;
+}
@@ -0,0 +1,412 @@
+/**
+ * Module de recommandations personnalisées
+ * Mémorise les films ouverts dans la modale (historique local) et propose des films
+ * proches de cet historique et de "Ma liste" : genres, réalisateurs et acteurs communs,
+ * même décennie et bon score IMDb. Chaque recommandation indique le film qui l'explique.
+ * Aucune donnée ne quitte le navigateur : seules des recherches par genre ou par nom
+ * sont envoyées à l'API pour trouver des films candidats.
+ */
+
+import { fetchMovies, fetchMovieDetails } from './api.js';
+import { getFavorites } from './favorites.js';
+import { buildQuery } from './query-builder.js';
+import { t } from './i18n.js';
+
+// Configuration des recommandations
+const RECOMMENDATION_CONFIG = {
+    storageKey: 'jsi-history',
+    changeEvent: 'history:change',
+    maxHistory: 50,         // Films conservés dans l'historique
+    maxSeeds: 10,           // Films de l'historique servant de profil (les plus récents)
+    maxFavoriteSeeds: 5,    // Favoris absents de l'historique dont les détails sont chargés
+    maxActors: 5,           // Acteurs mémorisés par film
+    queriesPerFacet: 2,     // Genres, réalisateurs et acteurs les plus fréquents interrogés
+    rowSize: 10
+};
+
+/**
+ * Poids des critères de similarité
+ * - genre, director, actor : par élément commun avec un film du profil
+ * - decade : film de la même décennie
+ * - score : par point de score IMDb au-dessus de 5
+ * - favorite : multiplicateur d'un film de "Ma liste"
+ * - recency : perte de poids par rang dans l'historique (le dernier film vu compte le plus)
+ */
+export const RECOMMENDATION_WEIGHTS = {
+    genre: 1,
+    director: 3,
+    actor: 1.5,
+    decade: 1,
+    score: 0.5,
+    favorite: 1.5,
+    recency: 0.1
+};
+
+/**
+ * Lit l'historique depuis le localStorage
+ * @returns {Array} - Films vus, du plus récent au plus ancien
+ */
+function readHistory() {
+    try {
+        const raw = window.localStorage.getItem(RECOMMENDATION_CONFIG.storageKey);
+        const history = raw ? JSON.parse(raw) : [];
+        return Array.isArray(history) ? history : [];
+    } catch (error) {
+        console.warn('Historique de visionnage illisible, réinitialisé:', error);
+        return [];
+    }
+}
+
+/**
+ * Enregistre l'historique et prévient le reste de la page
+ * @param {Array} history - Films vus
+ */
+function writeHistory(history) {
+    try {
+        if (history.length > 0) {
+            window.localStorage.setItem(RECOMMENDATION_CONFIG.storageKey, JSON.stringify(history));
+        } else {
+            window.localStorage.removeItem(RECOMMENDATION_CONFIG.storageKey);
+        }
+    } catch (error) {
+        console.error('Impossible d\'enregistrer l\'historique de visionnage:', error);
+    }
+
+    document.dispatchEvent(new CustomEvent(RECOMMENDATION_CONFIG.changeEvent));
+}
+
+/**
+ * Réduit un film aux informations utiles au calcul des recommandations
+ * @param {Object} movie - Film (détails complets)
+ * @returns {Object} - Entrée de l'historique
+ */
+function toHistoryEntry(movie) {
+    const list = values => (Array.isArray(values) ? values.filter(Boolean) : []);
+
+    return {
+        id: movie.id,
+        title: movie.title,
+        image_url: movie.image_url || '',
+        year: movie.year || null,
+        imdb_score: movie.imdb_score || null,
+        genres: list(movie.genres),
+        directors: list(movie.directors),
+        actors: list(movie.actors).slice(0, RECOMMENDATION_CONFIG.maxActors),
+        viewedAt: Date.now()
+    };
+}
+
+/**
+ * Mémorise un film ouvert dans la modale
+ * Un film déjà vu remonte en tête de l'historique.
+ * @param {Object} movie - Film affiché (détails complets)
+ */
+export function recordView(movie) {
+    if (!movie || movie.id === undefined || movie.id === null) {
+        return;
+    }
+
+    const history = readHistory().filter(entry => String(entry.id) !== String(movie.id));
+    history.unshift(toHistoryEntry(movie));
+    writeHistory(history.slice(0, RECOMMENDATION_CONFIG.maxHistory));
+}
+
+/**
+ * Renvoie l'historique de visionnage
+ * @returns {Array} - Films vus, du plus récent au plus ancien
+ */
+export function getHistory() {
+    return readHistory();
+}
+
+/**
+ * Efface l'historique de visionnage
+ */
+export function clearHistory() {
+    writeHistory([]);
+    console.log('Historique de visionnage effacé');
+}
+
+/**
+ * Enregistre une fonction appelée à chaque modification de l'historique
+ * @param {Function} callback - Fonction appelée sans argument
+ */
+export function onHistoryChange(callback) {
+    document.addEventListener(RECOMMENDATION_CONFIG.changeEvent, callback);
+}
+
+/**
+ * Indique si des recommandations peuvent être calculées (historique ou "Ma liste" non vides)
+ * @returns {boolean}
+ */
+export function hasRecommendationSources() {
+    return readHistory().length > 0 || getFavorites().length > 0;
+}
+
+/**
+ * Décennie d'une année (ex: 1994 → 1990)
+ * @param {number|string} year - Année
+ * @returns {number|null}
+ */
+function decadeOf(year) {
+    const value = Number(year);
+    return Number.isFinite(value) && value > 0 ? Math.floor(value / 10) * 10 : null;
+}
+
+/**
+ * Éléments communs à deux listes, sans tenir compte de la casse
+ * @param {Array<string>} values - Liste du film candidat
+ * @param {Array<string>} reference - Liste du film du profil
+ * @returns {Array<string>} - Éléments du candidat présents dans la référence
+ */
+function shared(values, reference) {
+    const known = new Set((reference || []).map(value => String(value).toLowerCase()));
+    return (values || []).filter(value => known.has(String(value).toLowerCase()));
+}
+
+/**
+ * Calcule le profil de l'utilisateur : films vus et favoris, pondérés
+ * @param {Array} history - Films vus (du plus récent au plus ancien)
+ * @param {Array} favorites - Favoris (détails complets)
+ * @returns {Array<{movie: Object, weight: number, source: string}>} - Films du profil
+ */
+export function buildSeeds(history, favorites = []) {
+    const seeds = history.slice(0, RECOMMENDATION_CONFIG.maxSeeds).map((movie, index) => ({
+        movie,
+        weight: 1 / (1 + index * RECOMMENDATION_WEIGHTS.recency),
+        source: 'history'
+    }));
+
+    favorites.forEach(movie => {
+        const seed = seeds.find(item => String(item.movie.id) === String(movie.id));
+        if (seed) {
+            // Un film vu et ajouté à "Ma liste" compte davantage
+            seed.weight *= RECOMMENDATION_WEIGHTS.favorite;
+        } else {
+            // Un favori jamais ouvert compte un peu moins qu'un film récemment vu
+            seeds.push({ movie, weight: RECOMMENDATION_WEIGHTS.favorite / 2, source: 'favorite' });
+        }
+    });
+
+    return seeds;
+}
+
+/**
+ * Note un film candidat par rapport au profil
+ * La raison de la recommandation est le film du profil qui contribue le plus à la note.
+ * @param {Object} candidate - Film candidat (aperçu de l'API : genres, directors, actors, year, imdb_score)
+ * @param {Array} seeds - Profil (voir buildSeeds)
+ * @returns {{movie: Object, score: number, reason: Object}|null} - null si le film ne ressemble à aucun film du profil
+ */
+export function scoreCandidate(candidate, seeds) {
+    const weights = RECOMMENDATION_WEIGHTS;
+    let total = 0;
+    let best = null;
+
+    seeds.forEach(seed => {
+        const matches = {
+            directors: shared(candidate.directors, seed.movie.directors),
+            actors: shared(candidate.actors, seed.movie.actors),
+            genres: shared(candidate.genres, seed.movie.genres),
+            decade: decadeOf(candidate.year) !== null && decadeOf(candidate.year) === decadeOf(seed.movie.year)
+                ? decadeOf(candidate.year)
+                : null
+        };
+
+        const similarity = matches.directors.length * weights.director
+            + matches.actors.length * weights.actor
+            + matches.genres.length * weights.genre
+            + (matches.decade !== null ? weights.decade : 0);
+
+        const contribution = similarity * seed.weight;
+        total += contribution;
+
+        if (contribution > 0 && (!best || contribution > best.contribution)) {
+            best = { contribution, seed, matches };
+        }
+    });
+
+    if (!best) {
+        return null;
+    }
+
+    const imdbScore = Number(candidate.imdb_score);
+    const quality = candidate.imdb_score !== null && Number.isFinite(imdbScore) ? (imdbScore - 5) * weights.score : 0;
+
+    return {
+        movie: candidate,
+        score: total + quality,
+        reason: {
+            title: best.seed.movie.title,
+            source: best.seed.source,
+            ...best.matches
+        }
+    };
+}
+
+/**
+ * Classe les films candidats
+ * Les films du profil, les favoris et les doublons sont écartés.
+ * @param {Array} candidates - Films candidats
+ * @param {Array} seeds - Profil (voir buildSeeds)
+ * @param {Object} options - Options
+ * @param {Array} options.exclude - IDs à écarter en plus des films du profil (ex: favoris)
+ * @param {number} options.limit - Nombre maximal de recommandations
+ * @returns {Array<{movie: Object, score: number, reason: Object}>} - Recommandations, de la meilleure à la moins bonne
+ */
+export function rankCandidates(candidates, seeds, { exclude = [], limit = RECOMMENDATION_CONFIG.rowSize } = {}) {
+    const excluded = new Set([...seeds.map(seed => seed.movie.id), ...exclude].map(String));
+    const ranked = [];
+
+    candidates.forEach(candidate => {
+        const key = String(candidate.id);
+        if (excluded.has(key)) {
+            return;
+        }
+        excluded.add(key);
+
+        const recommendation = scoreCandidate(candidate, seeds);
+        if (recommendation) {
+            ranked.push(recommendation);
+        }
+    });
+
+    return ranked
+        .sort((a, b) => b.score - a.score || String(a.movie.title).localeCompare(String(b.movie.title)))
+        .slice(0, limit);
+}
+
+/**
+ * Explique une recommandation par son point commun le plus fort avec un film du profil
+ * @param {Object} reason - Raison renvoyée par scoreCandidate
+ * @returns {string} - Explication (ex: 'Réalisé par Christopher Nolan, comme Inception')
+ */
+export function describeReason(reason) {
+    const { title } = reason;
+
+    if (reason.directors.length > 0) {
+        return t('recommendations.reason.director', { name: reason.directors[0], title });
+    }
+    if (reason.actors.length > 0) {
+        return t('recommendations.reason.actor', { name: reason.actors[0], title });
+    }
+    if (reason.genres.length > 0) {
+        return t('recommendations.reason.genre', { genre: reason.genres.join(', '), title });
+    }
+    return t('recommendations.reason.decade', { decade: reason.decade, title });
+}
+
+/**
+ * Légende d'une liste de recommandations : le film du profil qui en explique le plus
+ * @param {Array} recommendations - Recommandations (voir rankCandidates)
+ * @returns {string} - Légende (ex: 'Parce que vous avez regardé Inception'), vide sans recommandation
+ */
+export function describeRecommendations(recommendations) {
+    const counts = new Map();
+
+    recommendations.forEach(({ reason }) => {
+        const key = `${reason.source}:${reason.title}`;
+        const entry = counts.get(key) || { reason, count: 0 };
+        entry.count++;
+        counts.set(key, entry);
+    });
+
+    // À égalité, la meilleure recommandation l'emporte (ordre d'insertion)
+    const main = Array.from(counts.values()).reduce((best, entry) => (!best || entry.count > best.count ? entry : best), null);
+
+    if (!main) {
+        return '';
+    }
+    return t(`recommendations.because.${main.reason.source}`, { title: main.reason.title });
+}
+
+/**
+ * Renvoie les valeurs les plus fréquentes d'un champ dans le profil, pondérées
+ * @param {Array} seeds - Profil
+ * @param {string} field - Champ ('genres', 'directors' ou 'actors')
+ * @returns {Array<string>} - Valeurs les plus fréquentes
+ */
+function topValues(seeds, field) {
+    const counts = new Map();
+
+    seeds.forEach(({ movie, weight }) => {
+        (movie[field] || []).forEach(value => counts.set(value, (counts.get(value) || 0) + weight));
+    });
+
+    return Array.from(counts.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, RECOMMENDATION_CONFIG.queriesPerFacet)
+        .map(([value]) => value);
+}
+
+/**
+ * Récupère des films candidats : films des réalisateurs, acteurs et genres préférés
+ * @param {Array} seeds - Profil
+ * @param {AbortSignal} signal - Signal d'annulation
+ * @returns {Promise<Array>} - Films candidats (avec doublons)
+ * @throws {ApiError} - Si aucune recherche n'a abouti
+ */
+async function fetchCandidates(seeds, signal) {
+    const queries = [
+        ...topValues(seeds, 'directors').map(name => buildQuery({ directorName: name, sortBy: '-imdb_score' })),
+        ...topValues(seeds, 'actors').map(name => buildQuery({ actorName: name, sortBy: '-imdb_score' })),
+        ...topValues(seeds, 'genres').map(genre => buildQuery({ genre, sortBy: '-imdb_score' }))
+    ];
+
+    const responses = await Promise.allSettled(queries.map(queryParams => fetchMovies(1, queryParams, { signal })));
+    const pages = responses.filter(response => response.status === 'fulfilled').map(response => response.value);
+
+    if (pages.length === 0 && responses.length > 0) {
+        throw responses[0].reason;
+    }
+
+    return pages.flatMap(page => page.results || []);
+}
+
+/**
+ * Charge les détails des favoris absents de l'historique (genres, réalisateurs, acteurs)
+ * Un favori dont les détails sont indisponibles est ignoré.
+ * @param {Array} history - Films vus
+ * @param {AbortSignal} signal - Signal d'annulation
+ * @returns {Promise<Array>} - Favoris (détails complets)
+ */
+async function loadFavoriteDetails(history, signal) {
+    const favorites = getFavorites();
+    const favoriteIds = new Set(favorites.map(favorite => String(favorite.id)));
+    const seen = new Set(history.map(entry => String(entry.id)));
+
+    // Un favori déjà vu est connu grâce à l'historique
+    const known = history.filter(entry => favoriteIds.has(String(entry.id)));
+    const missing = favorites
+        .filter(favorite => !seen.has(String(favorite.id)))
+        .slice(0, RECOMMENDATION_CONFIG.maxFavoriteSeeds);
+
+    const responses = await Promise.allSettled(missing.map(favorite => fetchMovieDetails(favorite.id, { signal })));
+    const details = responses.filter(response => response.status === 'fulfilled').map(response => response.value);
+
+    return [...known, ...details];
+}
+
+/**
+ * Calcule les recommandations de l'utilisateur
+ * @param {AbortSignal} signal - Signal d'annulation
+ * @returns {Promise<Array<{movie: Object, score: number, reason: Object}>>} - Recommandations (vide sans historique ni favoris)
+ * @throws {ApiError} - Si aucun film candidat n'a pu être récupéré
+ */
+export async function getRecommendations(signal) {
+    const history = readHistory();
+    const favorites = await loadFavoriteDetails(history, signal);
+    const seeds = buildSeeds(history, favorites);
+
+    if (seeds.length === 0) {
+        return [];
+    }
+
+    const candidates = await fetchCandidates(seeds, signal);
+    const recommendations = rankCandidates(candidates, seeds, {
+        exclude: getFavorites().map(favorite => favorite.id)
+    });
+
+    console.log(`${recommendations.length} recommandations calculées à partir de ${seeds.length} films`);
+    return recommendations;
+}
@@ -0,0 +1,252 @@
+/**
+ * Module de routage côté client
+ * Associe des URL de type `#/chemin?param=valeur` à des vues de l'application
+ * et s'appuie sur l'API History pour gérer les boutons Précédent / Suivant
+ */
+
+/**
+ * Découpe un hash en chemin et paramètres
+ * @param {string} hash - Hash de l'URL (ex: '#/genre/Comedy?page=2')
+ * @returns {{path: string, query: Object}} - Chemin et paramètres décodés
+ */
+export function parseHash(hash) {
+    const raw = hash.replace(/^#/, '') || '/';
+    const [path, queryString = ''] = raw.split('?');
+    const query = Object.fromEntries(new URLSearchParams(queryString));
+
+    return { path: path || '/', query };
+}
+
+/**
+ * Construit un hash à partir d'un chemin et de paramètres
+ * Les paramètres vides sont ignorés.
+ * @param {string} path - Chemin (ex: '/search')
+ * @param {Object} query - Paramètres (ex: { q: 'alien', page: 2 })
+ * @returns {string} - Hash encodé (ex: '#/search?q=alien&page=2')
+ */
+export function buildHash(path, query = {}) {
+    const params = new URLSearchParams();
+
+    Object.entries(query).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') {
+            params.append(key, value);
+        }
+    });
+
+    const queryString = params.toString();
+    return `#${path}${queryString ? `?${queryString}` : ''}`;
+}
+
+/**
+ * Routeur par hash
+ * Une route "overlay" (ex: la modale d'un film) s'affiche par-dessus la
+ * dernière vue de fond, qui n'est donc pas recalculée à sa fermeture.
+ */
+class Router {
+    constructor() {
+        this.routes = [];
+        this.backgroundHash = null;
+        this.overlayActive = false;
+        this.onOverlayClose = null;
+        this.started = false;
+    }
+
+    /**
+     * Enregistre une route
+     * @param {string} pattern - Motif du chemin (ex: '/movie/:id')
+     * @param {Function} handler - Fonction appelée avec (params, query)
+     * @param {Object} options - Options de la route
+     * @param {boolean} options.overlay - La route s'affiche par-dessus la vue courante
+     * @returns {Router} - Le routeur, pour chaîner les appels
+     */
+    on(pattern, handler, { overlay = false } = {}) {
+        const keys = [];
+        const regex = new RegExp(`^${pattern.replace(/:(\w+)/g, (_, key) => {
+            keys.push(key);
+            return '([^/]+)';
+        })}$`);
+
+        this.routes.push({ regex, keys, handler, overlay });
+        return this;
+    }
+
+    /**
+     * Cherche la route correspondant à un chemin
+     * @param {string} path - Chemin à résoudre
+     * @returns {{route: Object, params: Object}|null} - Route et paramètres, ou null
+     */
+    match(path) {
+        for (const route of this.routes) {
+            const result = route.regex.exec(path);
+
+            if (result) {
+                const params = {};
+                try {
+                    route.keys.forEach((key, index) => {
+                        params[key] = decodeURIComponent(result[index + 1]);
+                    });
+                } catch (error) {
+                    // Paramètre mal encodé (ex: #/genre/%E0) : la route est traitée comme inconnue
+                    console.warn(`Adresse mal encodée: ${path}`);
+                    return null;
+                }
+                return { route, params };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Démarre le routeur et affiche la vue correspondant à l'URL courante
+     */
+    start() {
+        if (this.started) {
+            return;
+        }
+        this.started = true;
+
+        // Numéroter l'entrée d'historique initiale pour savoir si un retour reste dans l'application
+        if (!history.state || typeof history.state.index !== 'number') {
+            history.replaceState({ index: 0 }, '');
+        }
+
+        window.addEventListener('popstate', () => this.resolve());
+
+        // Intercepter les liens internes pour passer par navigate()
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('a[href^="#/"]');
+            if (link && !e.ctrlKey && !e.metaKey && !e.shiftKey) {
+                e.preventDefault();
+                this.navigate(link.getAttribute('href'));
+            }
+        });
+
+        this.resolve();
+    }
+
+    /**
+     * Navigue vers un chemin
+     * @param {string} target - Hash complet (ex: '#/movie/9') ou chemin (ex: '/movie/9')
+     * @param {Object} options - Options de navigation
+     * @param {Object} options.query - Paramètres à ajouter au chemin
+     * @param {boolean} options.replace - Remplacer l'entrée d'historique courante
+     */
+    navigate(target, { query = {}, replace = false } = {}) {
+        const hash = target.startsWith('#') ? target : buildHash(target, query);
+
+        if (hash === window.location.hash && !replace) {
+            return;
+        }
+
+        if (replace) {
+            history.replaceState({ index: this.currentIndex() }, '', hash);
+        } else {
+            history.pushState({ index: this.currentIndex() + 1 }, '', hash);
+        }
+
+        this.resolve();
+    }
+
+    /**
+     * Met à jour les paramètres de la vue courante sans la recalculer
+     * Utilisé pour refléter dans l'URL un état déjà affiché (genre choisi, catégorie dépliée...).
+     * @param {Object} changes - Paramètres à modifier (une valeur vide supprime le paramètre)
+     */
+    updateQuery(changes) {
+        const { path, query } = parseHash(window.location.hash);
+        const hash = buildHash(path, { ...query, ...changes });
+
+        history.replaceState({ index: this.currentIndex() }, '', hash);
+
+        if (!this.overlayActive) {
+            this.backgroundHash = hash;
+        }
+    }
+
+    /**
+     * Ferme la route overlay courante
+     * Revient en arrière dans l'historique si possible, sinon remplace l'URL par la vue de fond.
+     */
+    closeOverlay() {
+        if (!this.overlayActive) {
+            return;
+        }
+
+        if (this.currentIndex() > 0) {
+            history.back();
+        } else {
+            this.navigate(this.backgroundHash || '#/', { replace: true });
+        }
+    }
+
+    /**
+     * Renvoie le chemin et les paramètres de l'URL courante
+     * @returns {{path: string, query: Object}}
+     */
+    current() {
+        return parseHash(window.location.hash);
+    }
+
+    /**
+     * Position de l'entrée courante dans l'historique de l'application
+     * @returns {number}
+     */
+    currentIndex() {
+        return (history.state && history.state.index) || 0;
+    }
+
+    /**
+     * Affiche la vue correspondant à l'URL courante
+     */
+    resolve() {
+        const hash = window.location.hash || '#/';
+        const { path, query } = parseHash(hash);
+        const match = this.match(path);
+
+        if (!match) {
+            console.warn(`Route inconnue: ${path}`);
+            this.navigate('#/', { replace: true });
+            return;
+        }
+
+        if (match.route.overlay) {
+            // Accès direct à une route overlay : afficher l'accueil en fond
+            if (this.backgroundHash === null) {
+                this.resolveBackground('#/');
+            }
+            this.overlayActive = true;
+            match.route.handler(match.params, query);
+            return;
+        }
+
+        if (this.overlayActive) {
+            this.overlayActive = false;
+            if (this.onOverlayClose) {
+                this.onOverlayClose();
+            }
+        }
+
+        if (hash !== this.backgroundHash) {
+            this.backgroundHash = hash;
+            match.route.handler(match.params, query);
+        }
+    }
+
+    /**
+     * Affiche une vue de fond sans modifier l'URL
+     * @param {string} hash - Hash de la vue de fond
+     */
+    resolveBackground(hash) {
+        const { path, query } = parseHash(hash);
+        const match = this.match(path);
+
+        this.backgroundHash = hash;
+        if (match && !match.route.overlay) {
+            match.route.handler(match.params, query);
+        }
+    }
+}
+
+// Routeur partagé par toute l'application
+export const router = new Router();
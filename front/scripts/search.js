@@ -0,0 +1,361 @@
+/**
+ * Module de recherche de films
+ * Gère la barre de recherche du header, les suggestions et la page de résultats
+ */
+
+import { fetchMovies } from './api.js';
+import { createMovieCard } from './ui-components.js';
+import { openMovieDetails } from './modal.js';
+import { buildQuery, FilterValidationError } from './query-builder.js';
+import { router } from './router.js';
+import { t } from './i18n.js';
+
+// Configuration de la recherche
+const SEARCH_CONFIG = {
+    debounceDelay: 250,
+    minLength: 2,
+    maxSuggestions: 5,
+    sortBy: '-votes',
+    // Champs de recherche proposés (clés de filtre du query-builder)
+    fields: ['title', 'actor', 'director']
+};
+
+/**
+ * Construit les paramètres de requête d'une recherche
+ * @param {string} field - Champ recherché ('title', 'actor' ou 'director')
+ * @param {string} term - Texte recherché
+ * @returns {string} - Paramètres encodés (ex: 'title_contains=alien&sort_by=-votes')
+ * @throws {FilterValidationError} - Si le texte recherché est invalide (trop long)
+ */
+function buildSearchQuery(field, term) {
+    const filter = SEARCH_CONFIG.fields.includes(field) ? field : 'title';
+    return buildQuery({ [filter]: term, sortBy: SEARCH_CONFIG.sortBy });
+}
+
+/**
+ * Indique si une erreur provient d'une annulation volontaire
+ * @param {Error} error - Erreur à tester
+ * @returns {boolean}
+ */
+function isAbortError(error) {
+    return error && error.name === 'AbortError';
+}
+
+/**
+ * Classe gérant la barre de recherche et la vue des résultats
+ */
+class MovieSearch {
+    constructor() {
+        this.form = document.querySelector('.search-bar');
+        this.input = document.querySelector('.search-input');
+        this.fieldSelect = document.querySelector('.search-field');
+        this.suggestionsList = document.querySelector('.search-suggestions');
+        this.resultsSection = document.querySelector('.search-results');
+
+        this.debounceTimer = null;
+        this.suggestionsController = null;
+        this.resultsController = null;
+        this.suggestions = [];
+        this.activeIndex = -1;
+        this.currentSearch = null;
+
+        this.initEventListeners();
+    }
+
+    /**
+     * Initialise les écouteurs de la barre de recherche et de la pagination
+     */
+    initEventListeners() {
+        this.input.addEventListener('input', () => this.scheduleSuggestions());
+        this.fieldSelect.addEventListener('change', () => this.scheduleSuggestions());
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.input.addEventListener('blur', () => {
+            // Laisser le temps au clic sur une suggestion d'être pris en compte
+            setTimeout(() => this.hideSuggestions(), 150);
+        });
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitSearch();
+        });
+
+        this.suggestionsList.addEventListener('mousedown', (e) => {
+            const option = e.target.closest('.search-suggestion');
+            if (option) {
+                e.preventDefault();
+                this.selectSuggestion(Number(option.dataset.index));
+            }
+        });
+
+        this.resultsSection.querySelector('.search-results__prev').addEventListener('click', () => {
+            this.navigateToResults(this.currentSearch.field, this.currentSearch.term, this.currentSearch.page - 1);
+        });
+        this.resultsSection.querySelector('.search-results__next').addEventListener('click', () => {
+            this.navigateToResults(this.currentSearch.field, this.currentSearch.term, this.currentSearch.page + 1);
+        });
+        this.resultsSection.querySelector('.search-results__back').addEventListener('click', () => {
+            router.navigate('/');
+        });
+    }
+
+    /**
+     * Programme la récupération des suggestions après un délai sans frappe
+     */
+    scheduleSuggestions() {
+        clearTimeout(this.debounceTimer);
+
+        // Toute frappe rend obsolète la requête de suggestions en cours
+        if (this.suggestionsController) {
+            this.suggestionsController.abort();
+            this.suggestionsController = null;
+        }
+
+        const term = this.input.value.trim();
+        if (term.length < SEARCH_CONFIG.minLength) {
+            this.hideSuggestions();
+            return;
+        }
+
+        this.debounceTimer = setTimeout(() => this.loadSuggestions(term), SEARCH_CONFIG.debounceDelay);
+    }
+
+    /**
+     * Récupère et affiche les suggestions pour un texte donné
+     * @param {string} term - Texte recherché
+     */
+    async loadSuggestions(term) {
+        const controller = new AbortController();
+        this.suggestionsController = controller;
+
+        try {
+            const data = await fetchMovies(1, buildSearchQuery(this.fieldSelect.value, term), {
+                signal: controller.signal
+            });
+
+            // Une réponse mise en cache peut arriver après une nouvelle frappe
+            if (controller.signal.aborted) {
+                return;
+            }
+
+            this.renderSuggestions((data.results || []).slice(0, SEARCH_CONFIG.maxSuggestions));
+        } catch (error) {
+            if (!isAbortError(error)) {
+                console.error('Erreur lors de la récupération des suggestions:', error);
+                this.hideSuggestions();
+            }
+        }
+    }
+
+    /**
+     * Affiche la liste des suggestions
+     * @param {Array} movies - Films suggérés
+     */
+    renderSuggestions(movies) {
+        this.suggestions = movies;
+        this.activeIndex = -1;
+        this.suggestionsList.innerHTML = '';
+
+        if (movies.length === 0) {
+            this.hideSuggestions();
+            return;
+        }
+
+        movies.forEach((movie, index) => {
+            const option = document.createElement('li');
+            option.className = 'search-suggestion';
+            option.id = `search-suggestion-${index}`;
+            option.setAttribute('role', 'option');
+            option.setAttribute('aria-selected', 'false');
+            option.dataset.index = index;
+            option.textContent = movie.year ? `${movie.title} (${movie.year})` : movie.title;
+            this.suggestionsList.appendChild(option);
+        });
+
+        this.suggestionsList.hidden = false;
+        this.input.setAttribute('aria-expanded', 'true');
+    }
+
+    /**
+     * Masque la liste des suggestions
+     */
+    hideSuggestions() {
+        this.suggestionsList.hidden = true;
+        this.suggestionsList.innerHTML = '';
+        this.suggestions = [];
+        this.activeIndex = -1;
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+    }
+
+    /**
+     * Gère la navigation au clavier dans les suggestions
+     * @param {KeyboardEvent} e - Événement clavier
+     */
+    handleKeydown(e) {
+        const count = this.suggestions.length;
+
+        if (e.key === 'ArrowDown' && count > 0) {
+            e.preventDefault();
+            this.setActiveSuggestion((this.activeIndex + 1) % count);
+        } else if (e.key === 'ArrowUp' && count > 0) {
+            e.preventDefault();
+            this.setActiveSuggestion((this.activeIndex - 1 + count) % count);
+        } else if (e.key === 'Enter' && this.activeIndex >= 0) {
+            e.preventDefault();
+            this.selectSuggestion(this.activeIndex);
+        } else if (e.key === 'Escape' && count > 0) {
+            e.preventDefault();
+            this.hideSuggestions();
+        }
+    }
+
+    /**
+     * Met en surbrillance une suggestion
+     * @param {number} index - Index de la suggestion
+     */
+    setActiveSuggestion(index) {
+        const options = this.suggestionsList.querySelectorAll('.search-suggestion');
+
+        options.forEach((option, i) => {
+            const isActive = i === index;
+            option.classList.toggle('is-active', isActive);
+            option.setAttribute('aria-selected', String(isActive));
+        });
+
+        this.activeIndex = index;
+        this.input.setAttribute('aria-activedescendant', `search-suggestion-${index}`);
+    }
+
+    /**
+     * Ouvre la modale de détails du film suggéré
+     * @param {number} index - Index de la suggestion
+     */
+    selectSuggestion(index) {
+        const movie = this.suggestions[index];
+        if (!movie) {
+            return;
+        }
+
+        this.hideSuggestions();
+        openMovieDetails(movie.id);
+    }
+
+    /**
+     * Lance la recherche complète et affiche la page de résultats
+     */
+    submitSearch() {
+        const term = this.input.value.trim();
+        if (!term) {
+            return;
+        }
+
+        clearTimeout(this.debounceTimer);
+        this.hideSuggestions();
+        this.navigateToResults(this.fieldSelect.value, term, 1);
+    }
+
+    /**
+     * Navigue vers la page de résultats (#/search?field=...&q=...&page=...)
+     * @param {string} field - Champ recherché
+     * @param {string} term - Texte recherché
+     * @param {number} page - Numéro de la page
+     */
+    navigateToResults(field, term, page) {
+        router.navigate('/search', { query: { field, q: term, page: page > 1 ? page : '' } });
+    }
+
+    /**
+     * Affiche une page de résultats de recherche
+     * @param {string} field - Champ recherché
+     * @param {string} term - Texte recherché
+     * @param {number} page - Numéro de la page
+     */
+    async showResults(field, term, page) {
+        // Annuler la page de résultats précédente si elle est encore en cours
+        if (this.resultsController) {
+            this.resultsController.abort();
+        }
+        const controller = new AbortController();
+        this.resultsController = controller;
+        this.currentSearch = { field, term, page };
+
+        // Synchroniser la barre de recherche (accès direct par l'URL)
+        this.input.value = term;
+        this.fieldSelect.value = field;
+
+        const title = this.resultsSection.querySelector('.search-results__title');
+        const status = this.resultsSection.querySelector('.search-results__status');
+        const grid = this.resultsSection.querySelector('.movies-grid');
+
+        title.textContent = t('search.resultsTitle', { term });
+        status.textContent = t('search.searching');
+        grid.innerHTML = '';
+        this.updatePagination(null);
+
+        try {
+            const data = await fetchMovies(page, buildSearchQuery(field, term), { signal: controller.signal });
+
+            if (controller.signal.aborted) {
+                return;
+            }
+
+            const movies = data.results || [];
+            status.textContent = movies.length > 0
+                ? t('search.found', { count: data.count, page })
+                : t('search.noResults');
+
+            movies.forEach(movie => {
+                const movieCard = createMovieCard(movie);
+                if (movieCard) {
+                    grid.appendChild(movieCard);
+                }
+            });
+
+            this.updatePagination(data);
+        } catch (error) {
+            if (error instanceof FilterValidationError) {
+                status.textContent = error.message;
+            } else if (!isAbortError(error)) {
+                console.error('Erreur lors de la recherche:', error);
+                status.textContent = t('search.failed');
+            }
+        }
+    }
+
+    /**
+     * Met à jour les boutons de pagination des résultats
+     * @param {Object|null} data - Réponse paginée de l'API (null pendant le chargement)
+     */
+    updatePagination(data) {
+        const prevButton = this.resultsSection.querySelector('.search-results__prev');
+        const nextButton = this.resultsSection.querySelector('.search-results__next');
+        const pageLabel = this.resultsSection.querySelector('.search-results__page');
+
+        prevButton.disabled = !data || !data.previous;
+        nextButton.disabled = !data || !data.next;
+        pageLabel.textContent = data ? t('search.page', { page: this.currentSearch.page }) : '';
+    }
+
+    /**
+     * Annule le chargement des résultats en cours (en quittant la page de résultats)
+     */
+    cancelResults() {
+        if (this.resultsController) {
+            this.resultsController.abort();
+            this.resultsController = null;
+        }
+    }
+}
+
+/**
+ * Initialise la barre de recherche
+ * @returns {MovieSearch|null} - Instance de la recherche ou null si le header n'en contient pas
+ */
+export function initializeSearch() {
+    if (!document.querySelector('.search-bar')) {
+        console.error('Barre de recherche introuvable dans le DOM');
+        return null;
+    }
+
+    return new MovieSearch();
+}
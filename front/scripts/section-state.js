@@ -0,0 +1,253 @@
+/**
+ * Module d'état des sections de la page
+ * Chaque section (catégorie, bannière du meilleur film, modale) passe par les
+ * états chargement, prête, vide ou erreur ; une erreur propose de relancer
+ * uniquement le chargement de cette section
+ */
+
+import { NotFoundError, NetworkError, TimeoutError, ServerError } from './api.js';
+import { createSkeletonCard } from './ui-components.js';
+import { LatestRequest } from './latest-request.js';
+import { t } from './i18n.js';
+
+/**
+ * États possibles d'une section
+ */
+export const SECTION_STATES = {
+    LOADING: 'loading',
+    READY: 'ready',
+    EMPTY: 'empty',
+    ERROR: 'error'
+};
+
+// Clés des messages par défaut (voir i18n.js)
+const DEFAULT_MESSAGE_KEYS = {
+    loading: 'sectionState.loading',
+    empty: 'sectionState.empty',
+    error: 'sectionState.error'
+};
+
+// Préfixe des marques et mesures de performance des sections
+const TIMING_PREFIX = 'section:';
+
+/**
+ * Explique une erreur de chargement en termes compréhensibles
+ * @param {Error} error - Erreur levée par le chargement
+ * @returns {string} - Explication
+ */
+function describeError(error) {
+    if (error instanceof NetworkError || error instanceof TimeoutError) {
+        return t('sectionState.errors.network');
+    }
+    if (error instanceof NotFoundError) {
+        return t('sectionState.errors.notFound');
+    }
+    if (error instanceof ServerError) {
+        return t('sectionState.errors.server');
+    }
+    return t('sectionState.errors.unknown');
+}
+
+/**
+ * Machine d'état d'une section
+ * L'état courant est reflété par l'attribut data-state de la section, et les
+ * messages par une zone de statut (role="status") insérée dans la section.
+ */
+export class SectionState {
+    /**
+     * @param {HTMLElement} section - Élément de la section
+     * @param {Object} options - Options
+     * @param {HTMLElement} options.content - Zone recevant les cartes de chargement (facultatif)
+     * @param {number} options.skeletonCount - Nombre de cartes de chargement
+     * @param {HTMLElement} options.statusBefore - Élément avant lequel placer la zone de statut (par défaut : fin de la section)
+     * @param {string} options.name - Nom de la section dans les mesures de performance (facultatif)
+     */
+    constructor(section, { content = null, skeletonCount = 0, statusBefore = null, name = null } = {}) {
+        this.section = section;
+        this.name = name;
+        this.content = content;
+        this.skeletonCount = skeletonCount;
+        this.requests = new LatestRequest();
+        this.lastRun = null;
+
+        this.status = document.createElement('div');
+        this.status.className = 'section-status';
+        this.status.setAttribute('role', 'status');
+
+        this.message = document.createElement('p');
+        this.message.className = 'section-status__message';
+
+        this.retryButton = document.createElement('button');
+        this.retryButton.type = 'button';
+        this.retryButton.className = 'section-status__retry';
+        this.retryButton.textContent = t('sectionState.retry');
+        this.retryButton.hidden = true;
+        this.retryButton.addEventListener('click', () => this.retry());
+
+        this.status.appendChild(this.message);
+        this.status.appendChild(this.retryButton);
+
+        if (statusBefore) {
+            statusBefore.parentElement.insertBefore(this.status, statusBefore);
+        } else {
+            section.appendChild(this.status);
+        }
+    }
+
+    /**
+     * État courant de la section
+     * @returns {string|undefined}
+     */
+    get state() {
+        return this.section.dataset.state;
+    }
+
+    /**
+     * Change l'état de la section
+     * @param {string} state - Nouvel état (voir SECTION_STATES)
+     * @param {string} message - Message affiché
+     */
+    setState(state, message = '') {
+        this.section.dataset.state = state;
+        this.message.textContent = message;
+        this.retryButton.hidden = state !== SECTION_STATES.ERROR;
+
+        if (state === SECTION_STATES.LOADING) {
+            this.section.setAttribute('aria-busy', 'true');
+        } else {
+            this.section.removeAttribute('aria-busy');
+        }
+    }
+
+    /**
+     * Passe en chargement et affiche des cartes de chargement
+     * @param {string} message - Message destiné aux lecteurs d'écran
+     */
+    setLoading(message = t(DEFAULT_MESSAGE_KEYS.loading)) {
+        this.setState(SECTION_STATES.LOADING, message);
+
+        if (this.content && this.skeletonCount > 0) {
+            this.content.innerHTML = '';
+            for (let i = 0; i < this.skeletonCount; i++) {
+                this.content.appendChild(createSkeletonCard());
+            }
+        }
+    }
+
+    /**
+     * Charge le contenu de la section en gérant les états
+     * Seul le dernier chargement lancé met à jour la section : le chargement
+     * précédent est annulé et sa réponse, si elle arrive malgré tout, est ignorée.
+     * @param {Function} load - Fonction async récupérant les données (reçoit un signal d'annulation)
+     * @param {Function} render - Fonction affichant les données et renvoyant le nombre d'éléments affichés
+     * @param {Object} messages - Messages propres à ce chargement ({ loading, empty, error })
+     * @returns {Promise<boolean>} - true si du contenu a été affiché
+     */
+    async run(load, render, messages = {}) {
+        const defaults = {
+            loading: t(DEFAULT_MESSAGE_KEYS.loading),
+            empty: t(DEFAULT_MESSAGE_KEYS.empty),
+            error: t(DEFAULT_MESSAGE_KEYS.error)
+        };
+        const { loading, empty, error: errorMessage } = { ...defaults, ...messages };
+        this.lastRun = { load, render, messages };
+
+        this.setLoading(loading);
+        this.mark('start');
+
+        // Le chargement précédent de la section est annulé
+        let response;
+        try {
+            response = await this.requests.run(signal => load(signal));
+        } catch (error) {
+            console.error(`${errorMessage} (${error.name})`, error.message);
+            this.clearContent();
+            this.setState(SECTION_STATES.ERROR, `${errorMessage} ${describeError(error)}`);
+            this.mark('end');
+            return false;
+        }
+
+        if (!response.current) {
+            return false;
+        }
+
+        this.clearContent();
+        const count = render(response.result);
+        this.mark('end');
+
+        if (!count) {
+            this.setState(SECTION_STATES.EMPTY, empty);
+            return false;
+        }
+
+        this.setState(SECTION_STATES.READY);
+        return true;
+    }
+
+    /**
+     * Annule le chargement en cours de la section
+     */
+    cancel() {
+        this.requests.cancel();
+    }
+
+    /**
+     * Enregistre une marque de performance pour la section
+     * La fin d'un chargement produit une mesure `section:<nom>` (voir getSectionTimings).
+     * @param {string} step - 'start' ou 'end'
+     */
+    mark(step) {
+        if (!this.name || typeof performance === 'undefined' || !performance.mark) {
+            return;
+        }
+
+        const prefix = `${TIMING_PREFIX}${this.name}`;
+        performance.mark(`${prefix}:${step}`);
+
+        if (step === 'end') {
+            performance.clearMeasures(prefix);
+            performance.measure(prefix, `${prefix}:start`, `${prefix}:end`);
+        }
+    }
+
+    /**
+     * Retire les cartes de chargement de la zone de contenu
+     */
+    clearContent() {
+        if (this.content) {
+            this.content.innerHTML = '';
+        }
+    }
+
+    /**
+     * Relance le dernier chargement de la section
+     * @returns {Promise<boolean>}
+     */
+    retry() {
+        if (!this.lastRun) {
+            return Promise.resolve(false);
+        }
+
+        return this.run(this.lastRun.load, this.lastRun.render, this.lastRun.messages);
+    }
+}
+
+/**
+ * Renvoie la durée du dernier chargement de chaque section mesurée
+ * Les mesures sont aussi visibles dans l'onglet Performance des outils de développement.
+ * @returns {Array<{section: string, start: number, duration: number}>} - Durées en ms, triées par début de chargement
+ */
+export function getSectionTimings() {
+    if (typeof performance === 'undefined' || !performance.getEntriesByType) {
+        return [];
+    }
+
+    return performance.getEntriesByType('measure')
+        .filter(entry => entry.name.startsWith(TIMING_PREFIX))
+        .map(entry => ({
+            section: entry.name.slice(TIMING_PREFIX.length),
+            start: Math.round(entry.startTime),
+            duration: Math.round(entry.duration)
+        }))
+        .sort((a, b) => a.start - b.start);
+}
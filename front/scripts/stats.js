@@ -0,0 +1,380 @@
+/**
+ * Module des statistiques du catalogue
+ * Parcourt toutes les pages de /titles/ pour calculer les films par genre, la répartition
+ * des scores IMDb, le score moyen par décennie et les réalisateurs les plus présents,
+ * puis conserve ces statistiques dans le localStorage pour ne pas tout recharger à chaque visite
+ */
+
+import { ApiClient, apiClient, fetchGenres } from './api.js';
+import { createBarChart } from './charts.js';
+import { SectionState, SECTION_STATES } from './section-state.js';
+import { t, formatNumber, formatDate } from './i18n.js';
+
+// Configuration des statistiques
+const STATS_CONFIG = {
+    storageKey: 'jsi-stats',
+    maxAge: 24 * 60 * 60 * 1000, // Statistiques recalculées au plus tard après 24 heures
+    pageSize: 100,                // Films demandés par page (l'API peut en renvoyer moins ; crawl.next suit sa pagination)
+    renderEvery: 5,               // Graphiques redessinés toutes les 5 pages
+    topDirectors: 10,
+    minDirectorMovies: 3          // Films nécessaires pour figurer parmi les mieux notés
+};
+
+/**
+ * Crée les compteurs vides d'un parcours du catalogue
+ * @returns {Object} - Compteurs (sérialisables en JSON)
+ */
+export function createAccumulator() {
+    return {
+        movieCount: 0,
+        genres: {},
+        scores: new Array(10).fill(0),
+        decades: {},
+        directors: {}
+    };
+}
+
+/**
+ * Lit le score IMDb d'un film (renvoyé sous forme de texte par l'API)
+ * @param {Object} movie - Film
+ * @returns {number|null} - Score entre 0 et 10, ou null s'il est inconnu
+ */
+function readScore(movie) {
+    if (movie.imdb_score === null || movie.imdb_score === undefined || movie.imdb_score === '') {
+        return null;
+    }
+    const score = Number(movie.imdb_score);
+    return Number.isFinite(score) && score >= 0 && score <= 10 ? score : null;
+}
+
+/**
+ * Ajoute une page de films aux compteurs
+ * @param {Object} accumulator - Compteurs créés par createAccumulator (modifiés)
+ * @param {Array} movies - Films de la page
+ * @returns {Object} - Compteurs mis à jour
+ */
+export function accumulateMovies(accumulator, movies) {
+    movies.forEach(movie => {
+        const score = readScore(movie);
+        const year = Number(movie.year);
+        accumulator.movieCount++;
+
+        (movie.genres || []).forEach(genre => {
+            accumulator.genres[genre] = (accumulator.genres[genre] || 0) + 1;
+        });
+
+        if (score !== null) {
+            // Un score de 10 compte dans la dernière tranche (9 à 10)
+            accumulator.scores[Math.min(Math.floor(score), 9)]++;
+
+            if (Number.isFinite(year) && year > 0) {
+                const decade = Math.floor(year / 10) * 10;
+                const entry = accumulator.decades[decade] || (accumulator.decades[decade] = { count: 0, total: 0 });
+                entry.count++;
+                entry.total += score;
+            }
+        }
+
+        (movie.directors || []).forEach(name => {
+            const entry = accumulator.directors[name] || (accumulator.directors[name] = { count: 0, scored: 0, total: 0 });
+            entry.count++;
+            if (score !== null) {
+                entry.scored++;
+                entry.total += score;
+            }
+        });
+    });
+
+    return accumulator;
+}
+
+/**
+ * Calcule les statistiques affichées à partir des compteurs
+ * @param {Object} accumulator - Compteurs remplis par accumulateMovies
+ * @param {Array<string>} genreNames - Genres de /genres/ (affichés même sans film)
+ * @returns {Object} - Statistiques : movieCount, genres, scores, decades, topDirectors, bestDirectors
+ */
+export function summarizeStats(accumulator, genreNames = []) {
+    const genreCounts = { ...Object.fromEntries(genreNames.map(name => [name, 0])), ...accumulator.genres };
+
+    const directors = Object.entries(accumulator.directors).map(([name, { count, scored, total }]) => ({
+        name,
+        count,
+        scored,
+        averageScore: scored > 0 ? total / scored : null
+    }));
+    const byScore = (a, b) => (b.averageScore ?? -1) - (a.averageScore ?? -1);
+
+    return {
+        movieCount: accumulator.movieCount,
+        genres: Object.entries(genreCounts)
+            .map(([name, count]) => ({ name, count }))
+            .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name)),
+        scores: accumulator.scores.map((count, bucket) => ({ min: bucket, max: bucket + 1, count })),
+        decades: Object.entries(accumulator.decades)
+            .map(([decade, { count, total }]) => ({ decade: Number(decade), count, averageScore: total / count }))
+            .sort((a, b) => a.decade - b.decade),
+        topDirectors: [...directors]
+            .sort((a, b) => b.count - a.count || byScore(a, b) || a.name.localeCompare(b.name))
+            .slice(0, STATS_CONFIG.topDirectors),
+        bestDirectors: directors
+            .filter(director => director.scored >= STATS_CONFIG.minDirectorMovies)
+            .sort((a, b) => byScore(a, b) || b.count - a.count || a.name.localeCompare(b.name))
+            .slice(0, STATS_CONFIG.topDirectors)
+    };
+}
+
+/**
+ * Lit les statistiques enregistrées pour l'API courante
+ * @param {number} now - Date courante en ms (pour les tests)
+ * @returns {{summary: Object, savedAt: number}|null} - Statistiques, ou null si absentes ou trop anciennes
+ */
+export function readCachedStats(now = Date.now()) {
+    try {
+        const raw = window.localStorage.getItem(STATS_CONFIG.storageKey);
+        const cached = raw ? JSON.parse(raw) : null;
+
+        if (!cached || cached.baseUrl !== apiClient.baseUrl || now - cached.savedAt > STATS_CONFIG.maxAge) {
+            return null;
+        }
+        return { summary: cached.summary, savedAt: cached.savedAt };
+    } catch (error) {
+        console.warn('Statistiques enregistrées illisibles, ignorées:', error);
+        return null;
+    }
+}
+
+/**
+ * Enregistre les statistiques calculées
+ * @param {Object} summary - Statistiques renvoyées par summarizeStats
+ * @param {number} savedAt - Date du calcul en ms
+ */
+export function writeCachedStats(summary, savedAt = Date.now()) {
+    try {
+        window.localStorage.setItem(STATS_CONFIG.storageKey, JSON.stringify({ baseUrl: apiClient.baseUrl, savedAt, summary }));
+    } catch (error) {
+        console.error('Impossible d\'enregistrer les statistiques du catalogue:', error);
+    }
+}
+
+/**
+ * Crée l'état d'un parcours du catalogue (repris là où il s'est arrêté)
+ * @returns {Object} - Parcours : compteurs, genres, page suivante, nombre total de films
+ */
+export function createCrawl() {
+    return { accumulator: createAccumulator(), genres: null, next: null, total: null, done: false };
+}
+
+// Client sans cache : les pages du parcours ne doivent pas remplir le cache des réponses
+let crawlClient = null;
+
+/**
+ * Parcourt les pages de /titles/ en suivant les liens `next`
+ * Le parcours s'interrompt (sans erreur) si `shouldContinue` renvoie false, et reprend
+ * à la page suivante au prochain appel.
+ * @param {Object} crawl - Parcours créé par createCrawl (modifié)
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Signal d'annulation
+ * @param {Function} options.onProgress - Appelée avec le parcours toutes les `renderEvery` pages
+ * @param {Function} options.shouldContinue - Indique si le parcours doit se poursuivre
+ * @returns {Promise<Object>} - Parcours
+ * @throws {ApiError} - Si une page ne peut pas être récupérée
+ */
+export async function crawlCatalogue(crawl, { signal, onProgress = () => {}, shouldContinue = () => true } = {}) {
+    if (!crawlClient) {
+        crawlClient = new ApiClient({ baseUrl: apiClient.baseUrl });
+    }
+    if (!crawl.genres) {
+        crawl.genres = (await fetchGenres()).map(genre => genre.name);
+    }
+
+    // Taille des pages propre au parcours : elle ne fait pas partie des filtres de l'utilisateur
+    const firstPageParams = new URLSearchParams({ page_size: STATS_CONFIG.pageSize }).toString();
+
+    let pages = 0;
+    while (!crawl.done && shouldContinue()) {
+        const data = crawl.next
+            ? await crawlClient.request(crawl.next, { signal })
+            : await crawlClient.fetchPage(crawlClient.endpoints.titles, 1, firstPageParams, { signal });
+
+        accumulateMovies(crawl.accumulator, data.results || []);
+        crawl.total = data.count ?? crawl.accumulator.movieCount;
+        crawl.next = data.next;
+        crawl.done = !data.next;
+
+        pages++;
+        if (!crawl.done && pages % STATS_CONFIG.renderEvery === 0) {
+            onProgress(crawl);
+        }
+    }
+
+    return crawl;
+}
+
+/**
+ * Tableau de bord des statistiques (vue `stats`)
+ */
+class StatsPage {
+    constructor() {
+        this.section = document.querySelector('.stats-page');
+        this.progress = this.section.querySelector('.stats-page__progress-bar');
+        this.progressText = this.section.querySelector('.stats-page__progress-text');
+        this.refreshButton = this.section.querySelector('.stats-page__refresh');
+        this.charts = this.section.querySelector('.stats-page__charts');
+
+        this.state = new SectionState(this.section, {
+            statusBefore: this.charts,
+            name: 'stats'
+        });
+        // Parcours en cours, conservé pour reprendre là où il s'est arrêté
+        this.crawl = null;
+
+        this.refreshButton.addEventListener('click', () => {
+            this.crawl = createCrawl();
+            this.load();
+        });
+    }
+
+    /**
+     * Affiche les statistiques enregistrées, ou lance (ou reprend) leur calcul
+     */
+    show() {
+        const cached = readCachedStats();
+
+        if (cached && !(this.crawl && !this.crawl.done)) {
+            this.renderCharts(cached.summary);
+            this.renderProgress(cached.summary.movieCount, cached.summary.movieCount, t('stats.savedAt', { date: formatDate(cached.savedAt) }));
+            this.state.setState(SECTION_STATES.READY);
+            return;
+        }
+
+        if (!this.crawl || this.crawl.done) {
+            this.crawl = createCrawl();
+        }
+        this.load();
+    }
+
+    /**
+     * Calcule les statistiques, graphiques redessinés au fil des pages
+     * Le calcul s'interrompt quand la vue est quittée et reprend au retour.
+     */
+    async load() {
+        const crawl = this.crawl;
+        this.refreshButton.disabled = true;
+
+        await this.state.run(signal => crawlCatalogue(crawl, {
+            signal,
+            shouldContinue: () => !this.section.hidden && this.crawl === crawl,
+            onProgress: () => {
+                this.renderCharts(summarizeStats(crawl.accumulator, crawl.genres));
+                this.renderProgress(crawl.accumulator.movieCount, crawl.total);
+            }
+        }), () => {
+            const summary = summarizeStats(crawl.accumulator, crawl.genres);
+            if (crawl.done) {
+                writeCachedStats(summary);
+            }
+            this.renderCharts(summary);
+            this.renderProgress(summary.movieCount, crawl.total);
+            return summary.movieCount;
+        }, {
+            loading: t('stats.loading'),
+            empty: t('stats.empty'),
+            error: t('stats.error')
+        });
+
+        this.refreshButton.disabled = false;
+    }
+
+    /**
+     * Affiche l'avancement du calcul
+     * @param {number} loaded - Films analysés
+     * @param {number|null} total - Films du catalogue
+     * @param {string} detail - Précision affichée après l'avancement (facultatif)
+     */
+    renderProgress(loaded, total, detail = '') {
+        const count = total || loaded;
+
+        this.progress.max = Math.max(count, 1);
+        this.progress.value = loaded;
+        this.progressText.textContent = [
+            loaded < count
+                ? t('stats.progress', { loaded: formatNumber(loaded), total: formatNumber(count) })
+                : t('stats.analyzed', { count: loaded }),
+            detail
+        ].filter(Boolean).join(' ');
+    }
+
+    /**
+     * Dessine les graphiques des statistiques
+     * @param {Object} summary - Statistiques renvoyées par summarizeStats
+     */
+    renderCharts(summary) {
+        const score = value => formatNumber(value, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+        const directorTooltip = ({ name, count, averageScore }) => t('stats.directorTooltip', {
+            name,
+            movies: t('stats.movieCount', { count }),
+            score: averageScore === null ? t('stats.noScore') : score(averageScore)
+        });
+
+        const charts = [
+            createBarChart({
+                title: t('stats.charts.genres'),
+                columns: { label: t('stats.columns.genre'), value: t('stats.columns.movies') },
+                data: summary.genres.map(({ name, count }) => ({
+                    label: name, value: count, tooltip: t('stats.countTooltip', { label: name, movies: t('stats.movieCount', { count }) })
+                }))
+            }),
+            createBarChart({
+                title: t('stats.charts.scores'),
+                orientation: 'vertical',
+                columns: { label: t('stats.columns.score'), value: t('stats.columns.movies') },
+                data: summary.scores.map(({ min, max, count }) => {
+                    const label = t('stats.scoreRange', { min, max });
+                    return { label, value: count, tooltip: t('stats.countTooltip', { label, movies: t('stats.movieCount', { count }) }) };
+                })
+            }),
+            createBarChart({
+                title: t('stats.charts.decades'),
+                orientation: 'vertical',
+                maxValue: 10,
+                columns: { label: t('stats.columns.decade'), value: t('stats.columns.averageScore') },
+                data: summary.decades.map(({ decade, count, averageScore }) => ({
+                    label: t('stats.decade', { decade }),
+                    value: averageScore,
+                    valueLabel: score(averageScore),
+                    tooltip: t('stats.decadeTooltip', { decade, score: score(averageScore), movies: t('stats.movieCount', { count }) })
+                }))
+            }),
+            createBarChart({
+                title: t('stats.charts.topDirectors'),
+                columns: { label: t('stats.columns.director'), value: t('stats.columns.movies') },
+                data: summary.topDirectors.map(director => ({ label: director.name, value: director.count, tooltip: directorTooltip(director) }))
+            }),
+            createBarChart({
+                title: t('stats.charts.bestDirectors', { count: STATS_CONFIG.minDirectorMovies }),
+                maxValue: 10,
+                columns: { label: t('stats.columns.director'), value: t('stats.columns.averageScore') },
+                data: summary.bestDirectors.map(director => ({
+                    label: director.name, value: director.averageScore, valueLabel: score(director.averageScore), tooltip: directorTooltip(director)
+                }))
+            })
+        ];
+
+        this.charts.innerHTML = '';
+        this.charts.append(...charts);
+    }
+}
+
+// Instance unique, créée à la première visite du tableau de bord
+let statsPage = null;
+
+/**
+ * Affiche le tableau de bord des statistiques (appelé par le routeur)
+ */
+export function showStatsPage() {
+    if (!statsPage) {
+        statsPage = new StatsPage();
+    }
+    statsPage.show();
+}
@@ -0,0 +1,49 @@
+/**
+ * Module de file d'attente de tâches asynchrones
+ * Limite le nombre de chargements lancés en même temps
+ */
+
+/**
+ * File de tâches exécutées en parallèle, dans l'ordre d'ajout,
+ * sans dépasser une limite de tâches simultanées
+ */
+export class TaskQueue {
+    /**
+     * @param {number} concurrency - Nombre maximal de tâches simultanées
+     */
+    constructor(concurrency = 4) {
+        this.concurrency = Math.max(1, concurrency);
+        this.running = 0;
+        this.pending = [];
+    }
+
+    /**
+     * Ajoute une tâche à la file
+     * @param {Function} task - Fonction async à exécuter
+     * @returns {Promise<*>} - Résultat de la tâche, une fois exécutée
+     */
+    add(task) {
+        return new Promise((resolve, reject) => {
+            this.pending.push({ task, resolve, reject });
+            this.next();
+        });
+    }
+
+    /**
+     * Démarre les tâches en attente tant que la limite n'est pas atteinte
+     */
+    next() {
+        while (this.running < this.concurrency && this.pending.length > 0) {
+            const { task, resolve, reject } = this.pending.shift();
+            this.running++;
+
+            Promise.resolve()
+                .then(task)
+                .then(resolve, reject)
+                .finally(() => {
+                    this.running--;
+                    this.next();
+                });
+        }
+    }
+}
@@ -3,6 +3,10 @@
  * Gère la création et la manipulation des éléments visuels
  */
 
+import { isFavorite, updateFavoriteButton } from './favorites.js';
+import { isCompared, updateCompareButton } from './compare-list.js';
+import { t } from './i18n.js';
+
 /**
  * URL de l'image de remplacement en cas d'erreur de chargement
  * @param {string} text - Texte à afficher dans l'image de remplacement
@@ -64,17 +68,241 @@ export function createMovieCard(movie) {
     const img = movieCard.querySelector('.movie-image');
     const title = movieCard.querySelector('.movie-title');
     const button = movieCard.querySelector('.details-btn');
+    const favoriteButton = movieCard.querySelector('.favorite-btn');
+    const compareButton = movieCard.querySelector('.compare-btn');
     
     // Remplir avec les données du film
     title.textContent = movie.title;
     button.dataset.movieId = movie.id;
+    button.setAttribute('aria-label', t('common.detailsOf', { title: movie.title }));
+    setupFavoriteButton(favoriteButton, movie);
+    setupCompareButton(compareButton, movie);
+    
+    // Charger l'affiche seulement à l'approche de l'écran (cartes hors champ d'un carrousel, bas de page)
+    img.loading = 'lazy';
     
     // Configurer l'image avec gestion d'erreur
-    setupImage(img, movie.image_url, `Affiche ${movie.title}`, 300, 300);
+    setupImage(img, movie.image_url, t('common.poster', { title: movie.title }), 300, 300);
     
     return movieCard;
 }
 
+/**
+ * Configure un bouton cœur ("Ma liste") pour un film
+ * @param {HTMLButtonElement} button - Bouton cœur
+ * @param {Object} movie - Film (id, title, image_url)
+ */
+export function setupFavoriteButton(button, movie) {
+    if (!button) {
+        return;
+    }
+    
+    button.dataset.movieId = movie.id;
+    button.dataset.movieTitle = movie.title;
+    button.dataset.movieImage = movie.image_url || '';
+    updateFavoriteButton(button, isFavorite(movie.id));
+}
+
+/**
+ * Configure un bouton "Comparer" pour un film
+ * @param {HTMLButtonElement} button - Bouton "Comparer"
+ * @param {Object} movie - Film (id, title, image_url)
+ */
+export function setupCompareButton(button, movie) {
+    if (!button) {
+        return;
+    }
+    
+    button.dataset.movieId = movie.id;
+    button.dataset.movieTitle = movie.title;
+    button.dataset.movieImage = movie.image_url || '';
+    updateCompareButton(button, isCompared(movie.id));
+}
+
+/**
+ * Crée une carte de chargement (skeleton) affichée en attendant un film
+ * @returns {HTMLElement} - Carte de chargement
+ */
+export function createSkeletonCard() {
+    const skeleton = document.createElement('div');
+    skeleton.className = 'movie-card movie-card--skeleton';
+    skeleton.setAttribute('aria-hidden', 'true');
+    return skeleton;
+}
+
+/**
+ * Carrousel horizontal de cartes de films
+ * Le défilement repose sur le scroll natif de la piste (glissement tactile
+ * et molette inclus) ; les flèches et le clavier le pilotent carte par carte.
+ */
+export class Carousel {
+    /**
+     * @param {string} label - Nom accessible du carrousel (ex: nom de la catégorie)
+     * @param {Function} onReachEnd - Callback async appelé en fin de piste ; renvoie false s'il n'y a plus de films
+     */
+    constructor(label, onReachEnd = null) {
+        this.onReachEnd = onReachEnd;
+        this.loadingMore = false;
+        this.hasMore = Boolean(onReachEnd);
+        
+        this.element = document.createElement('div');
+        this.element.className = 'carousel';
+        
+        this.prevButton = this.createArrow('prev', t('carousel.previous'), '‹');
+        this.nextButton = this.createArrow('next', t('carousel.next'), '›');
+        
+        // La piste garde la classe movies-grid pour rester compatible avec les sélecteurs des catégories
+        this.track = document.createElement('div');
+        this.track.className = 'movies-grid carousel__track';
+        this.track.tabIndex = 0;
+        this.track.setAttribute('role', 'group');
+        this.track.setAttribute('aria-roledescription', t('carousel.roleDescription'));
+        this.track.setAttribute('aria-label', label);
+        
+        this.element.appendChild(this.prevButton);
+        this.element.appendChild(this.track);
+        this.element.appendChild(this.nextButton);
+        
+        this.initEventListeners();
+    }
+    
+    /**
+     * Crée une flèche de navigation
+     * @param {string} direction - 'prev' ou 'next'
+     * @param {string} label - Libellé accessible
+     * @param {string} symbol - Symbole affiché
+     * @returns {HTMLButtonElement} - Bouton flèche
+     */
+    createArrow(direction, label, symbol) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `carousel__arrow carousel__arrow--${direction}`;
+        button.setAttribute('aria-label', label);
+        button.textContent = symbol;
+        return button;
+    }
+    
+    /**
+     * Initialise les flèches, le clavier et la détection de fin de piste
+     */
+    initEventListeners() {
+        this.prevButton.addEventListener('click', () => this.scrollByPage(-1));
+        this.nextButton.addEventListener('click', () => this.scrollByPage(1));
+        
+        this.track.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowRight') {
+                e.preventDefault();
+                this.scrollByCard(1);
+            } else if (e.key === 'ArrowLeft') {
+                e.preventDefault();
+                this.scrollByCard(-1);
+            }
+        });
+        
+        this.track.addEventListener('scroll', () => {
+            this.refresh();
+            if (this.isNearEnd()) {
+                this.loadMore();
+            }
+        }, { passive: true });
+        
+        // Écouteur global : retiré par destroy() quand le carrousel quitte la page
+        this.handleResize = () => this.refresh();
+        window.addEventListener('resize', this.handleResize);
+    }
+    
+    /**
+     * Libère le carrousel avant son retrait de la page (écouteur de redimensionnement)
+     */
+    destroy() {
+        window.removeEventListener('resize', this.handleResize);
+        this.hasMore = false;
+    }
+    
+    /**
+     * Largeur d'une carte, espacement compris
+     * @returns {number} - Largeur en pixels
+     */
+    cardWidth() {
+        const card = this.track.querySelector('.movie-card');
+        if (!card) {
+            return this.track.clientWidth;
+        }
+        const gap = parseFloat(getComputedStyle(this.track).columnGap) || 0;
+        return card.getBoundingClientRect().width + gap;
+    }
+    
+    /**
+     * Fait défiler la piste d'une carte
+     * @param {number} direction - 1 pour avancer, -1 pour reculer
+     */
+    scrollByCard(direction) {
+        this.track.scrollBy({ left: direction * this.cardWidth(), behavior: 'smooth' });
+    }
+    
+    /**
+     * Fait défiler la piste d'un écran
+     * @param {number} direction - 1 pour avancer, -1 pour reculer
+     */
+    scrollByPage(direction) {
+        this.track.scrollBy({ left: direction * this.track.clientWidth, behavior: 'smooth' });
+        
+        // Sur la dernière page visible, la flèche suivante charge les films suivants
+        if (direction > 0 && this.isNearEnd()) {
+            this.loadMore();
+        }
+    }
+    
+    /**
+     * Indique si la fin de la piste est visible (à une carte près)
+     * @returns {boolean}
+     */
+    isNearEnd() {
+        const { scrollLeft, clientWidth, scrollWidth } = this.track;
+        return scrollLeft + clientWidth >= scrollWidth - this.cardWidth();
+    }
+    
+    /**
+     * Demande les films suivants au propriétaire du carrousel
+     */
+    async loadMore() {
+        if (!this.hasMore || this.loadingMore) {
+            return;
+        }
+        
+        this.loadingMore = true;
+        this.track.setAttribute('aria-busy', 'true');
+        
+        try {
+            this.hasMore = (await this.onReachEnd()) !== false;
+        } catch (error) {
+            console.error('Erreur lors du chargement des films suivants:', error);
+        } finally {
+            this.loadingMore = false;
+            this.track.removeAttribute('aria-busy');
+            this.refresh();
+        }
+    }
+    
+    /**
+     * Met à jour l'état des flèches selon la position de défilement
+     */
+    refresh() {
+        const { scrollLeft, clientWidth, scrollWidth } = this.track;
+        this.prevButton.disabled = scrollLeft <= 0;
+        this.nextButton.disabled = !this.hasMore && scrollLeft + clientWidth >= scrollWidth - 1;
+    }
+    
+    /**
+     * Revient au début de la piste (nouveau contenu)
+     */
+    reset() {
+        this.track.scrollLeft = 0;
+        this.hasMore = Boolean(this.onReachEnd);
+        this.refresh();
+    }
+}
+
 /**
  * Crée un sélecteur de genre (dropdown) avec un label
  * @param {Array} genres - Liste des genres [{label: string, value: string}]
@@ -87,7 +315,7 @@ export function createGenreDropdown(genres, defaultGenre, onSelect) {
     titleWrapper.className = 'category-title';
     
     const label = document.createElement('span');
-    label.textContent = 'Autres: ';
+    label.textContent = t('categories.others');
     
     const select = document.createElement('select');
     select.className = 'genre-dropdown';
@@ -120,6 +348,24 @@ export function createGenreDropdown(genres, defaultGenre, onSelect) {
     return titleWrapper;
 }
 
+/**
+ * Affiche ou retire l'indicateur de chargement d'un menu déroulant de genres
+ * Le menu reste utilisable pendant le chargement (le désactiver lui ferait perdre
+ * le focus clavier) : choisir un autre genre annule simplement le chargement en cours.
+ * @param {HTMLElement} titleWrapper - Titre contenant le menu (voir createGenreDropdown)
+ * @param {boolean} loading - true pendant le chargement des films
+ */
+export function setGenreDropdownLoading(titleWrapper, loading) {
+    const select = titleWrapper.querySelector('.genre-dropdown');
+    
+    titleWrapper.classList.toggle('category-title--loading', loading);
+    if (loading) {
+        select.setAttribute('aria-busy', 'true');
+    } else {
+        select.removeAttribute('aria-busy');
+    }
+}
+
 /**
  * Crée un conteneur de catégorie avec titre et grille
  * @param {string} categoryId - Identifiant unique de la catégorie
@@ -144,15 +390,28 @@ export function createCategoryContainer(categoryId, categoryTitle) {
     return container;
 }
 
+/**
+ * Affiche une vue de la page et masque les autres
+ * Les vues sont les éléments portant un attribut `data-view`.
+ * @param {string} viewName - Nom de la vue à afficher ('home', 'category', 'search')
+ */
+export function showView(viewName) {
+    document.querySelectorAll('[data-view]').forEach(section => {
+        section.hidden = section.dataset.view !== viewName;
+    });
+    window.scrollTo(0, 0);
+}
+
 /**
  * Met à jour l'affichage du meilleur film
  * @param {Object} movie - Données complètes du film
+ * @param {HTMLElement} container - Bannière à remplir (par défaut : .best-movie de la page)
  */
-export function updateBestMovieDisplay(movie) {
-    const imageElement = document.querySelector('.best-movie-image');
-    const titleElement = document.querySelector('.best-movie-title');
-    const descriptionElement = document.querySelector('.best-movie-description');
-    const buttonElement = document.querySelector('.best-movie .details-button');
+export function updateBestMovieDisplay(movie, container = document.querySelector('.best-movie')) {
+    const imageElement = container && container.querySelector('.best-movie-image');
+    const titleElement = container && container.querySelector('.best-movie-title');
+    const descriptionElement = container && container.querySelector('.best-movie-description');
+    const buttonElement = container && container.querySelector('.details-button');
     
     if (!imageElement || !titleElement || !descriptionElement || !buttonElement) {
         console.error('Éléments du meilleur film non trouvés dans le DOM');
@@ -161,12 +420,31 @@ export function updateBestMovieDisplay(movie) {
     
     // Mettre à jour l'image
     imageElement.width = 225;
-    setupImage(imageElement, movie.image_url, `Affiche ${movie.title}`, 225, 338);
+    setupImage(imageElement, movie.image_url, t('common.poster', { title: movie.title }), 225, 338);
     
     // Mettre à jour les textes
-    titleElement.textContent = movie.title || 'Titre inconnu';
-    descriptionElement.textContent = movie.long_description || movie.description || 'Aucune description disponible.';
+    titleElement.textContent = movie.title || t('common.unknownTitle');
+    descriptionElement.textContent = movie.long_description || movie.description || t('bestMovie.noDescription');
     buttonElement.dataset.movieId = movie.id;
+    buttonElement.setAttribute('aria-label', t('common.detailsOf', { title: movie.title }));
     
     console.log('Meilleur film affiché:', movie.title);
 }
+
+/**
+ * Annonce un message aux lecteurs d'écran via la zone live de la page
+ * @param {string} message - Message à annoncer
+ */
+export function announce(message) {
+    const announcer = document.getElementById('live-announcer');
+    
+    if (!announcer) {
+        return;
+    }
+    
+    // Vider la zone puis la remplir pour qu'un message identique soit annoncé de nouveau
+    announcer.textContent = '';
+    setTimeout(() => {
+        announcer.textContent = message;
+    }, 50);
+}
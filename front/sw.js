@@ -0,0 +1,244 @@
+/**
+ * Service worker de JustStreamIt
+ * - Précharge l'interface (HTML, CSS, scripts, logo) pour l'ouvrir sans réseau
+ * - Réponses de l'API (/titles/, /genres/) : réseau d'abord, puis dernier catalogue consulté
+ * - Affiches : cache d'abord, puis image de remplacement SVG si l'image est introuvable
+ * La page est prévenue à chaque réponse de l'API si celle-ci est joignable ou non
+ * (voir scripts/offline.js).
+ */
+
+// Changer la version vide les caches de la version précédente à l'activation
+const CACHE_VERSION = 'v2';
+
+const CACHE_NAMES = {
+    shell: `jsi-shell-${CACHE_VERSION}`,
+    api: `jsi-api-${CACHE_VERSION}`,
+    images: `jsi-images-${CACHE_VERSION}`
+};
+
+// Fichiers de l'interface précachés à l'installation (tout nouveau script doit être ajouté ici)
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'style.css',
+    'logo.png',
+    'config/home-layout.json',
+    'scripts/api.js',
+    'scripts/cache.js',
+    'scripts/categories.js',
+    'scripts/charts.js',
+    'scripts/compare-list.js',
+    'scripts/compare.js',
+    'scripts/favorites.js',
+    'scripts/filters.js',
+    'scripts/formatting.js',
+    'scripts/hero.js',
+    'scripts/i18n.js',
+    'scripts/infinite-list.js',
+    'scripts/latest-request.js',
+    'scripts/layout-config.js',
+    'scripts/layout-editor.js',
+    'scripts/locales/en.js',
+    'scripts/locales/fr.js',
+    'scripts/main.js',
+    'scripts/modal.js',
+    'scripts/offline.js',
+    'scripts/person-page.js',
+    'scripts/query-builder.js',
+    'scripts/recommendations.js',
+    'scripts/router.js',
+    'scripts/search.js',
+    'scripts/section-state.js',
+    'scripts/stats.js',
+    'scripts/task-queue.js',
+    'scripts/ui-components.js'
+];
+
+// Routes de l'API mises en cache (réseau d'abord)
+const API_PATTERN = /\/api\/v1\/(titles|genres)\//;
+
+// Nombre maximal d'affiches conservées
+const MAX_CACHED_IMAGES = 300;
+
+// Texte des affiches de remplacement, selon la langue de l'interface (voir le message 'locale')
+const FALLBACK_LABELS = {
+    fr: 'Image non disponible',
+    en: 'Image not available'
+};
+
+let fallbackLabel = FALLBACK_LABELS[(self.navigator.language || '').slice(0, 2)] || FALLBACK_LABELS.fr;
+
+/**
+ * Crée une affiche de remplacement SVG, comme createFallbackImageUrl (ui-components.js)
+ * @param {string} text - Texte affiché dans l'image
+ * @param {number} width - Largeur de l'image
+ * @param {number} height - Hauteur de l'image
+ * @returns {Response} - Réponse contenant l'image SVG
+ */
+function createFallbackImage(text, width = 300, height = 300) {
+    const escapedText = text.replace(/[&<>]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;' })[char]);
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">`
+        + `<rect width="${width}" height="${height}" fill="#666666"/>`
+        + `<text x="50%" y="50%" dominant-baseline="middle" text-anchor="middle" font-family="Arial" font-size="20" fill="white">${escapedText}</text>`
+        + '</svg>';
+
+    return new Response(svg, { headers: { 'Content-Type': 'image/svg+xml' } });
+}
+
+/**
+ * Indique à la page à l'origine d'une requête si l'API a répondu
+ * @param {string} clientId - Identifiant de la page (FetchEvent.clientId)
+ * @param {boolean} online - true si l'API a répondu, false si elle est injoignable
+ */
+async function notifyApiStatus(clientId, online) {
+    const client = clientId ? await self.clients.get(clientId) : null;
+    if (client) {
+        client.postMessage({ type: 'api-status', online });
+    }
+}
+
+/**
+ * Réponse de l'API : réseau d'abord, puis dernière réponse mise en cache
+ * @param {FetchEvent} event - Événement de la requête vers /titles/ ou /genres/
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(event) {
+    const { request, clientId } = event;
+    const cache = await caches.open(CACHE_NAMES.api);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+        }
+        notifyApiStatus(clientId, true);
+        return response;
+    } catch (error) {
+        notifyApiStatus(clientId, false);
+
+        const cached = await cache.match(request);
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Affiche : cache d'abord, puis réseau, puis image de remplacement
+ * @param {Request} request - Requête d'image
+ * @returns {Promise<Response>}
+ */
+async function cacheFirstImage(request) {
+    const cache = await caches.open(CACHE_NAMES.images);
+
+    // Le logo est précaché avec l'interface : chercher dans tous les caches
+    const cached = await caches.match(request);
+
+    if (cached) {
+        return cached;
+    }
+
+    try {
+        const response = await fetch(request);
+
+        if (response.ok) {
+            await cache.put(request, response.clone());
+            trimCache(cache, MAX_CACHED_IMAGES);
+            return response;
+        }
+
+        // Affiche d'un autre domaine (réponse opaque) : son statut est inconnu, une erreur 404
+        // serait servie indéfiniment ; elle est transmise sans être mise en cache
+        if (response.type === 'opaque') {
+            return response;
+        }
+    } catch (error) {
+        // Réseau indisponible : image de remplacement
+    }
+
+    return createFallbackImage(fallbackLabel);
+}
+
+/**
+ * Fichiers de l'interface : cache d'abord, mis à jour en arrière-plan
+ * Une nouvelle version des fichiers est donc utilisée au chargement suivant.
+ * @param {FetchEvent} event - Événement de la requête
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event) {
+    const cache = await caches.open(CACHE_NAMES.shell);
+
+    // Les paramètres de l'URL (?api=...) ne changent pas les fichiers servis
+    const cached = await cache.match(event.request, { ignoreSearch: true });
+
+    const update = fetch(event.request)
+        .then(response => {
+            if (response.ok) {
+                return cache.put(event.request, response.clone()).then(() => response);
+            }
+            return response;
+        });
+
+    if (cached) {
+        event.waitUntil(update.catch(() => {}));
+        return cached;
+    }
+
+    return update;
+}
+
+/**
+ * Supprime les entrées les plus anciennes d'un cache au-delà d'une taille maximale
+ * @param {Cache} cache - Cache à réduire
+ * @param {number} maxEntries - Nombre maximal d'entrées
+ */
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAMES.shell)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const currentCaches = Object.values(CACHE_NAMES);
+
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('jsi-') && !currentCaches.includes(key))
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    // La page indique sa langue pour le texte des affiches de remplacement
+    if (event.data && event.data.type === 'locale' && FALLBACK_LABELS[event.data.locale]) {
+        fallbackLabel = FALLBACK_LABELS[event.data.locale];
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    const url = new URL(request.url);
+
+    if (API_PATTERN.test(url.pathname)) {
+        event.respondWith(networkFirst(event));
+    } else if (request.destination === 'image') {
+        event.respondWith(cacheFirstImage(request));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(staleWhileRevalidate(event));
+    }
+});
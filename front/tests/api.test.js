@@ -0,0 +1,72 @@
+/**
+ * Tests du client API : pagination des genres et requêtes mutualisées
+ * Lancement : npm test (depuis front/)
+ */
+
+import { dom, mockFetch, paginate, flush } from './helpers/dom.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { apiClient, fetchGenres } from '../scripts/api.js';
+
+const GENRES = ['Action', 'Comedy', 'Drama', 'Horror', 'Mystery', 'Romance', 'Sci-Fi', 'Thriller', 'War', 'Western', 'Family']
+    .map((name, index) => ({ id: index + 1, name }));
+
+beforeEach(() => {
+    apiClient.cache.clear();
+    dom.window.localStorage.clear();
+});
+
+test('fetchGenres suit les liens next jusqu\'à la dernière page', async () => {
+    const calls = mockFetch(url => ({ body: paginate(GENRES, url) }));
+
+    const genres = await fetchGenres();
+
+    assert.deepEqual(genres.map(genre => genre.name), GENRES.map(genre => genre.name));
+    assert.deepEqual(calls.map(url => url.searchParams.get('page')), ['1', '2', '3']);
+});
+
+test('fetchGenres s\'arrête au nombre maximal de pages, même si l\'API en annonce d\'autres', async () => {
+    const calls = mockFetch(url => ({ body: paginate(GENRES, url) }));
+
+    const genres = await fetchGenres(2);
+
+    assert.equal(calls.length, 2);
+    assert.deepEqual(genres.map(genre => genre.id), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+});
+
+test('fetchGenres s\'arrête sur une page sans lien next ou sans résultats', async () => {
+    let calls = mockFetch(() => ({ body: { count: 2, next: null, previous: null, results: GENRES.slice(0, 2) } }));
+    assert.equal((await fetchGenres()).length, 2);
+    assert.equal(calls.length, 1);
+
+    apiClient.cache.clear();
+    calls = mockFetch(() => ({ body: {} }));
+    assert.deepEqual(await fetchGenres(), []);
+    assert.equal(calls.length, 1);
+});
+
+test('fetchGenres rejette une erreur typée si une page est introuvable', async () => {
+    mockFetch(() => ({ status: 404, body: { detail: 'Not found.' } }));
+
+    await assert.rejects(fetchGenres(), { name: 'NotFoundError' });
+});
+
+test('une requête annulée puis redemandée (genre A, B puis A) est relancée', async () => {
+    const calls = mockFetch(async (url) => {
+        await flush(10);
+        return { body: paginate([{ id: 1, name: url.searchParams.get('genre') }], url) };
+    });
+
+    // Choix rapide de A puis B : la requête de A n'a plus d'abonné et est annulée
+    const first = new AbortController();
+    const requestA = apiClient.request('/titles/', { queryParams: 'genre=A', signal: first.signal });
+    first.abort();
+    await assert.rejects(requestA, { name: 'AbortError' });
+
+    // Retour à A avant la fin de la requête annulée
+    const data = await apiClient.request('/titles/', { queryParams: 'genre=A', signal: new AbortController().signal });
+
+    assert.equal(data.results[0].name, 'A');
+    assert.equal(calls.length, 2);
+});
@@ -0,0 +1,53 @@
+/**
+ * Tests du cache des réponses : éviction des entrées en mémoire et stockage indisponible ou plein
+ * Lancement : npm test (depuis front/)
+ */
+
+import './helpers/dom.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ResponseCache } from '../scripts/cache.js';
+
+test('la mémoire garde les entrées les plus récemment utilisées', () => {
+    const cache = new ResponseCache({ maxMemoryEntries: 2 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+
+    // Lire "a" le rend plus récent que "b", qui est retiré à l'ajout de "c"
+    assert.equal(cache.get('a').data, 1);
+    cache.set('c', 3);
+
+    assert.deepEqual(Array.from(cache.memory.keys()), ['a', 'c']);
+    assert.equal(cache.get('b'), null);
+});
+
+test('clear() vide la mémoire même si le stockage persistant est inaccessible', () => {
+    const storage = {
+        length: 1,
+        key: () => 'jsi-cache:a',
+        getItem: () => null,
+        setItem: () => {},
+        removeItem: () => { throw new Error('SecurityError'); }
+    };
+    const cache = new ResponseCache({ persist: true, storage });
+    cache.set('a', 1);
+
+    assert.doesNotThrow(() => cache.clear());
+    assert.equal(cache.memory.size, 0);
+});
+
+test('set() réussit même si le stockage refuse écritures et suppressions', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const storage = {
+        length: 1,
+        key: () => 'jsi-cache:a',
+        getItem: () => JSON.stringify({ data: 0, storedAt: 0 }),
+        setItem: () => { throw new Error('QuotaExceededError'); },
+        removeItem: () => { throw new Error('SecurityError'); }
+    };
+    const cache = new ResponseCache({ persist: true, storage, maxPersistedEntries: 0 });
+
+    assert.doesNotThrow(() => cache.set('b', 1));
+    assert.equal(cache.get('b').data, 1);
+});
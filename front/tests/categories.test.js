@@ -0,0 +1,117 @@
+/**
+ * Tests des catégories : récupération de plusieurs pages, bouton "Voir plus" et liste à défilement infini
+ * Lancement : npm test (depuis front/)
+ */
+
+import { dom, mockFetch, paginate, createMovies, flush } from './helpers/dom.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { apiClient } from '../scripts/api.js';
+import { fetchMultiplePages, createFixedCategory } from '../scripts/categories.js';
+import { InfiniteMovieList } from '../scripts/infinite-list.js';
+
+const MOVIES = createMovies(23);
+
+beforeEach(() => {
+    apiClient.cache.clear();
+    dom.window.localStorage.clear();
+    dom.window.localStorage.setItem('jsi-locale', 'fr');
+});
+
+/**
+ * Numéros des pages demandées à l'API
+ * @param {Array<URL>} calls - URLs demandées
+ * @returns {Array<number>}
+ */
+const pagesOf = calls => calls.map(url => Number(url.searchParams.get('page')));
+
+test('fetchMultiplePages combine les pages nécessaires et renvoie le nombre exact de films', async () => {
+    const calls = mockFetch(url => ({ body: paginate(MOVIES, url) }));
+
+    const movies = await fetchMultiplePages(7, 'sort_by=-imdb_score');
+
+    assert.deepEqual(movies.map(movie => movie.id), [1, 2, 3, 4, 5, 6, 7]);
+    assert.deepEqual(pagesOf(calls), [1, 2]);
+    assert.ok(calls.every(url => url.searchParams.get('sort_by') === '-imdb_score'));
+});
+
+test('fetchMultiplePages découpe les pages à partir du décalage demandé', async () => {
+    const calls = mockFetch(url => ({ body: paginate(MOVIES, url) }));
+
+    const movies = await fetchMultiplePages(6, '', 6);
+
+    assert.deepEqual(movies.map(movie => movie.id), [7, 8, 9, 10, 11, 12]);
+    assert.deepEqual(pagesOf(calls), [1, 2, 3]);
+});
+
+test('fetchMultiplePages ne demande pas de page au-delà du nombre total de films', async () => {
+    const calls = mockFetch(url => ({ body: paginate(MOVIES, url) }));
+
+    const movies = await fetchMultiplePages(10, '', 18);
+
+    assert.deepEqual(movies.map(movie => movie.id), [19, 20, 21, 22, 23]);
+    assert.deepEqual(pagesOf(calls), [1, 4, 5]);
+});
+
+test('fetchMultiplePages renvoie une liste vide sans autre requête si la première page est vide', async () => {
+    const calls = mockFetch(url => ({ body: paginate([], url) }));
+
+    assert.deepEqual(await fetchMultiplePages(6), []);
+    assert.equal(calls.length, 1);
+});
+
+test('le bouton "Voir plus" affiche puis masque les films supplémentaires', async () => {
+    mockFetch(url => ({ body: paginate(MOVIES, url) }));
+    document.body.insertAdjacentHTML('beforeend', '<div class="categories test-categories"></div>');
+
+    const container = await createFixedCategory('Drame', 'drama', 'genre=Drama', 6, { parentSelector: '.test-categories' });
+    const button = container.querySelector('.show-more-btn');
+    const cards = () => Array.from(container.querySelectorAll('.movies-grid .movie-card'));
+
+    assert.equal(cards().length, 6);
+    assert.equal(button.textContent, 'Voir plus');
+    assert.ok(cards().every(card => !card.classList.contains('show-all')));
+
+    button.click();
+    await flush();
+    assert.equal(button.textContent, 'Voir moins');
+    assert.equal(button.dataset.expanded, 'true');
+    assert.ok(cards().every(card => card.classList.contains('show-all')));
+    assert.match(location.hash, /expanded=drama/);
+
+    button.click();
+    await flush();
+    assert.equal(button.textContent, 'Voir plus');
+    assert.equal(button.dataset.expanded, 'false');
+    assert.ok(cards().every(card => !card.classList.contains('show-all')));
+});
+
+test('une liste détruite pendant sa première page n\'observe rien et laisse le bouton à la suivante', async () => {
+    let observers = 0;
+    dom.window.IntersectionObserver = class {
+        constructor() { observers++; }
+        observe() {}
+        disconnect() {}
+    };
+    mockFetch(async url => {
+        await flush(10);
+        return { body: paginate(MOVIES, url) };
+    });
+
+    try {
+        const button = document.createElement('button');
+        const list = new InfiniteMovieList(document.createElement('div'), button, document.createElement('p'), 'genre=A');
+        const started = list.start();
+
+        // Autre genre choisi : la liste suivante occupe le bouton pendant son chargement
+        list.destroy();
+        button.disabled = true;
+        await started;
+
+        assert.equal(observers, 0);
+        assert.equal(button.disabled, true);
+    } finally {
+        delete dom.window.IntersectionObserver;
+    }
+});
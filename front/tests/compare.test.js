@@ -0,0 +1,114 @@
+/**
+ * Tests de la comparaison de films : sélection limitée, lecture de l'URL et tableau comparatif
+ * Lancement : npm test (depuis front/)
+ */
+
+import { dom } from './helpers/dom.js';
+import { beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { toggleCompared, getComparedMovies, removeCompared, clearCompared, MAX_COMPARED_MOVIES } from '../scripts/compare-list.js';
+import { buildComparison, parseComparedIds } from '../scripts/compare.js';
+import { createMovieCard } from '../scripts/ui-components.js';
+
+const MOVIES = [
+    {
+        id: 1, title: 'Heat', year: 1995, genres: ['Crime', 'Drama'], duration: 170, imdb_score: '8.3', votes: 600000,
+        worldwide_gross_income: 187436818, directors: ['Michael Mann'], actors: ['Al Pacino', 'Robert De Niro', 'Val Kilmer']
+    },
+    {
+        id: 2, title: 'The Irishman', year: 2019, genres: ['Crime'], duration: 209, imdb_score: '7.8', votes: 400000,
+        worldwide_gross_income: null, directors: ['Martin Scorsese'], actors: ['Robert De Niro', 'Al Pacino', 'Joe Pesci']
+    },
+    {
+        id: 3, title: 'Casino', year: 1995, genres: ['Crime', 'Drama'], duration: 178, imdb_score: '8.3', votes: null,
+        worldwide_gross_income: '$ 116,112,375', directors: ['Martin Scorsese'], actors: ['Robert De Niro', 'Joe Pesci', 'Sharon Stone']
+    }
+];
+
+/**
+ * Renvoie une ligne du tableau de comparaison
+ * @param {Array} rows - Lignes renvoyées par buildComparison
+ * @param {string} key - Critère de la ligne
+ * @returns {Object} - Ligne trouvée
+ */
+function rowOf(rows, key) {
+    return rows.find(row => row.key === key);
+}
+
+beforeEach(() => {
+    dom.window.localStorage.removeItem('jsi-compare');
+});
+
+test('la sélection refuse un film de plus que la limite', () => {
+    for (let id = 1; id <= MAX_COMPARED_MOVIES; id++) {
+        assert.deepEqual(toggleCompared({ id, title: `Film ${id}` }), { selected: true, full: false });
+    }
+
+    assert.deepEqual(toggleCompared({ id: 99, title: 'Film 99' }), { selected: false, full: true });
+    assert.equal(getComparedMovies().length, MAX_COMPARED_MOVIES);
+
+    // Retirer un film libère une place
+    assert.deepEqual(toggleCompared({ id: 2, title: 'Film 2' }), { selected: false, full: false });
+    assert.deepEqual(toggleCompared({ id: 99, title: 'Film 99' }), { selected: true, full: false });
+    assert.deepEqual(getComparedMovies().map(movie => movie.id), [1, 3, 4, 99]);
+});
+
+test('removeCompared et clearCompared vident la sélection', () => {
+    toggleCompared({ id: 1, title: 'Heat' });
+    toggleCompared({ id: 2, title: 'Casino' });
+
+    removeCompared('1');
+    assert.deepEqual(getComparedMovies().map(movie => movie.id), [2]);
+
+    clearCompared();
+    assert.deepEqual(getComparedMovies(), []);
+});
+
+test('le bouton "Comparer" d\'une carte reflète la sélection', () => {
+    toggleCompared({ id: 7, title: 'Heat' });
+
+    const selected = createMovieCard({ id: 7, title: 'Heat', image_url: '' }).querySelector('.compare-btn');
+    const other = createMovieCard({ id: 8, title: 'Casino', image_url: '' }).querySelector('.compare-btn');
+
+    assert.equal(selected.getAttribute('aria-pressed'), 'true');
+    assert.match(selected.getAttribute('aria-label'), /Retirer Heat/);
+    assert.equal(other.getAttribute('aria-pressed'), 'false');
+    assert.equal(other.dataset.movieId, '8');
+});
+
+test('les IDs de l\'URL sont dédoublonnés et limités', () => {
+    assert.deepEqual(parseComparedIds('9, 42,,9,7'), ['9', '42', '7']);
+    assert.deepEqual(parseComparedIds('1,2,3,4,5,6'), ['1', '2', '3', '4']);
+    assert.deepEqual(parseComparedIds(undefined), []);
+});
+
+test('la meilleure valeur chiffrée est mise en évidence, égalités comprises', () => {
+    const rows = buildComparison(MOVIES);
+
+    assert.deepEqual(rowOf(rows, 'imdbScore').cells.map(cell => cell.best), [true, false, true]);
+    assert.deepEqual(rowOf(rows, 'votes').cells.map(cell => cell.best), [true, false, false]);
+    assert.deepEqual(rowOf(rows, 'boxOffice').cells.map(cell => cell.best), [true, false, false]);
+    assert.equal(rowOf(rows, 'year').cells.some(cell => cell.best), false);
+});
+
+test('aucune valeur n\'est mise en évidence sans point de comparaison', () => {
+    const onlyOneKnown = buildComparison([MOVIES[0], { ...MOVIES[1], votes: null }, MOVIES[2]]);
+    assert.equal(rowOf(onlyOneKnown, 'votes').cells.some(cell => cell.best), false);
+
+    const allEqual = buildComparison([MOVIES[0], MOVIES[2]]);
+    assert.equal(rowOf(allEqual, 'imdbScore').cells.some(cell => cell.best), false);
+});
+
+test('les lignes donnent les valeurs de chaque film et les acteurs en commun', () => {
+    const rows = buildComparison(MOVIES);
+
+    assert.deepEqual(rows.map(row => row.key), ['year', 'genres', 'duration', 'imdbScore', 'votes', 'boxOffice', 'directors', 'sharedActors']);
+    assert.deepEqual(rowOf(rows, 'genres').cells.map(cell => cell.text), ['Crime, Drama', 'Crime', 'Crime, Drama']);
+    assert.equal(rowOf(rows, 'boxOffice').cells[1].text, null);
+    assert.deepEqual(rowOf(rows, 'sharedActors').cells.map(cell => cell.text), [
+        'Al Pacino, Robert De Niro',
+        'Robert De Niro, Al Pacino, Joe Pesci',
+        'Robert De Niro, Joe Pesci'
+    ]);
+});
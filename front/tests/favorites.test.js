@@ -0,0 +1,36 @@
+/**
+ * Tests de "Ma liste" : lecture d'une liste enregistrée corrompue
+ * Lancement : npm test (depuis front/)
+ */
+
+import './helpers/dom.js';
+import { afterEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getFavorites, isFavorite, toggleFavorite } from '../scripts/favorites.js';
+
+afterEach(() => {
+    window.localStorage.removeItem('jsi-favorites');
+});
+
+test('une liste enregistrée qui n\'est pas un objet est ignorée', () => {
+    ['null', '42', '"texte"', '[1, 2]'].forEach(value => {
+        window.localStorage.setItem('jsi-favorites', value);
+
+        assert.deepEqual(getFavorites(), []);
+        assert.equal(isFavorite(1), false);
+    });
+});
+
+test('les entrées mal formées sont écartées et la liste reste utilisable', () => {
+    window.localStorage.setItem('jsi-favorites', JSON.stringify({
+        1: { id: 1, title: 'Film 1', addedAt: 1 },
+        2: null,
+        3: 'Film 3'
+    }));
+
+    assert.deepEqual(getFavorites().map(favorite => favorite.id), [1]);
+
+    toggleFavorite({ id: 4, title: 'Film 4' });
+    assert.deepEqual(getFavorites().map(favorite => favorite.id), [4, 1]);
+});
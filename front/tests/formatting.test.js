@@ -0,0 +1,84 @@
+/**
+ * Tests du module de formatage des montants et des durées
+ * Lancement : node --test front/tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseMoney, normalizeCurrency, formatMoney, formatBoxOffice, formatBudget, formatRuntime } from '../scripts/formatting.js';
+
+// Intl sépare les nombres et les unités par des espaces insécables : les remplacer pour comparer
+const plain = text => text.replace(/\s/g, ' ');
+
+test('les recettes sont formatées en dollars, en notation compacte', () => {
+    assert.equal(formatBoxOffice(123456789, 'en-US'), '$123.5M');
+    assert.equal(plain(formatBoxOffice(123456789, 'fr-FR')), '123,5 M $US');
+    assert.equal(formatBoxOffice(2500000000, 'en-US'), '$2.5B');
+});
+
+test('les montants inférieurs à un million sont aussi abrégés', () => {
+    assert.equal(formatBoxOffice(950000, 'en-US'), '$950K');
+    assert.equal(formatBoxOffice(500, 'en-US'), '$500');
+});
+
+test('une chaîne est lue comme un montant en unités, et non en millions', () => {
+    assert.equal(formatBoxOffice('$ 1,234,567', 'en-US'), '$1.2M');
+    assert.equal(formatBoxOffice('123.5', 'en-US'), '$123.5');
+    assert.equal(formatBoxOffice('1.234.567', 'en-US'), '$1.2M');
+});
+
+test('un montant absent, nul ou illisible renvoie null', () => {
+    [undefined, null, 0, -5, NaN, '', 'inconnu'].forEach(value => {
+        assert.equal(formatBoxOffice(value, 'en-US'), null);
+    });
+});
+
+test('les montants proches d\'un palier sont arrondis au palier supérieur', () => {
+    assert.equal(formatBoxOffice(999999, 'en-US'), '$1M');
+    assert.equal(formatBoxOffice(999950000, 'en-US'), '$1B');
+    assert.equal(formatBoxOffice(1000, 'en-US'), '$1K');
+    assert.equal(formatBoxOffice(1500.7, 'en-US'), '$1.5K');
+});
+
+test('les très petits montants ne sont pas abrégés', () => {
+    assert.equal(formatBoxOffice(1, 'en-US'), '$1');
+    assert.equal(formatBoxOffice(999, 'en-US'), '$999');
+});
+
+test('un montant infini, négatif ou fait d\'espaces renvoie null', () => {
+    [Infinity, -Infinity, -5000000, '   ', '-'].forEach(value => {
+        assert.equal(formatBoxOffice(value, 'en-US'), null);
+    });
+});
+
+test('le budget est formaté dans sa devise', () => {
+    assert.equal(formatBudget({ budget: 12500000, budget_currency: 'EUR' }, 'en-US'), '€12.5M');
+    assert.equal(formatBudget({ budget: 3000000, budget_currency: 'usd' }, 'en-US'), '$3M');
+    assert.equal(formatBudget({ budget: 3000000 }, 'en-US'), '$3M');
+    assert.equal(formatBudget({ budget: null, budget_currency: 'EUR' }, 'en-US'), null);
+});
+
+test('une devise indiquée dans la chaîne remplace la devise fournie', () => {
+    assert.deepEqual(parseMoney('EUR 2500000', 'USD'), { amount: 2500000, currency: 'EUR' });
+    assert.deepEqual(parseMoney('£4,000,000'), { amount: 4000000, currency: 'GBP' });
+});
+
+test('une devise inconnue est affichée après le montant', () => {
+    assert.equal(normalizeCurrency('US dollars'), null);
+    assert.equal(formatMoney(3000000, 'US dollars', 'en-US'), '3M US dollars');
+});
+
+test('les durées sont formatées en heures et minutes', () => {
+    assert.equal(plain(formatRuntime(135, 'fr-FR')), '2 h 15 min');
+    assert.equal(plain(formatRuntime(120, 'fr-FR')), '2 h');
+    assert.equal(plain(formatRuntime(45, 'fr-FR')), '45 min');
+    assert.equal(plain(formatRuntime('90', 'fr-FR')), '1 h 30 min');
+    assert.equal(plain(formatRuntime(135, 'en-US')), '2 hr 15 min');
+});
+
+test('une durée absente ou nulle renvoie null', () => {
+    [undefined, null, 0, -10, 'inconnue'].forEach(value => {
+        assert.equal(formatRuntime(value, 'fr-FR'), null);
+    });
+});
@@ -0,0 +1,101 @@
+/**
+ * Environnement des tests avec DOM (jsdom) et fetch simulé
+ * À importer avant les modules de l'application : ceux-ci lisent `window`,
+ * `document` et le localStorage dès leur chargement. La page chargée est
+ * index.html, templates compris ; l'interface est en français.
+ */
+
+import { JSDOM } from 'jsdom';
+import { readFileSync } from 'node:fs';
+
+const html = readFileSync(new URL('../../index.html', import.meta.url), 'utf8');
+
+export const dom = new JSDOM(html, { url: 'http://localhost/index.html', pretendToBeVisual: true });
+
+// Objets du navigateur utilisés par les scripts de l'application
+const BROWSER_GLOBALS = [
+    'window', 'document', 'navigator', 'location', 'history', 'localStorage', 'sessionStorage',
+    'Node', 'Element', 'HTMLElement', 'HTMLInputElement', 'HTMLSelectElement', 'DocumentFragment',
+    'Event', 'CustomEvent', 'KeyboardEvent', 'MouseEvent', 'MutationObserver',
+    'getComputedStyle', 'requestAnimationFrame', 'Image', 'Blob', 'FileReader'
+];
+
+BROWSER_GLOBALS.forEach(name => {
+    Object.defineProperty(globalThis, name, { value: dom.window[name], configurable: true, writable: true });
+});
+
+dom.window.scrollTo = () => {};
+dom.window.localStorage.setItem('jsi-locale', 'fr');
+
+// Les modules journalisent chaque étape : garder la sortie des tests lisible
+console.log = () => {};
+console.warn = () => {};
+
+/**
+ * Remplace fetch par une fonction renvoyant des réponses JSON
+ * @param {Function} handler - Reçoit l'URL demandée (URL) et renvoie { status, body } (200 et {} par défaut)
+ * @returns {Array<URL>} - URLs demandées, dans l'ordre des appels
+ */
+export function mockFetch(handler) {
+    const calls = [];
+
+    globalThis.fetch = async (url) => {
+        const requestUrl = new URL(url);
+        calls.push(requestUrl);
+
+        const { status = 200, body = {} } = (await handler(requestUrl)) || {};
+        return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+    };
+
+    return calls;
+}
+
+/**
+ * Crée une page de résultats au format de l'API OCMovies
+ * @param {Array} items - Éléments de toute la liste
+ * @param {URL} url - URL demandée (paramètres page et page_size)
+ * @param {number} pageSize - Taille des pages (5 par défaut, comme l'API)
+ * @returns {Object} - Page ({ count, next, previous, results })
+ */
+export function paginate(items, url, pageSize = 5) {
+    const page = Number(url.searchParams.get('page') || 1);
+    const link = (target) => {
+        const next = new URL(url);
+        next.searchParams.set('page', target);
+        return next.toString();
+    };
+
+    return {
+        count: items.length,
+        next: page * pageSize < items.length ? link(page + 1) : null,
+        previous: page > 1 ? link(page - 1) : null,
+        results: items.slice((page - 1) * pageSize, page * pageSize)
+    };
+}
+
+/**
+ * Crée une liste de films de test
+ * @param {number} count - Nombre de films
+ * @returns {Array<Object>} - Films numérotés à partir de 1 ({ id, title, image_url... })
+ */
+export function createMovies(count) {
+    return Array.from({ length: count }, (_, index) => ({
+        id: index + 1,
+        title: `Film ${index + 1}`,
+        year: 2000 + index,
+        imdb_score: '8.0',
+        image_url: `http://img.test/${index + 1}.jpg`,
+        genres: ['Drama'],
+        directors: ['Réalisateur'],
+        actors: ['Acteur']
+    }));
+}
+
+/**
+ * Attend la fin des tâches en cours (promesses, événements hashchange)
+ * @param {number} ms - Délai d'attente
+ * @returns {Promise<void>}
+ */
+export function flush(ms = 20) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
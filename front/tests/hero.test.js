@@ -0,0 +1,167 @@
+/**
+ * Tests de la bannière des meilleurs films : navigation, bouton "Détails", préchargement et défilement automatique
+ * Lancement : npm test (depuis front/)
+ */
+
+import { dom, createMovies, flush, mockFetch } from './helpers/dom.js';
+import { afterEach, beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HeroCarousel } from '../scripts/hero.js';
+import { apiClient } from '../scripts/api.js';
+
+const MOVIES = createMovies(5);
+
+let element;
+let hero;
+let calls;
+
+/**
+ * Crée une bannière à partir de celle de index.html
+ * @param {Object} options - Options de HeroCarousel
+ * @returns {HeroCarousel}
+ */
+function createHero(options = {}) {
+    element = document.querySelector('.best-movie').cloneNode(true);
+    document.body.appendChild(element);
+    hero = new HeroCarousel(element, options);
+    hero.show(MOVIES, { ...MOVIES[0], long_description: 'Résumé 1' });
+    return hero;
+}
+
+/**
+ * Lit les IDs des détails de films demandés à l'API
+ * @returns {Array<string>}
+ */
+function detailsRequested() {
+    return calls.map(url => url.pathname.match(/\/titles\/(\d+)$/)).filter(Boolean).map(match => match[1]);
+}
+
+beforeEach(() => {
+    apiClient.cache.clear();
+    calls = mockFetch(url => {
+        const id = Number(url.pathname.match(/\/titles\/(\d+)$/)[1]);
+        return { body: { ...MOVIES[id - 1], long_description: `Résumé ${id}` } };
+    });
+});
+
+afterEach(() => {
+    // Arrêter le défilement automatique avant de retirer la bannière
+    hero.paused = true;
+    hero.updatePlayback();
+    element.remove();
+});
+
+test('la bannière affiche le premier film et un point par film', async () => {
+    createHero();
+    await flush();
+
+    assert.equal(element.querySelector('.best-movie-title').textContent, 'Film 1');
+    assert.equal(element.querySelector('.details-button').dataset.movieId, '1');
+    assert.equal(element.querySelector('.hero__controls').hidden, false);
+
+    const dots = element.querySelectorAll('.hero__dot');
+    assert.equal(dots.length, 5);
+    assert.equal(dots[0].getAttribute('aria-current'), 'true');
+    assert.match(dots[2].getAttribute('aria-label'), /Film 3 \(3 sur 5\)/);
+});
+
+test('les flèches et les points changent de film et le bouton "Détails" suit', async () => {
+    createHero();
+    await flush();
+
+    element.querySelector('.hero__arrow--next').click();
+    await flush();
+    assert.equal(element.querySelector('.best-movie-title').textContent, 'Film 2');
+    assert.equal(element.querySelector('.best-movie-description').textContent, 'Résumé 2');
+    assert.equal(element.querySelector('.details-button').dataset.movieId, '2');
+    assert.equal(element.querySelector('.banner').getAttribute('aria-label'), '2 sur 5');
+
+    element.querySelectorAll('.hero__dot')[4].click();
+    await flush();
+    assert.equal(element.querySelector('.details-button').dataset.movieId, '5');
+
+    // Le film suivant du dernier est le premier
+    element.querySelector('.hero__arrow--next').click();
+    await flush();
+    assert.equal(element.querySelector('.details-button').dataset.movieId, '1');
+
+    element.querySelector('.hero__arrow--prev').click();
+    await flush();
+    assert.equal(element.querySelector('.details-button').dataset.movieId, '5');
+});
+
+test('les détails du film suivant sont préchargés une seule fois', async () => {
+    createHero();
+    await flush();
+    assert.deepEqual(detailsRequested(), ['2']);
+
+    element.querySelector('.hero__arrow--next').click();
+    await flush();
+    assert.deepEqual(detailsRequested(), ['2', '3']);
+});
+
+test('le défilement automatique passe au film suivant et s\'arrête au survol', async () => {
+    createHero({ interval: 20 });
+    await flush(10);
+    assert.notEqual(hero.timer, null);
+    assert.equal(element.querySelector('.banner').getAttribute('aria-live'), 'off');
+
+    // Attendre le changement de film sans dépendre de la charge de la machine
+    for (let waited = 0; waited < 2000 && element.querySelector('.details-button').dataset.movieId === '1'; waited += 20) {
+        await flush(20);
+    }
+    assert.notEqual(element.querySelector('.details-button').dataset.movieId, '1');
+
+    element.dispatchEvent(new dom.window.MouseEvent('mouseenter'));
+    assert.equal(hero.timer, null);
+    assert.equal(element.querySelector('.banner').getAttribute('aria-live'), 'polite');
+
+    element.dispatchEvent(new dom.window.MouseEvent('mouseleave'));
+    assert.notEqual(hero.timer, null);
+});
+
+test('le focus dans la bannière et le bouton pause suspendent le défilement', async () => {
+    createHero();
+    await flush();
+    const toggle = element.querySelector('.hero__toggle');
+
+    toggle.focus();
+    assert.equal(hero.timer, null);
+
+    toggle.click();
+    toggle.blur();
+    assert.equal(hero.timer, null);
+    assert.equal(toggle.getAttribute('aria-label'), 'Reprendre le défilement');
+
+    toggle.click();
+    assert.notEqual(hero.timer, null);
+    assert.equal(toggle.getAttribute('aria-label'), 'Mettre en pause le défilement');
+});
+
+test('le défilement reste suspendu tant que la modale des détails est ouverte', async () => {
+    createHero({ interval: 20 });
+    await flush(10);
+
+    hero.setOverlayOpen(true);
+    assert.equal(hero.timer, null);
+    await flush(60);
+    assert.equal(element.querySelector('.details-button').dataset.movieId, '1');
+
+    hero.setOverlayOpen(false);
+    assert.notEqual(hero.timer, null);
+});
+
+test('sans animation demandée, la bannière ne défile pas d\'elle-même', async () => {
+    dom.window.matchMedia = query => ({ matches: query === '(prefers-reduced-motion: reduce)' });
+    try {
+        createHero();
+        await flush();
+
+        assert.equal(hero.paused, true);
+        assert.equal(hero.timer, null);
+        assert.equal(element.querySelector('.hero__toggle').getAttribute('aria-label'), 'Reprendre le défilement');
+    } finally {
+        delete dom.window.matchMedia;
+    }
+});
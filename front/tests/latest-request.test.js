@@ -0,0 +1,110 @@
+/**
+ * Tests du suivi de la dernière requête (changement rapide de genre)
+ * Lancement : node --test front/tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { LatestRequest } from '../scripts/latest-request.js';
+
+/**
+ * Crée une fausse requête dont la réponse est déclenchée manuellement
+ * @param {*} value - Réponse renvoyée
+ * @returns {{task: Function, respond: Function, signal: Function}}
+ */
+function deferredRequest(value) {
+    let resolve;
+    let receivedSignal = null;
+    const promise = new Promise(r => { resolve = r; });
+
+    return {
+        task: (signal) => {
+            receivedSignal = signal;
+            return promise;
+        },
+        respond: () => resolve(value),
+        signal: () => receivedSignal
+    };
+}
+
+test('seule la dernière sélection est affichée quand les réponses arrivent dans le désordre', async () => {
+    const latest = new LatestRequest();
+    const rendered = [];
+
+    const comedy = deferredRequest('Comedy');
+    const drama = deferredRequest('Drama');
+
+    const comedyRun = latest.run(comedy.task).then(({ current, result }) => current && rendered.push(result));
+    const dramaRun = latest.run(drama.task).then(({ current, result }) => current && rendered.push(result));
+
+    // Drama répond en premier, Comedy (plus ancienne) ensuite
+    drama.respond();
+    await dramaRun;
+    comedy.respond();
+    await comedyRun;
+
+    assert.deepEqual(rendered, ['Drama']);
+});
+
+test('la réponse la plus ancienne est ignorée même si elle arrive en dernier', async () => {
+    const latest = new LatestRequest();
+    const rendered = [];
+
+    const genres = ['Action', 'Comedy', 'Drama'].map(deferredRequest);
+    const runs = genres.map(request => latest.run(request.task)
+        .then(({ current, result }) => current && rendered.push(result)));
+
+    // Ordre d'arrivée : Drama, Action, Comedy
+    genres[2].respond();
+    genres[0].respond();
+    genres[1].respond();
+    await Promise.all(runs);
+
+    assert.deepEqual(rendered, ['Drama']);
+});
+
+test('une nouvelle sélection annule la requête précédente', async () => {
+    const latest = new LatestRequest();
+    const comedy = deferredRequest('Comedy');
+    const drama = deferredRequest('Drama');
+
+    latest.run(comedy.task);
+    assert.equal(comedy.signal().aborted, false);
+
+    latest.run(drama.task);
+    assert.equal(comedy.signal().aborted, true);
+    assert.equal(drama.signal().aborted, false);
+});
+
+test('l\'erreur d\'une requête annulée est ignorée', async () => {
+    const latest = new LatestRequest();
+
+    const aborted = latest.run(signal => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new DOMException('Requête annulée', 'AbortError')));
+    }));
+    const drama = latest.run(async () => 'Drama');
+
+    assert.deepEqual(await aborted, { current: false, result: undefined });
+    assert.deepEqual(await drama, { current: true, result: 'Drama' });
+});
+
+test('l\'erreur de la dernière requête est propagée', async () => {
+    const latest = new LatestRequest();
+
+    await assert.rejects(
+        latest.run(async () => { throw new Error('Serveur indisponible'); }),
+        /Serveur indisponible/
+    );
+});
+
+test('cancel() rend la requête en cours obsolète', async () => {
+    const latest = new LatestRequest();
+    const comedy = deferredRequest('Comedy');
+
+    const run = latest.run(comedy.task);
+    latest.cancel();
+    comedy.respond();
+
+    assert.equal((await run).current, false);
+});
@@ -0,0 +1,30 @@
+/**
+ * Tests de la configuration de l'accueil : identifiants des lignes
+ * Lancement : npm test (depuis front/)
+ */
+
+import './helpers/dom.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { validateLayout, createLayout } from '../scripts/layout-config.js';
+
+/**
+ * Crée une disposition d'une seule ligne fixe
+ * @param {string} id - Identifiant de la ligne
+ * @returns {Object}
+ */
+function layoutWithRow(id) {
+    return createLayout([{ id, type: 'fixed', title: 'Films', query: { sortBy: '-imdb_score' } }]);
+}
+
+test('une ligne peut utiliser un identifiant libre', () => {
+    assert.deepEqual(validateLayout(layoutWithRow('westerns')), []);
+});
+
+test('l\'identifiant "expanded", utilisé par l\'URL de l\'accueil, est réservé', () => {
+    const errors = validateLayout(layoutWithRow('expanded'));
+
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /"expanded" est réservé/);
+});
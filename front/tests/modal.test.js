@@ -0,0 +1,141 @@
+/**
+ * Tests de la modale de détails : ouverture, fermeture (bouton, Échap) et retour du focus
+ * Lancement : npm test (depuis front/)
+ */
+
+import { createMovies, flush, mockFetch } from './helpers/dom.js';
+import { before, beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { showMovieDetails, hideMovieDetails } from '../scripts/modal.js';
+import { router } from '../scripts/router.js';
+import { createMovieCard } from '../scripts/ui-components.js';
+import { apiClient } from '../scripts/api.js';
+import { getHistory } from '../scripts/recommendations.js';
+
+const MOVIES = createMovies(3);
+
+const DETAILS = {
+    ...MOVIES[0],
+    genres: ['Drama'],
+    directors: ['Réalisateur'],
+    actors: ['Acteur'],
+    duration: 120,
+    countries: ['France'],
+    long_description: 'Résumé du film.'
+};
+
+let grid;
+
+/**
+ * Ouvre la modale du premier film en cliquant sur son bouton "Détails"
+ * @returns {Promise<HTMLElement>} - Bouton ayant ouvert la modale
+ */
+async function openFirstMovie() {
+    const button = grid.querySelector('.details-btn');
+    button.focus();
+    button.click();
+    await flush();
+    return button;
+}
+
+before(async () => {
+    // Routage de main.js, limité à la modale
+    router.onOverlayClose = hideMovieDetails;
+    router
+        .on('/', () => {})
+        .on('/movie/:id', ({ id }) => showMovieDetails(id), { overlay: true });
+
+    // La modale est créée au chargement du DOM, que jsdom signale après l'import des modules
+    if (document.readyState === 'loading') {
+        await new Promise(resolve => document.addEventListener('DOMContentLoaded', resolve, { once: true }));
+    }
+    router.start();
+
+    grid = document.createElement('div');
+    grid.className = 'movies-grid';
+    MOVIES.forEach(movie => grid.appendChild(createMovieCard(movie)));
+    document.querySelector('main').appendChild(grid);
+});
+
+beforeEach(async () => {
+    apiClient.cache.clear();
+    mockFetch(url => (/\/titles\/\d+/.test(url.pathname)
+        ? { body: DETAILS }
+        : { body: { count: 0, next: null, previous: null, results: [] } }));
+
+    if (document.querySelector('.modal-overlay')) {
+        router.closeOverlay();
+        await flush();
+    }
+});
+
+test('le bouton "Détails" ouvre la modale du film et rend la page inerte', async () => {
+    await openFirstMovie();
+
+    const modal = document.querySelector('.modal-overlay');
+    assert.ok(modal);
+    assert.equal(window.location.hash, '#/movie/1');
+    assert.equal(modal.querySelector('#movie-modal-title').textContent, 'Film 1');
+    assert.equal(document.body.style.overflow, 'hidden');
+    assert.equal(document.querySelector('body > main').inert, true);
+    assert.ok(modal.contains(document.activeElement));
+});
+
+test('la touche Échap ferme la modale et rend le focus au bouton d\'origine', async () => {
+    const button = await openFirstMovie();
+
+    document.activeElement.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+    await flush();
+
+    assert.equal(document.querySelector('.modal-overlay'), null);
+    assert.doesNotMatch(window.location.hash, /movie/);
+    assert.equal(document.body.style.overflow, '');
+    assert.equal(document.querySelector('body > main').inert, false);
+    assert.equal(document.activeElement, button);
+});
+
+test('le bouton de fermeture ferme la modale', async () => {
+    await openFirstMovie();
+
+    document.querySelector('.movie-modal__close-btn').click();
+    await flush();
+
+    assert.equal(document.querySelector('.modal-overlay'), null);
+    assert.doesNotMatch(window.location.hash, /movie/);
+});
+
+test('la modale affiche une erreur si le film est introuvable', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    mockFetch(() => ({ status: 404, body: { detail: 'Not found.' } }));
+
+    await openFirstMovie();
+
+    const modal = document.querySelector('.modal-overlay');
+    assert.ok(modal);
+    assert.equal(modal.querySelector('.movie-modal').dataset.state, 'error');
+    const status = modal.querySelector('.movie-modal__footer').previousElementSibling;
+    assert.match(status.textContent, /introuvable/i);
+    assert.equal(status.querySelector('.section-status__retry').hidden, false);
+});
+
+test('fermer la modale pendant le chargement abandonne le film', async () => {
+    window.localStorage.removeItem('jsi-history');
+    let release;
+    const pending = new Promise(resolve => { release = resolve; });
+    mockFetch(async url => {
+        await pending;
+        return /\/titles\/\d+/.test(url.pathname) ? { body: DETAILS } : { body: { count: 0, next: null, previous: null, results: [] } };
+    });
+
+    await openFirstMovie();
+    document.activeElement.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+    await flush();
+    assert.equal(document.querySelector('.modal-overlay'), null);
+
+    // La réponse arrive après la fermeture : rien n'est affiché ni ajouté à l'historique
+    release();
+    await flush();
+    assert.equal(document.querySelector('.modal-overlay'), null);
+    assert.deepEqual(getHistory(), []);
+});
@@ -0,0 +1,73 @@
+/**
+ * Tests des pages de filmographie : chargement de toutes les pages, résumé de carrière et tri
+ * Lancement : npm test (depuis front/)
+ */
+
+import { mockFetch, paginate } from './helpers/dom.js';
+import { beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { fetchFilmography, summarizeFilmography, sortFilmography, personHash } from '../scripts/person-page.js';
+import { apiClient } from '../scripts/api.js';
+
+const MOVIES = [
+    { id: 1, title: 'Memento', year: 2000, imdb_score: '8.4' },
+    { id: 2, title: 'Inception', year: 2010, imdb_score: '8.8' },
+    { id: 3, title: 'Following', year: 1998, imdb_score: '7.5' },
+    { id: 4, title: 'Tenet', year: 2020, imdb_score: null },
+    { id: 5, title: 'Insomnia', year: null, imdb_score: '7.2' }
+];
+
+beforeEach(() => {
+    apiClient.cache.clear();
+});
+
+test('fetchFilmography filtre sur le nom exact et charge toutes les pages', async () => {
+    const films = Array.from({ length: 12 }, (_, index) => ({ id: index + 1, title: `Film ${index + 1}` }));
+    const calls = mockFetch(url => ({ body: paginate(films, url) }));
+
+    const movies = await fetchFilmography('director', 'Christopher Nolan');
+
+    assert.equal(movies.length, 12);
+    assert.equal(calls.length, 3);
+    assert.equal(calls[0].searchParams.get('director'), 'Christopher Nolan');
+    assert.equal(calls[0].searchParams.has('director_contains'), false);
+});
+
+test('fetchFilmography utilise le filtre acteur pour le rôle actor', async () => {
+    const calls = mockFetch(url => ({ body: paginate([], url) }));
+
+    const movies = await fetchFilmography('actor', 'Tom Hardy');
+
+    assert.deepEqual(movies, []);
+    assert.equal(calls[0].searchParams.get('actor'), 'Tom Hardy');
+});
+
+test('le résumé donne le nombre de films, les années d\'activité et le score moyen', () => {
+    const summary = summarizeFilmography(MOVIES);
+
+    assert.equal(summary.count, 5);
+    assert.equal(summary.firstYear, 1998);
+    assert.equal(summary.lastYear, 2020);
+    assert.equal(summary.averageScore, (8.4 + 8.8 + 7.5 + 7.2) / 4);
+});
+
+test('le résumé d\'une filmographie vide ne contient ni années ni score', () => {
+    assert.deepEqual(summarizeFilmography([]), { count: 0, firstYear: null, lastYear: null, averageScore: null });
+});
+
+test('les films sont triés par année ou par score, les valeurs inconnues en dernier', () => {
+    const titles = sortBy => sortFilmography(MOVIES, sortBy).map(movie => movie.title);
+
+    assert.deepEqual(titles('-year'), ['Tenet', 'Inception', 'Memento', 'Following', 'Insomnia']);
+    assert.deepEqual(titles('year'), ['Following', 'Memento', 'Inception', 'Tenet', 'Insomnia']);
+    assert.deepEqual(titles('-imdb_score'), ['Inception', 'Memento', 'Following', 'Insomnia', 'Tenet']);
+});
+
+test('un tri inconnu revient au plus récent d\'abord', () => {
+    assert.deepEqual(sortFilmography(MOVIES, 'inconnu'), sortFilmography(MOVIES, '-year'));
+});
+
+test('personHash encode le nom de la personne', () => {
+    assert.equal(personHash('actor', 'Marion Cotillard'), '#/person/actor/Marion%20Cotillard');
+});
@@ -0,0 +1,130 @@
+/**
+ * Tests des recommandations : historique local, notation des films candidats et explications
+ * Lancement : npm test (depuis front/)
+ */
+
+import { mockFetch, paginate, flush } from './helpers/dom.js';
+import { beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    recordView, getHistory, clearHistory, buildSeeds, scoreCandidate, rankCandidates,
+    describeReason, describeRecommendations, getRecommendations
+} from '../scripts/recommendations.js';
+import { createRecommendationsCategory } from '../scripts/categories.js';
+import { apiClient } from '../scripts/api.js';
+
+const INCEPTION = {
+    id: 1, title: 'Inception', year: 2010, imdb_score: '8.8',
+    genres: ['Action', 'Sci-Fi'], directors: ['Christopher Nolan'], actors: ['Leonardo DiCaprio', 'Tom Hardy']
+};
+const AMELIE = {
+    id: 2, title: 'Amélie', year: 2001, imdb_score: '8.3',
+    genres: ['Comedy', 'Romance'], directors: ['Jean-Pierre Jeunet'], actors: ['Audrey Tautou']
+};
+
+const CANDIDATES = [
+    { id: 10, title: 'Interstellar', year: 2014, imdb_score: '8.6', genres: ['Drama', 'Sci-Fi'], directors: ['Christopher Nolan'], actors: [] },
+    { id: 11, title: 'The Revenant', year: 2015, imdb_score: '8.0', genres: ['Drama'], directors: ['Alejandro G. Iñárritu'], actors: ['Leonardo DiCaprio', 'Tom Hardy'] },
+    { id: 12, title: 'Delicatessen', year: 1991, imdb_score: '7.6', genres: ['Comedy'], directors: ['Jean-Pierre Jeunet'], actors: [] },
+    { id: 13, title: 'Nosferatu', year: 1922, imdb_score: '7.9', genres: ['Horror'], directors: ['F.W. Murnau'], actors: [] }
+];
+
+beforeEach(() => {
+    window.localStorage.removeItem('jsi-history');
+    window.localStorage.removeItem('jsi-favorites');
+    apiClient.cache.clear();
+});
+
+test('recordView place le dernier film ouvert en tête, sans doublon', () => {
+    recordView(INCEPTION);
+    recordView(AMELIE);
+    recordView(INCEPTION);
+
+    const history = getHistory();
+    assert.deepEqual(history.map(entry => entry.title), ['Inception', 'Amélie']);
+    assert.deepEqual(history[0].directors, ['Christopher Nolan']);
+});
+
+test('clearHistory efface l\'historique du localStorage et prévient la page', () => {
+    let changes = 0;
+    document.addEventListener('history:change', () => changes++);
+    recordView(INCEPTION);
+
+    clearHistory();
+
+    assert.deepEqual(getHistory(), []);
+    assert.equal(window.localStorage.getItem('jsi-history'), null);
+    assert.equal(changes, 2);
+});
+
+test('le dernier film vu compte davantage, un favori déjà vu encore plus', () => {
+    const seeds = buildSeeds([INCEPTION, AMELIE], [AMELIE]);
+
+    assert.equal(seeds.length, 2);
+    assert.equal(seeds[0].weight, 1);
+    assert.equal(seeds[1].weight, (1 / 1.1) * 1.5);
+    assert.equal(seeds[1].source, 'history');
+});
+
+test('un réalisateur commun l\'emporte sur un genre commun', () => {
+    const seeds = buildSeeds([INCEPTION]);
+    const byDirector = scoreCandidate(CANDIDATES[0], seeds);
+    const byGenre = scoreCandidate({ ...CANDIDATES[0], directors: ['Autre'] }, seeds);
+
+    assert.ok(byDirector.score > byGenre.score);
+    assert.equal(describeReason(byDirector.reason), 'Réalisé par Christopher Nolan, comme Inception');
+    assert.equal(describeReason(byGenre.reason), 'Sci-Fi, comme Inception');
+});
+
+test('un film sans point commun avec le profil n\'est pas recommandé', () => {
+    assert.equal(scoreCandidate(CANDIDATES[3], buildSeeds([INCEPTION, AMELIE])), null);
+});
+
+test('les films déjà vus, les favoris et les doublons sont écartés du classement', () => {
+    const seeds = buildSeeds([INCEPTION, AMELIE]);
+    const ranked = rankCandidates([...CANDIDATES, CANDIDATES[0], INCEPTION], seeds, { exclude: [11] });
+
+    assert.deepEqual(ranked.map(item => item.movie.title), ['Interstellar', 'Delicatessen']);
+    assert.equal(ranked[1].reason.title, 'Amélie');
+});
+
+test('la légende cite le film qui explique le plus de recommandations', () => {
+    const ranked = rankCandidates(CANDIDATES, buildSeeds([INCEPTION, AMELIE]));
+
+    assert.equal(describeRecommendations(ranked), 'Parce que vous avez regardé Inception');
+    assert.equal(describeRecommendations([]), '');
+});
+
+test('getRecommendations interroge l\'API à partir de l\'historique', async () => {
+    const calls = mockFetch(url => ({ body: paginate(CANDIDATES, url) }));
+    recordView(INCEPTION);
+
+    const recommendations = await getRecommendations();
+
+    assert.ok(calls.some(url => url.searchParams.get('director') === 'Christopher Nolan'));
+    assert.ok(calls.some(url => url.searchParams.get('actor') === 'Leonardo DiCaprio'));
+    assert.ok(calls.some(url => url.searchParams.get('genre') === 'Action'));
+    assert.equal(recommendations[0].movie.title, 'Interstellar');
+    assert.ok(recommendations.every(item => item.movie.id !== INCEPTION.id));
+});
+
+test('getRecommendations ne fait aucune requête sans historique ni favoris', async () => {
+    const calls = mockFetch(() => ({ body: {} }));
+
+    assert.deepEqual(await getRecommendations(), []);
+    assert.equal(calls.length, 0);
+});
+
+test('la catégorie "Recommandé pour vous" apparaît après le premier film ouvert', async () => {
+    mockFetch(url => ({ body: paginate(CANDIDATES, url) }));
+    const container = createRecommendationsCategory();
+    assert.equal(container.hidden, true);
+
+    recordView(INCEPTION);
+    await flush(400);
+
+    assert.equal(container.hidden, false);
+    assert.ok(Array.from(container.querySelectorAll('.movie-card'), card => card.textContent).some(text => text.includes('Interstellar')));
+    container.remove();
+});
@@ -0,0 +1,35 @@
+/**
+ * Tests du routeur : paramètres des routes et adresses invalides
+ * Lancement : npm test (depuis front/)
+ */
+
+import { flush } from './helpers/dom.js';
+import { before, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { router } from '../scripts/router.js';
+
+const visits = [];
+
+before(() => {
+    router
+        .on('/', () => visits.push('home'))
+        .on('/genre/:name', ({ name }) => visits.push(`genre:${name}`));
+    router.start();
+});
+
+test('les paramètres de la route sont décodés', async () => {
+    window.location.hash = '#/genre/Science%20Fiction';
+    await flush();
+
+    assert.equal(visits.at(-1), 'genre:Science Fiction');
+});
+
+test('une adresse mal encodée renvoie vers l\'accueil', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    window.location.hash = '#/genre/%E0';
+    await flush();
+
+    assert.equal(visits.at(-1), 'home');
+    assert.equal(window.location.hash, '#/');
+});
@@ -0,0 +1,135 @@
+/**
+ * Tests des statistiques du catalogue : compteurs, parcours des pages, statistiques enregistrées et graphiques
+ * Lancement : npm test (depuis front/)
+ */
+
+import { dom, mockFetch, paginate, createMovies } from './helpers/dom.js';
+import { beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    createAccumulator, accumulateMovies, summarizeStats, createCrawl, crawlCatalogue, readCachedStats, writeCachedStats
+} from '../scripts/stats.js';
+import { createBarChart } from '../scripts/charts.js';
+import { apiClient } from '../scripts/api.js';
+
+const MOVIES = [
+    { title: 'A', year: 1994, imdb_score: '9.0', genres: ['Drama'], directors: ['Frank Darabont'] },
+    { title: 'B', year: 1999, imdb_score: '7.0', genres: ['Drama', 'Crime'], directors: ['David Fincher'] },
+    { title: 'C', year: 2007, imdb_score: '7.8', genres: ['Crime'], directors: ['David Fincher'] },
+    { title: 'D', year: 2010, imdb_score: '10', genres: ['Drama'], directors: ['David Fincher'] },
+    { title: 'E', year: 2014, imdb_score: null, genres: ['Drama'], directors: ['David Fincher'] },
+    { title: 'F', year: 2001, imdb_score: '6.2', genres: [], directors: ['Frank Darabont'] }
+];
+
+beforeEach(() => {
+    apiClient.cache.clear();
+    dom.window.localStorage.removeItem('jsi-stats');
+});
+
+test('les compteurs donnent les films par genre, les scores et les décennies', () => {
+    const summary = summarizeStats(accumulateMovies(createAccumulator(), MOVIES), ['Crime', 'Drama', 'Western']);
+
+    assert.equal(summary.movieCount, 6);
+    assert.deepEqual(summary.genres, [
+        { name: 'Drama', count: 4 },
+        { name: 'Crime', count: 2 },
+        { name: 'Western', count: 0 }
+    ]);
+    // Un score de 10 compte dans la tranche 9 à 10 ; les films sans score sont ignorés
+    assert.equal(summary.scores[9].count, 2);
+    assert.equal(summary.scores[7].count, 2);
+    assert.equal(summary.scores.reduce((sum, bucket) => sum + bucket.count, 0), 5);
+    assert.deepEqual(summary.decades.map(({ decade, count }) => [decade, count]), [[1990, 2], [2000, 2], [2010, 1]]);
+    assert.equal(summary.decades[0].averageScore, 8);
+});
+
+test('les réalisateurs sont classés par nombre de films et par score moyen', () => {
+    const summary = summarizeStats(accumulateMovies(createAccumulator(), MOVIES));
+
+    assert.deepEqual(summary.topDirectors.map(({ name, count }) => [name, count]), [['David Fincher', 4], ['Frank Darabont', 2]]);
+    assert.equal(summary.topDirectors[0].averageScore, (7 + 7.8 + 10) / 3);
+
+    // Trois films notés au moins pour figurer parmi les mieux notés
+    assert.deepEqual(summary.bestDirectors.map(director => director.name), ['David Fincher']);
+});
+
+test('le parcours suit les pages de 100 films et signale son avancement', async () => {
+    const movies = createMovies(1200);
+    const calls = mockFetch(url => (url.pathname.includes('/genres/')
+        ? { body: paginate([{ id: 1, name: 'Drama' }], url) }
+        : { body: paginate(movies, url, Number(url.searchParams.get('page_size'))) }));
+    const progress = [];
+
+    const crawl = await crawlCatalogue(createCrawl(), { onProgress: ({ accumulator }) => progress.push(accumulator.movieCount) });
+
+    const titleCalls = calls.filter(url => url.pathname.includes('/titles/'));
+    assert.equal(titleCalls.length, 12);
+    assert.equal(titleCalls[0].searchParams.get('page_size'), '100');
+    assert.equal(crawl.done, true);
+    assert.equal(crawl.accumulator.movieCount, 1200);
+    assert.deepEqual(crawl.genres, ['Drama']);
+    assert.deepEqual(progress, [500, 1000]);
+});
+
+test('un parcours interrompu reprend à la page suivante', async () => {
+    const movies = createMovies(300);
+    const calls = mockFetch(url => (url.pathname.includes('/genres/')
+        ? { body: paginate([], url) }
+        : { body: paginate(movies, url, 100) }));
+    const crawl = createCrawl();
+
+    let pages = 0;
+    await crawlCatalogue(crawl, { shouldContinue: () => pages++ < 1 });
+    assert.equal(crawl.done, false);
+    assert.equal(crawl.accumulator.movieCount, 100);
+
+    await crawlCatalogue(crawl);
+    assert.equal(crawl.done, true);
+    assert.equal(crawl.accumulator.movieCount, 300);
+    assert.deepEqual(calls.filter(url => url.pathname.includes('/titles/')).map(url => url.searchParams.get('page')), ['1', '2', '3']);
+});
+
+test('les statistiques enregistrées expirent après 24 heures', () => {
+    const summary = summarizeStats(accumulateMovies(createAccumulator(), MOVIES));
+    const savedAt = Date.UTC(2024, 0, 1);
+    writeCachedStats(summary, savedAt);
+
+    assert.deepEqual(readCachedStats(savedAt + 60 * 60 * 1000), { summary, savedAt });
+    assert.equal(readCachedStats(savedAt + 25 * 60 * 60 * 1000), null);
+});
+
+test('les statistiques d\'une autre API ne sont pas réutilisées', () => {
+    const savedAt = Date.now();
+    dom.window.localStorage.setItem('jsi-stats', JSON.stringify({ baseUrl: 'http://autre.test/api/v1', savedAt, summary: {} }));
+
+    assert.equal(readCachedStats(savedAt), null);
+});
+
+test('createBarChart dessine des barres focalisables et le tableau des données', () => {
+    const chart = createBarChart({
+        title: 'Films par genre',
+        columns: { label: 'Genre', value: 'Films' },
+        data: [{ label: 'Drama', value: 40 }, { label: 'Comedy', value: 10, tooltip: 'Comedy : 10 films' }]
+    });
+    document.body.appendChild(chart);
+
+    const svg = chart.querySelector('svg');
+    const bars = chart.querySelectorAll('.chart__bar');
+    assert.equal(svg.getAttribute('aria-labelledby'), chart.querySelector('figcaption').id);
+    assert.equal(bars.length, 2);
+    assert.equal(bars[0].getAttribute('tabindex'), '0');
+    assert.equal(bars[0].getAttribute('aria-label'), 'Drama : 40');
+    assert.ok(Number(bars[0].querySelector('rect').getAttribute('width')) > Number(bars[1].querySelector('rect').getAttribute('width')));
+    assert.deepEqual(Array.from(chart.querySelectorAll('tbody th'), cell => cell.textContent), ['Drama', 'Comedy']);
+
+    // Infobulle au focus d'une barre, masquée à la sortie
+    const tooltip = chart.querySelector('.chart__tooltip');
+    bars[1].dispatchEvent(new dom.window.FocusEvent('focusin', { bubbles: true }));
+    assert.equal(tooltip.hidden, false);
+    assert.equal(tooltip.textContent, 'Comedy : 10 films');
+    bars[1].dispatchEvent(new dom.window.FocusEvent('focusout', { bubbles: true }));
+    assert.equal(tooltip.hidden, true);
+
+    chart.remove();
+});
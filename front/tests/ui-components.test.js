@@ -0,0 +1,106 @@
+/**
+ * Tests des composants d'interface : cartes de films, images de remplacement, carrousel et menu des genres
+ * Lancement : npm test (depuis front/)
+ */
+
+import { createMovies } from './helpers/dom.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createMovieCard, createGenreDropdown, Carousel } from '../scripts/ui-components.js';
+
+const [FIRST_MOVIE, SECOND_MOVIE] = createMovies(2);
+
+const GENRES = [
+    { label: 'Action', value: 'Action' },
+    { label: 'Comédie', value: 'Comedy' },
+    { label: 'Drame', value: 'Drama' }
+];
+
+test('createMovieCard clone le template et remplit la carte du film', () => {
+    const fragment = createMovieCard(FIRST_MOVIE);
+    const card = fragment.querySelector('.movie-card');
+
+    assert.ok(card);
+    assert.equal(card.querySelector('.movie-title').textContent, 'Film 1');
+    assert.equal(card.querySelector('.details-btn').dataset.movieId, '1');
+    assert.equal(card.querySelector('.details-btn').getAttribute('aria-label'), 'Détails de Film 1');
+    assert.equal(card.querySelector('.movie-image').alt, 'Affiche Film 1');
+    assert.equal(card.querySelector('.movie-image').src, 'http://img.test/1.jpg');
+});
+
+test('createMovieCard laisse le template intact : chaque carte est indépendante', () => {
+    const first = createMovieCard(FIRST_MOVIE).querySelector('.movie-card');
+    const second = createMovieCard(SECOND_MOVIE).querySelector('.movie-card');
+    const template = document.getElementById('movie-card-template');
+
+    assert.notEqual(first, second);
+    assert.equal(first.querySelector('.movie-title').textContent, 'Film 1');
+    assert.equal(second.querySelector('.movie-title').textContent, 'Film 2');
+    assert.equal(template.content.querySelector('.details-btn').dataset.movieId, '');
+    assert.equal(template.content.querySelector('.movie-title').textContent, '');
+});
+
+test('une affiche qui ne charge pas est remplacée une seule fois par une image SVG', () => {
+    const image = createMovieCard(FIRST_MOVIE).querySelector('.movie-image');
+
+    image.dispatchEvent(new Event('error'));
+    const fallback = image.src;
+    assert.match(fallback, /^data:image\/svg\+xml,/);
+    assert.ok(decodeURIComponent(fallback).includes('Affiche Film 1'));
+
+    // L'image de remplacement ne relance pas le gestionnaire d'erreur
+    assert.equal(image.onerror, null);
+    image.dispatchEvent(new Event('error'));
+    assert.equal(image.src, fallback);
+});
+
+test('un film sans affiche reçoit directement l\'image de remplacement', () => {
+    const image = createMovieCard({ ...FIRST_MOVIE, image_url: null }).querySelector('.movie-image');
+
+    assert.match(image.src, /^data:image\/svg\+xml,/);
+});
+
+test('un carrousel détruit ne suit plus le redimensionnement de la fenêtre', (t) => {
+    const carousel = new Carousel('Films');
+    const refresh = t.mock.method(carousel, 'refresh');
+
+    window.dispatchEvent(new window.Event('resize'));
+    assert.equal(refresh.mock.callCount(), 1);
+
+    carousel.destroy();
+    window.dispatchEvent(new window.Event('resize'));
+    assert.equal(refresh.mock.callCount(), 1);
+});
+
+test('createGenreDropdown sélectionne le genre par défaut', () => {
+    const select = createGenreDropdown(GENRES, GENRES[1], () => {}).querySelector('.genre-dropdown');
+
+    assert.deepEqual(Array.from(select.options, option => option.value), ['Action', 'Comedy', 'Drama']);
+    assert.equal(select.value, 'Comedy');
+});
+
+test('createGenreDropdown transmet le genre choisi au callback', () => {
+    const selected = [];
+    const select = createGenreDropdown(GENRES, GENRES[0], genre => selected.push(genre)).querySelector('.genre-dropdown');
+
+    select.value = 'Drama';
+    select.dispatchEvent(new Event('change'));
+    select.value = 'Action';
+    select.dispatchEvent(new Event('change'));
+
+    assert.deepEqual(selected, [GENRES[2], GENRES[0]]);
+});
+
+test('createGenreDropdown ignore une valeur absente de la liste des genres', () => {
+    let calls = 0;
+    const select = createGenreDropdown(GENRES, GENRES[0], () => calls++).querySelector('.genre-dropdown');
+
+    const option = document.createElement('option');
+    option.value = 'Western';
+    select.appendChild(option);
+    select.value = 'Western';
+    select.dispatchEvent(new Event('change'));
+
+    assert.equal(calls, 0);
+});